@@ -0,0 +1,288 @@
+// ------------------- ALMACENAMIENTO DE ARCHIVOS -------------------
+// Disco local o bucket compatible con S3 (AWS, MinIO, R2...).
+// En la BD las rutas siempre son /uploads/<clave>, sin importar dónde viva
+// el archivo, así cambiar de backend solo requiere mover los archivos.
+//
+// Variables de entorno:
+//   ALMACENAMIENTO=local|s3          (local por defecto)
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT (MinIO: http://localhost:9000)
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIJO (opcional)
+
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const TIPOS_POR_EXTENSION = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".pdf": "application/pdf",
+};
+
+const tipoContenido = (clave) =>
+  TIPOS_POR_EXTENSION[path.extname(clave).toLowerCase()] ||
+  "application/octet-stream";
+
+// /uploads/reportes_nom/x.pdf -> reportes_nom/x.pdf
+const claveDeRuta = (ruta) => String(ruta).replace(/^\/uploads\/?/, "");
+
+const rutaDeClave = (clave) => `/uploads/${clave}`;
+
+const errorNoEncontrado = (clave) => {
+  const error = new Error(`Archivo no encontrado: ${clave}`);
+  error.status = 404;
+  return error;
+};
+
+// a/../b -> b; las claves que salen de la raíz (../x, /etc/x) no existen
+const normalizarClave = (clave) => {
+  const normalizada = path.posix.normalize(String(clave));
+
+  if (
+    normalizada === "." ||
+    normalizada === ".." ||
+    normalizada.startsWith("../") ||
+    path.posix.isAbsolute(normalizada)
+  ) {
+    throw errorNoEncontrado(clave);
+  }
+
+  return normalizada;
+};
+
+const crearAlmacenamientoLocal = (directorio) => {
+  const rutaFisica = (clave) => {
+    const ruta = path.resolve(directorio, clave);
+
+    // Evita claves como ../../etc/passwd
+    if (!ruta.startsWith(path.resolve(directorio) + path.sep)) {
+      throw errorNoEncontrado(clave);
+    }
+
+    return ruta;
+  };
+
+  const listarDirectorio = async (relativo = "") => {
+    const entradas = await fs.promises.readdir(
+      path.join(directorio, relativo),
+      { withFileTypes: true },
+    );
+
+    const claves = [];
+
+    for (const entrada of entradas) {
+      const clave = path.posix.join(relativo, entrada.name);
+
+      if (entrada.isDirectory()) {
+        claves.push(...(await listarDirectorio(clave)));
+      } else {
+        claves.push(clave);
+      }
+    }
+
+    return claves;
+  };
+
+  return {
+    tipo: "local",
+    directorio,
+
+    guardar: async (clave, contenido) => {
+      const ruta = rutaFisica(clave);
+      await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+      await fs.promises.writeFile(ruta, contenido);
+    },
+
+    leer: async (clave) => {
+      try {
+        return await fs.promises.readFile(rutaFisica(clave));
+      } catch (err) {
+        throw err.code === "ENOENT" ? errorNoEncontrado(clave) : err;
+      }
+    },
+
+    // { cuerpo: stream, tipo }
+    flujo: async (clave) => {
+      const ruta = rutaFisica(clave);
+      await fs.promises.access(ruta).catch(() => {
+        throw errorNoEncontrado(clave);
+      });
+
+      return { cuerpo: fs.createReadStream(ruta), tipo: tipoContenido(clave) };
+    },
+
+    eliminar: async (clave) => {
+      try {
+        await fs.promises.unlink(rutaFisica(clave));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    listar: () => listarDirectorio(),
+  };
+};
+
+const crearAlmacenamientoS3 = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  prefijo = "",
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET es requerido para ALMACENAMIENTO=s3");
+  }
+
+  const s3 = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    // MinIO y la mayoría de compatibles no soportan buckets como subdominio
+    forcePathStyle: Boolean(endpoint),
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  // Igual que en disco, la clave no puede salir del prefijo
+  const llave = (clave) => path.posix.join(prefijo, normalizarClave(clave));
+
+  const obtener = async (clave) => {
+    try {
+      return await s3.send(
+        new GetObjectCommand({ Bucket: bucket, Key: llave(clave) }),
+      );
+    } catch (err) {
+      throw err.name === "NoSuchKey" ? errorNoEncontrado(clave) : err;
+    }
+  };
+
+  return {
+    tipo: "s3",
+    bucket,
+
+    guardar: async (clave, contenido, tipo = tipoContenido(clave)) =>
+      s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: llave(clave),
+          Body: contenido,
+          ContentType: tipo,
+        }),
+      ),
+
+    leer: async (clave) => {
+      const objeto = await obtener(clave);
+      return Buffer.from(await objeto.Body.transformToByteArray());
+    },
+
+    flujo: async (clave) => {
+      const objeto = await obtener(clave);
+      return {
+        cuerpo: objeto.Body,
+        tipo: objeto.ContentType || tipoContenido(clave),
+      };
+    },
+
+    // S3 no marca error si la llave no existe
+    eliminar: async (clave) =>
+      s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: llave(clave) })),
+
+    listar: async () => {
+      const claves = [];
+      let continuacion;
+
+      do {
+        const pagina = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefijo || undefined,
+            ContinuationToken: continuacion,
+          }),
+        );
+
+        for (const objeto of pagina.Contents || []) {
+          claves.push(path.posix.relative(prefijo || "", objeto.Key));
+        }
+
+        continuacion = pagina.NextContinuationToken;
+      } while (continuacion);
+
+      return claves;
+    },
+  };
+};
+
+// tipo: "local" | "s3"; directorio solo aplica a local
+const crearAlmacenamiento = (
+  tipo = process.env.ALMACENAMIENTO || "local",
+  { directorio } = {},
+) => {
+  if (tipo === "local") return crearAlmacenamientoLocal(directorio);
+
+  if (tipo === "s3") {
+    return crearAlmacenamientoS3({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefijo: process.env.S3_PREFIJO,
+    });
+  }
+
+  throw new Error(`ALMACENAMIENTO desconocido: ${tipo}`);
+};
+
+// Motor de multer que manda cada archivo directo al almacenamiento.
+// nombrar(req, file) regresa el nombre dentro de `carpeta`; el archivo
+// queda con filename (nombre) y clave (carpeta/nombre).
+// El archivo se junta en memoria: el multer que lo use debe poner
+// limits.fileSize. Si el archivo pasa el límite no se guarda y multer
+// responde con LIMIT_FILE_SIZE.
+const motorMulter = (almacenamiento, { carpeta = "", nombrar }) => ({
+  _handleFile(req, file, cb) {
+    const partes = [];
+
+    file.stream.on("data", (parte) => partes.push(parte));
+    file.stream.on("error", cb);
+    file.stream.on("end", () => {
+      const filename = nombrar(req, file);
+      const clave = path.posix.join(carpeta, filename);
+      const contenido = Buffer.concat(partes);
+
+      if (file.stream.truncated) {
+        return cb(null, { filename, clave, size: contenido.length });
+      }
+
+      almacenamiento
+        .guardar(clave, contenido, file.mimetype)
+        .then(() => cb(null, { filename, clave, size: contenido.length }))
+        .catch(cb);
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    almacenamiento
+      .eliminar(file.clave)
+      .then(() => cb(null))
+      .catch(cb);
+  },
+});
+
+module.exports = {
+  crearAlmacenamiento,
+  motorMulter,
+  claveDeRuta,
+  rutaDeClave,
+  tipoContenido,
+  normalizarClave,
+};
@@ -7,6 +7,19 @@ const { Pool } = require("pg");
 const path = require("path");
 const multer = require("multer");
 const fs = require("fs"); // ✅ AÑADIDO
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const puppeteer = require("puppeteer");
+const sharp = require("sharp");
+const ExcelJS = require("exceljs");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const {
+  crearAlmacenamiento,
+  motorMulter,
+  claveDeRuta,
+  rutaDeClave,
+} = require("./almacenamiento");
 
 const app = express();
 
@@ -29,8 +42,8 @@ const db = new Pool({
   },
 });
 
-// Verificar conexión
-(async () => {
+// Verificar conexión (al arrancar el servidor)
+const verificarConexion = async () => {
   try {
     const client = await db.connect();
     console.log("✔ Conectado a PostgreSQL (Render)");
@@ -38,7 +51,283 @@ const db = new Pool({
   } catch (err) {
     console.error("❌ Error conectando a PostgreSQL:", err);
   }
-})();
+};
+
+// ------------------- AUTENTICACIÓN (JWT) -------------------
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "30d";
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
+  console.error("❌ JWT_SECRET y JWT_REFRESH_SECRET son requeridos");
+  process.exit(1);
+}
+
+// Rutas que no requieren token
+const rutasPublicas = ["/login", "/refresh"];
+
+// Feeds .ics: se validan con el token del calendario en la URL
+const prefijosPublicos = ["/calendario/feed/"];
+
+// Los hashes de bcrypt siempre empiezan con $2a$, $2b$ o $2y$
+const esHashBcrypt = (valor) => /^\$2[aby]\$\d{2}\$/.test(valor || "");
+
+// Compara contra el hash; si la fila aún tiene la contraseña en texto
+// plano (usuarios antiguos) la compara directo y avisa que hay que rehashear
+const verificarPassword = async (password, guardado) => {
+  if (!password || !guardado) return { valido: false, rehash: false };
+
+  if (esHashBcrypt(guardado)) {
+    return { valido: await bcrypt.compare(password, guardado), rehash: false };
+  }
+
+  const valido = password === guardado;
+  return { valido, rehash: valido };
+};
+
+const generarTokens = (usuario) => {
+  const payload = {
+    id: usuario.id,
+    usuario: usuario.usuario,
+    rol: usuario.rol || "consultor",
+  };
+
+  return {
+    accessToken: jwt.sign(payload, JWT_SECRET, {
+      expiresIn: JWT_EXPIRES_IN,
+    }),
+    refreshToken: jwt.sign(
+      { ...payload, tipo: "refresh" },
+      JWT_REFRESH_SECRET,
+      {
+        expiresIn: JWT_REFRESH_EXPIRES_IN,
+      },
+    ),
+  };
+};
+
+// Nunca regresar la contraseña al cliente
+const usuarioPublico = ({ password, ...usuario }) => usuario;
+
+const verificarToken = (req, res, next) => {
+  if (
+    rutasPublicas.includes(req.path) ||
+    prefijosPublicos.some((prefijo) => req.path.startsWith(prefijo))
+  ) {
+    return next();
+  }
+
+  const header = req.headers.authorization || "";
+  const [tipo, token] = header.split(" ");
+
+  if (tipo !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Token requerido" });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.usuario = {
+      id: payload.id,
+      usuario: payload.usuario,
+      rol: payload.rol,
+    };
+    next();
+  } catch (err) {
+    return res.status(401).json({ error: "Token inválido o expirado" });
+  }
+};
+
+// ------------------- AUTORIZACIÓN POR PROPIETARIO -------------------
+
+const esAdmin = (req) => req.usuario?.rol === "admin";
+
+// Cada consulta resuelve la cadena puesto → área → cliente → usuario_id
+// (también regresan cliente_id para la auditoría)
+const consultasPropietario = {
+  cliente: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM clientes c
+    WHERE c.id = $1 AND c.deleted_at IS NULL`,
+  clienteEliminado: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM clientes c
+    WHERE c.id = $1 AND c.deleted_at IS NOT NULL`,
+  area: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM areas_trabajo a
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE a.id = $1 AND c.deleted_at IS NULL`,
+  puesto: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM puestos_trabajo p
+    JOIN areas_trabajo a ON a.id = p.area_id
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE p.id = $1 AND c.deleted_at IS NULL`,
+  cuestionario: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM cuestionarios_info ci
+    JOIN puestos_trabajo p ON p.id = ci.puesto_id
+    JOIN areas_trabajo a ON a.id = p.area_id
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE ci.id = $1 AND c.deleted_at IS NULL`,
+  inventario: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM inventario i
+    JOIN clientes c ON c.id = i.cliente_id
+    WHERE i.id = $1 AND c.deleted_at IS NULL`,
+  trabajador: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM trabajadores t
+    JOIN puestos_trabajo p ON p.id = t.puesto_id
+    JOIN areas_trabajo a ON a.id = p.area_id
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE t.id = $1 AND c.deleted_at IS NULL`,
+  entrega: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM entregas_epp en
+    JOIN inventario i ON i.id = en.inventario_id
+    JOIN clientes c ON c.id = i.cliente_id
+    WHERE en.id = $1 AND c.deleted_at IS NULL`,
+  documento: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM documentos_cuestionario d
+    JOIN cuestionarios_info ci ON ci.id = d.cuestionario_info_id
+    JOIN puestos_trabajo p ON p.id = ci.puesto_id
+    JOIN areas_trabajo a ON a.id = p.area_id
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE d.id = $1 AND c.deleted_at IS NULL`,
+  hallazgo: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM hallazgos h
+    JOIN cuestionarios_info ci ON ci.id = h.cuestionario_info_id
+    JOIN puestos_trabajo p ON p.id = ci.puesto_id
+    JOIN areas_trabajo a ON a.id = p.area_id
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE h.id = $1 AND c.deleted_at IS NULL`,
+  visita: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM visitas v
+    JOIN clientes c ON c.id = v.cliente_id
+    WHERE v.id = $1 AND c.deleted_at IS NULL`,
+  reporteNom: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM reportes_nom r
+    JOIN clientes c ON c.id = r.cliente_id
+    WHERE r.id = $1 AND c.deleted_at IS NULL`,
+  evidencia: `
+    SELECT c.usuario_id, c.id AS cliente_id
+    FROM evidencias ev
+    LEFT JOIN cuestionarios_info ci ON ci.id = ev.cuestionario_info_id
+    LEFT JOIN puestos_trabajo p ON p.id = ci.puesto_id
+    JOIN areas_trabajo a ON a.id = COALESCE(ev.area_id, p.area_id)
+    JOIN clientes c ON c.id = a.cliente_id
+    WHERE ev.id = $1 AND c.deleted_at IS NULL`,
+};
+
+// Regresa null si el usuario puede acceder, o el status HTTP del rechazo
+const validarAcceso = async (req, entidad, id) => {
+  if (!/^\d+$/.test(String(id ?? ""))) return 404;
+
+  const result = await db.query(consultasPropietario[entidad], [id]);
+
+  if (result.rows.length === 0) return 404;
+
+  req.clienteId = result.rows[0].cliente_id;
+
+  if (esAdmin(req)) return null;
+
+  return String(result.rows[0].usuario_id) === String(req.usuario.id)
+    ? null
+    : 403;
+};
+
+// Si la petición se rechaza después de multer, no dejar archivos huérfanos
+const descartarArchivos = (req) => {
+  const archivos = [
+    ...(req.file ? [req.file] : []),
+    ...Object.values(req.files || {}).flat(),
+  ];
+
+  for (const archivo of archivos) {
+    for (const clave of [
+      archivo.clave,
+      rutaVariante(archivo.clave, "web"),
+      rutaVariante(archivo.clave, "thumb"),
+    ]) {
+      almacenamiento.eliminar(clave).catch(() => {});
+    }
+  }
+
+  if (archivos.length > 0) {
+    db.query("DELETE FROM imagenes_variantes WHERE archivo = ANY($1)", [
+      archivos.map((archivo) => rutaDeClave(archivo.clave)),
+    ]).catch(() => {});
+  }
+};
+
+const responderAccesoDenegado = (req, res, status) => {
+  descartarArchivos(req);
+
+  res.status(status).json({
+    error: status === 404 ? "Registro no encontrado" : "Acceso denegado",
+  });
+};
+
+// Middleware: autorizar("puesto", (req) => req.query.puestoId)
+const autorizar =
+  (entidad, obtenerId = (req) => req.params.id) =>
+  async (req, res, next) => {
+    try {
+      const status = await validarAcceso(req, entidad, obtenerId(req));
+
+      if (status) return responderAccesoDenegado(req, res, status);
+
+      next();
+    } catch (err) {
+      console.error("❌ Error validando acceso:", err);
+      descartarArchivos(req);
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+const soloAdmin = (req, res, next) => {
+  if (!esAdmin(req)) {
+    return res.status(403).json({ error: "Acceso denegado" });
+  }
+
+  next();
+};
+
+// ------------------- AUDITORÍA -------------------
+
+// Registra quién cambió qué. Dentro de una transacción se pasa el client
+// para que el registro se confirme o revierta junto con el cambio.
+// Los jobs programados mandan req = null.
+const registrarAuditoria = async (
+  req,
+  { accion, entidad, entidadId, clienteId, antes = null, despues = null },
+  ejecutor = db,
+) => {
+  await ejecutor.query(
+    `INSERT INTO auditoria
+    (usuario_id, metodo, ruta, accion, entidad, entidad_id, cliente_id, antes, despues)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req?.usuario?.id ?? null,
+      req?.method ?? "JOB",
+      req?.originalUrl ?? null,
+      accion,
+      entidad,
+      entidadId ?? null,
+      clienteId ?? req?.clienteId ?? null,
+      antes === null ? null : JSON.stringify(antes),
+      despues === null ? null : JSON.stringify(despues),
+    ],
+  );
+};
 
 // ------------------- 📁 FIX IMPORTANTE: UPLOADS UNIFICADO -------------------
 
@@ -51,47 +340,213 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Carpeta exclusiva para los reportes NOM
-const reportesNomDir = path.join(uploadsDir, "reportes_nom");
+// Disco local (uploadsDir) o bucket S3 según ALMACENAMIENTO
+const almacenamiento = crearAlmacenamiento(undefined, {
+  directorio: uploadsDir,
+});
 
-if (!fs.existsSync(reportesNomDir)) {
-  fs.mkdirSync(reportesNomDir, { recursive: true });
-}
+// Los reportes NOM van en su propia carpeta
+const CARPETA_REPORTES_NOM = "reportes_nom";
+
+// ------------------- ARCHIVOS PRIVADOS -------------------
+// /uploads/* ya no es público. Un archivo se entrega si:
+//  - la petición trae un token y el usuario es dueño del registro que lo
+//    referencia, o
+//  - la URL trae una firma vigente (?expira=&firma=) generada con
+//    POST /archivos/enlace, para compartirla con el contacto del cliente.
+
+const ARCHIVOS_SECRET = process.env.ARCHIVOS_SECRET || JWT_SECRET;
+const ENLACE_MINUTOS = parseInt(process.env.ARCHIVOS_ENLACE_MINUTOS, 10) || 60;
+const ENLACE_MAX_MINUTOS = 7 * 24 * 60;
+
+const firmaArchivo = (ruta, expira) =>
+  crypto
+    .createHmac("sha256", ARCHIVOS_SECRET)
+    .update(`${ruta}:${expira}`)
+    .digest("hex");
+
+// /uploads/x.jpg?expira=<epoch s>&firma=<hmac>
+const enlaceFirmado = (ruta, minutos = ENLACE_MINUTOS) => {
+  const expira = Math.floor(Date.now() / 1000) + minutos * 60;
+
+  return {
+    url: `${ruta}?expira=${expira}&firma=${firmaArchivo(ruta, expira)}`,
+    expira: new Date(expira * 1000),
+  };
+};
 
-app.use("/uploads", express.static(uploadsDir));
+const firmaVigente = (ruta, { expira, firma }) => {
+  if (!expira || !firma || Number(expira) < Date.now() / 1000) return false;
 
-// Test directo
-app.get("/test-upload", (req, res) => {
-  res.sendFile(path.join(uploadsDir, "1783093855682.jpg"));
-});
+  const esperada = Buffer.from(firmaArchivo(ruta, expira));
+  const recibida = Buffer.from(String(firma));
 
-// ------------------- MULTER CORREGIDO -------------------
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir); // ✅ MISMA CARPETA QUE EXPRESS
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    cb(null, Date.now() + ext);
-  },
+  return (
+    esperada.length === recibida.length &&
+    crypto.timingSafeEqual(esperada, recibida)
+  );
+};
+
+// Registro dueño del archivo: { entidad, id } para validarAcceso.
+// Las variantes web/miniatura pertenecen al registro de su original.
+const propietarioArchivo = async (ruta) => {
+  const variante = await db.query(
+    "SELECT archivo FROM imagenes_variantes WHERE web = $1 OR miniatura = $1",
+    [ruta],
+  );
+  const original = variante.rows[0]?.archivo || ruta;
+
+  const result = await db.query(
+    `SELECT 'area' AS entidad, id FROM areas_trabajo WHERE image = $1
+    UNION ALL
+    SELECT 'cuestionario', id FROM cuestionarios_info WHERE image = $1
+    UNION ALL
+    SELECT 'cuestionario', info_id FROM cuestionarios_revisiones
+      WHERE datos->>'image' = $1
+    UNION ALL
+    SELECT 'cuestionario', cuestionario_info_id FROM documentos_cuestionario
+      WHERE archivo = $1
+    UNION ALL
+    SELECT 'evidencia', id FROM evidencias WHERE archivo = $1
+    UNION ALL
+    SELECT 'hallazgo', id FROM hallazgos WHERE evidencia_cierre = $1
+    UNION ALL
+    SELECT 'inventario', id FROM inventario
+      WHERE ficha_tecnica = $1 OR certificado = $1
+    UNION ALL
+    SELECT 'entrega', id FROM entregas_epp WHERE firma = $1
+    UNION ALL
+    SELECT 'cliente', cliente_id FROM reportes_nom WHERE archivo = $1
+    LIMIT 1`,
+    [original],
+  );
+
+  return result.rows[0] || null;
+};
+
+const enviarArchivo = async (res, ruta) => {
+  const { cuerpo, tipo } = await almacenamiento.flujo(claveDeRuta(ruta));
+
+  res.setHeader("Content-Type", tipo);
+  res.setHeader("Cache-Control", "private, max-age=300");
+  cuerpo.pipe(res);
+};
+
+// Registro del usuario que referencia la ruta; null si no tiene acceso
+const validarAccesoArchivo = async (req, ruta) => {
+  const propietario = await propietarioArchivo(ruta);
+
+  if (!propietario) return 404;
+
+  return validarAcceso(req, propietario.entidad, propietario.id);
+};
+
+app.use("/uploads", (req, res) => {
+  if (req.method !== "GET") return res.sendStatus(405);
+
+  let ruta;
+  try {
+    ruta = `/uploads${decodeURIComponent(req.path)}`;
+  } catch (err) {
+    return res.status(400).json({ error: "Ruta de archivo inválida" });
+  }
+
+  const servir = () =>
+    enviarArchivo(res, ruta).catch((err) => {
+      if (err.status === 404) return res.sendStatus(404);
+
+      console.error("❌ Error enviando archivo:", err.message);
+      res.status(500).json({ error: err.message });
+    });
+
+  if (req.query.firma) {
+    return firmaVigente(ruta, req.query)
+      ? servir()
+      : res.status(403).json({ error: "Enlace inválido o expirado" });
+  }
+
+  verificarToken(req, res, async () => {
+    try {
+      const status = await validarAccesoArchivo(req, ruta);
+      if (status) return responderAccesoDenegado(req, res, status);
+
+      servir();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
 });
 
-const storageReportesNom = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, reportesNomDir);
-  },
+// Todas las rutas siguientes requieren token
+app.use(verificarToken);
 
-  filename: (req, file, cb) => {
-    const nombreOriginal = path.basename(file.originalname);
+// Enlace temporal para compartir un archivo. body: { ruta, minutos }
+app.post("/archivos/enlace", async (req, res) => {
+  const { ruta } = req.body;
+  const minutos =
+    req.body.minutos === undefined || req.body.minutos === null
+      ? ENLACE_MINUTOS
+      : Number(req.body.minutos);
 
-    const nombreArchivo = `${Date.now()}-${nombreOriginal}`;
+  if (!ruta || !String(ruta).startsWith("/uploads/")) {
+    return res.status(400).json({ error: "ruta inválida" });
+  }
+
+  // Con 0 o negativo el enlace nacería vencido
+  if (!Number.isInteger(minutos) || minutos < 1) {
+    return res
+      .status(400)
+      .json({ error: "minutos debe ser un entero mayor a 0" });
+  }
+
+  try {
+    const status = await validarAccesoArchivo(req, ruta);
+    if (status) return responderAccesoDenegado(req, res, status);
+
+    res.json(enlaceFirmado(ruta, Math.min(minutos, ENLACE_MAX_MINUTOS)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ------------------- MULTER CORREGIDO -------------------
 
-    cb(null, nombreArchivo);
+// Los archivos se juntan en memoria antes de guardarse: sin límite una
+// sola subida grande agota la memoria del servidor
+const LIMITES_ARCHIVO = {
+  fileSize: (parseInt(process.env.ARCHIVOS_MAX_MB, 10) || 20) * 1024 * 1024,
+};
+
+// Texto del usuario dentro de una clave de almacenamiento: sin "/", ".."
+// ni acentos
+const slugArchivo = (texto) =>
+  String(texto ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80) || "documento";
+
+// Los archivos van directo al almacenamiento; req.file.filename es el
+// nombre dentro de la carpeta y req.file.clave la clave completa
+const storage = motorMulter(almacenamiento, {
+  nombrar: (req, file) => {
+    // Sufijo aleatorio: en subidas múltiples varios archivos caen en el mismo ms
+    const ext = path.extname(file.originalname);
+    return `${Date.now()}-${Math.round(Math.random() * 1e6)}${ext}`;
   },
 });
 
+const storageReportesNom = motorMulter(almacenamiento, {
+  carpeta: CARPETA_REPORTES_NOM,
+  // El filtro solo acepta PDF
+  nombrar: (req, file) =>
+    `${Date.now()}-${slugArchivo(path.parse(file.originalname).name)}.pdf`,
+});
+
 const uploadReporteNom = multer({
   storage: storageReportesNom,
+  limits: LIMITES_ARCHIVO,
 
   fileFilter: (req, file, cb) => {
     if (file.mimetype === "application/pdf") {
@@ -102,6 +557,100 @@ const uploadReporteNom = multer({
   },
 });
 
+// ------------------- METADATOS DE REPORTES NOM -------------------
+// Cada reemplazo crea una fila nueva (version + 1) y deja la anterior con
+// vigente = FALSE; origen_id agrupa todas las versiones del documento.
+// fuente: "manual" (PDF subido) o "generado" (desde los cuestionarios).
+
+const leerMetadatosReporte = (body) => ({
+  nom: body.nom || null,
+  periodo_inicio: body.periodo_inicio || null,
+  periodo_fin: body.periodo_fin || null,
+  area_id: body.area_id || null,
+  puesto_id: body.puesto_id || null,
+  consultor: body.consultor || null,
+  fecha_emision: body.fecha_emision || null,
+  fecha_vencimiento: body.fecha_vencimiento || null,
+});
+
+// El área / puesto del alcance deben ser del mismo cliente
+const validarAlcanceReporte = async (clienteId, { area_id, puesto_id }) => {
+  const invalido = (mensaje) => {
+    const error = new Error(mensaje);
+    error.status = 400;
+    return error;
+  };
+
+  if (puesto_id) {
+    const puesto = await db.query(
+      `SELECT p.area_id, a.cliente_id
+      FROM puestos_trabajo p
+      JOIN areas_trabajo a ON a.id = p.area_id
+      WHERE p.id = $1`,
+      [puesto_id],
+    );
+
+    if (
+      puesto.rows.length === 0 ||
+      String(puesto.rows[0].cliente_id) !== String(clienteId) ||
+      (area_id && String(puesto.rows[0].area_id) !== String(area_id))
+    ) {
+      throw invalido("puesto_id no pertenece al cliente o al área");
+    }
+  }
+
+  if (area_id) {
+    const area = await db.query(
+      "SELECT cliente_id FROM areas_trabajo WHERE id = $1",
+      [area_id],
+    );
+
+    if (
+      area.rows.length === 0 ||
+      String(area.rows[0].cliente_id) !== String(clienteId)
+    ) {
+      throw invalido("area_id no pertenece al cliente");
+    }
+  }
+};
+
+const insertarReporteNom = async (ejecutor, reporte) => {
+  const result = await ejecutor.query(
+    `INSERT INTO reportes_nom
+    (cliente_id, tipo_documento, archivo, nom, periodo_inicio, periodo_fin,
+     area_id, puesto_id, consultor, fuente, usuario_id, version, origen_id,
+     fecha_emision, fecha_vencimiento)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *`,
+    [
+      reporte.cliente_id,
+      reporte.tipo_documento,
+      reporte.archivo,
+      reporte.nom,
+      reporte.periodo_inicio,
+      reporte.periodo_fin,
+      reporte.area_id,
+      reporte.puesto_id,
+      reporte.consultor,
+      reporte.fuente || "manual",
+      reporte.usuario_id,
+      reporte.version || 1,
+      reporte.origen_id || null,
+      reporte.fecha_emision || null,
+      reporte.fecha_vencimiento || null,
+    ],
+  );
+
+  if (reporte.origen_id) return result.rows[0];
+
+  const origen = await ejecutor.query(
+    "UPDATE reportes_nom SET origen_id = id WHERE id = $1 RETURNING *",
+    [result.rows[0].id],
+  );
+
+  return origen.rows[0];
+};
+
 // =====================================================
 // SUBIR DOCUMENTOS DE REPORTES NOM - OPCIÓN 1
 // =====================================================
@@ -109,13 +658,9 @@ const uploadReporteNom = multer({
 app.post(
   "/reportes-nom/opcion-1",
   uploadReporteNom.single("archivo"),
+  autorizar("cliente", (req) => req.body.cliente_id),
   async (req, res) => {
     try {
-      console.log("===== SUBIDA REPORTE NOM OPCIÓN 1 =====");
-
-      console.log("BODY:", req.body);
-      console.log("FILE:", req.file);
-
       const {
         cliente_id,
         tipo_documento,
@@ -147,44 +692,47 @@ app.post(
         });
       }
 
+      const metadatos = leerMetadatosReporte(req.body);
+
+      try {
+        await validarAlcanceReporte(cliente_id, metadatos);
+      } catch (error) {
+        descartarArchivos(req);
+        return res.status(error.status || 500).json({
+          error: error.message,
+        });
+      }
+
       // -----------------------------------------
       // RUTA DEL ARCHIVO
       // -----------------------------------------
 
       const ruta = `/uploads/reportes_nom/${req.file.filename}`;
 
-      console.log("Archivo guardado:", req.file.filename);
-      console.log("Ruta BD:", ruta);
-
       // -----------------------------------------
       // GUARDAR EN BASE DE DATOS
       // -----------------------------------------
 
-      const result = await db.query(
-        `
-        INSERT INTO reportes_nom
-        (
-          cliente_id,
-          tipo_documento,
-          archivo
-        )
-        VALUES
-        ($1, $2, $3)
-        RETURNING *
-        `,
-        [
-          cliente_id,
-          tipo_documento,
-          ruta,
-        ]
-      );
+      const reporte = await insertarReporteNom(db, {
+        ...metadatos,
+        cliente_id,
+        tipo_documento,
+        archivo: ruta,
+        fuente: "manual",
+        usuario_id: req.usuario.id,
+      });
 
-      console.log("Registro guardado en BD:", result.rows[0]);
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "reportes_nom",
+        entidadId: reporte.id,
+        despues: reporte,
+      });
 
       res.json({
         success: true,
         mensaje: "PDF subido correctamente",
-        reporte: result.rows[0],
+        reporte,
       });
 
     } catch (error) {
@@ -203,16 +751,6 @@ app.post(
   }
 );
 
-app.get("/test-uploads", (req, res) => {
-  fs.readdir(uploadsDir, (err, files) => {
-    if (err) {
-      return res.status(500).json(err);
-    }
-
-    res.json(files);
-  });
-});
-
 const fileFilter = (req, file, cb) => {
   const permitidos = ["image/jpeg", "image/jpg", "application/pdf"];
 
@@ -225,1070 +763,8063 @@ const fileFilter = (req, file, cb) => {
 
 const upload = multer({
   storage,
+  limits: LIMITES_ARCHIVO,
   fileFilter,
 });
 
-// ------------------- RUTAS (TODO IGUAL) -------------------
+// Las firmas se capturan en el dispositivo como PNG
+const uploadFirma = multer({
+  storage,
+  limits: LIMITES_ARCHIVO,
+  fileFilter: (req, file, cb) => {
+    if (["image/png", "image/jpeg", "image/jpg"].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("La firma debe ser una imagen PNG o JPG"), false);
+    }
+  },
+});
 
-// LOGIN
-app.post("/login", async (req, res) => {
-  try {
-    const { usuario, password } = req.body;
+const uploadFotos = multer({
+  storage,
+  limits: LIMITES_ARCHIVO,
+  fileFilter: (req, file, cb) => {
+    if (["image/png", "image/jpeg", "image/jpg"].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Las fotos deben ser PNG o JPG"), false);
+    }
+  },
+});
 
-    const result = await db.query(
-      "SELECT * FROM usuarios WHERE usuario = $1 AND password = $2",
-      [usuario, password],
+// ------------------- OPTIMIZACIÓN DE IMÁGENES -------------------
+// Cada foto subida genera una versión web y una miniatura junto al
+// original: 1762360386972.jpg -> 1762360386972-web.jpg / -thumb.jpg.
+// El original pierde los metadatos EXIF (incluida la ubicación GPS) salvo
+// que se mande conservar_exif=true.
+
+const VARIANTES_IMAGEN = {
+  web: { ancho: 1600, calidad: 80 },
+  thumb: { ancho: 320, calidad: 70 },
+};
+
+const TIPOS_OPTIMIZABLES = ["image/jpeg", "image/jpg", "image/png"];
+
+const rutaVariante = (ruta, variante) =>
+  ruta.replace(/\.[^./]+$/, "") + `-${variante}.jpg`;
+
+const optimizarImagen = async (archivo, conservarExif) => {
+  const ruta = rutaDeClave(archivo.clave);
+  const original = await almacenamiento.leer(archivo.clave);
+  const metadata = await sharp(original).metadata();
+
+  // EXIF orientation 5-8 intercambia ancho y alto
+  const girada = metadata.orientation >= 5;
+  const ancho = girada ? metadata.height : metadata.width;
+  const alto = girada ? metadata.width : metadata.height;
+
+  for (const [variante, opciones] of Object.entries(VARIANTES_IMAGEN)) {
+    const contenido = await sharp(original)
+      .rotate()
+      .resize({ width: opciones.ancho, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: opciones.calidad, mozjpeg: true })
+      .toBuffer();
+
+    await almacenamiento.guardar(
+      rutaVariante(archivo.clave, variante),
+      contenido,
+      "image/jpeg",
     );
+  }
 
-    res.json({
-      success: result.rows.length > 0,
-      usuario: result.rows[0] || null,
-    });
-  } catch (error) {
-    console.log(error);
-    res.status(500).json({ success: false });
+  if (!conservarExif && metadata.exif) {
+    // rotate() aplica la orientación antes de descartar los metadatos
+    const limpia = await sharp(original).rotate().toBuffer();
+    await almacenamiento.guardar(archivo.clave, limpia, archivo.mimetype);
   }
-});
 
-// REGISTRAR CLIENTE
-app.post("/cliente", async (req, res) => {
+  await db.query(
+    `INSERT INTO imagenes_variantes
+    (archivo, web, miniatura, ancho, alto, exif_conservado)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (archivo) DO UPDATE SET
+      web = EXCLUDED.web,
+      miniatura = EXCLUDED.miniatura,
+      ancho = EXCLUDED.ancho,
+      alto = EXCLUDED.alto,
+      exif_conservado = EXCLUDED.exif_conservado`,
+    [
+      ruta,
+      rutaVariante(ruta, "web"),
+      rutaVariante(ruta, "thumb"),
+      ancho,
+      alto,
+      Boolean(conservarExif && metadata.exif),
+    ],
+  );
+};
+
+// Middleware: va después de multer y procesa las imágenes recibidas
+const optimizarImagenes = async (req, res, next) => {
+  const archivos = [
+    ...(req.file ? [req.file] : []),
+    ...Object.values(req.files || {}).flat(),
+  ].filter((archivo) => TIPOS_OPTIMIZABLES.includes(archivo.mimetype));
+
   try {
-    const { nombre_empresa, nombre, telefono, direccion, puesto, usuario_id } =
-      req.body;
+    for (const archivo of archivos) {
+      await optimizarImagen(archivo, req.body.conservar_exif === "true");
+    }
 
-    await db.query(
-      `INSERT INTO clientes
-      (nombre_empresa, nombre, telefono, direccion, puesto, usuario_id)
-      VALUES ($1, $2, $3, $4, $5, $6)`,
-      [nombre_empresa, nombre, telefono, direccion, puesto, usuario_id],
-    );
+    next();
+  } catch (err) {
+    console.error("❌ Error optimizando imagen:", err.message);
+    descartarArchivos(req);
+    res.status(400).json({ error: "No se pudo procesar la imagen" });
+  }
+};
 
-    res.json({ success: true });
-  } catch (error) {
-    console.log(error);
-    res.status(500).json({ success: false });
+// Columnas de variantes para una imagen: LEFT JOIN imagenes_variantes alias
+const columnasVariantes = (alias) => `
+  ${alias}.web AS imagen_web,
+  ${alias}.miniatura AS imagen_miniatura,
+  ${alias}.ancho AS imagen_ancho,
+  ${alias}.alto AS imagen_alto`;
+
+// ------------------- RELACIONES Y ELIMINACIÓN EN CASCADA -------------------
+// Reciben el client de una transacción abierta (BEGIN / COMMIT)
+
+// riesgos / epp del body: listas de ids enteros (u omitidas), nunca
+// concatenadas al SQL
+const listasDeIdsValidas = (...listas) =>
+  listas.every(
+    (lista) =>
+      lista === undefined ||
+      lista === null ||
+      (Array.isArray(lista) &&
+        lista.every((id) => Number.isInteger(Number(id)))),
+  );
+
+// Agrega y quita filas de una tabla puente (puestos_riesgos, puestos_epp)
+// para que el puesto quede vinculado exactamente a `ids`
+const sincronizarRelacion = async (client, tabla, columna, puestoId, ids) => {
+  const nuevos = [...new Set(ids.map(Number))];
+
+  const actuales = await client.query(
+    `SELECT ${columna} AS id FROM ${tabla} WHERE puesto_id = $1`,
+    [puestoId],
+  );
+  const existentes = actuales.rows.map((r) => Number(r.id));
+
+  const quitar = existentes.filter((id) => !nuevos.includes(id));
+  const agregar = nuevos.filter((id) => !existentes.includes(id));
+
+  if (quitar.length > 0) {
+    await client.query(
+      `DELETE FROM ${tabla} WHERE puesto_id = $1 AND ${columna} = ANY($2::int[])`,
+      [puestoId, quitar],
+    );
   }
-});
 
-// OBTENER CLIENTES
-app.get("/clientes/:usuarioId", async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT * FROM clientes WHERE usuario_id = $1 ORDER BY id DESC",
-      [req.params.usuarioId],
+  if (agregar.length > 0) {
+    await client.query(
+      `INSERT INTO ${tabla} (puesto_id, ${columna})
+       SELECT $1, UNNEST($2::int[])`,
+      [puestoId, agregar],
     );
+  }
+};
 
-    res.json(result.rows);
-  } catch (error) {
-    console.log(error);
-    res.status(500).json({ error: "Error al obtener clientes" });
+// Rutas (/uploads/...) de todos los archivos que cuelgan de un cliente,
+// área o puesto. Se consultan antes de borrar las filas.
+const consultarArchivos = async (client, filtro, id) => {
+  const columna = { cliente: "a.cliente_id", area: "a.id", puesto: "p.id" }[
+    filtro
+  ];
+  const columnaInventario = {
+    cliente: "i.cliente_id",
+    area: "i.area_id",
+    puesto: "i.puesto_id",
+  }[filtro];
+
+  const consultas = [
+    `SELECT ci.image AS archivo
+     FROM cuestionarios_info ci
+     JOIN puestos_trabajo p ON p.id = ci.puesto_id
+     JOIN areas_trabajo a ON a.id = p.area_id
+     WHERE ${columna} = $1`,
+    `SELECT r.datos->>'image' AS archivo
+     FROM cuestionarios_revisiones r
+     JOIN cuestionarios_info ci ON ci.id = r.info_id
+     JOIN puestos_trabajo p ON p.id = ci.puesto_id
+     JOIN areas_trabajo a ON a.id = p.area_id
+     WHERE ${columna} = $1`,
+    `SELECT ev.archivo
+     FROM evidencias ev
+     JOIN cuestionarios_info ci ON ci.id = ev.cuestionario_info_id
+     JOIN puestos_trabajo p ON p.id = ci.puesto_id
+     JOIN areas_trabajo a ON a.id = p.area_id
+     WHERE ${columna} = $1`,
+    `SELECT ev.archivo
+     FROM evidencias ev
+     JOIN areas_trabajo a ON a.id = ev.area_id
+     WHERE ${columna} = $1`,
+    `SELECT h.evidencia_cierre AS archivo
+     FROM hallazgos h
+     JOIN cuestionarios_info ci ON ci.id = h.cuestionario_info_id
+     JOIN puestos_trabajo p ON p.id = ci.puesto_id
+     JOIN areas_trabajo a ON a.id = p.area_id
+     WHERE ${columna} = $1`,
+    `SELECT d.archivo
+     FROM documentos_cuestionario d
+     JOIN cuestionarios_info ci ON ci.id = d.cuestionario_info_id
+     JOIN puestos_trabajo p ON p.id = ci.puesto_id
+     JOIN areas_trabajo a ON a.id = p.area_id
+     WHERE ${columna} = $1`,
+    `SELECT i.ficha_tecnica AS archivo FROM inventario i
+     WHERE ${columnaInventario} = $1`,
+    `SELECT i.certificado AS archivo FROM inventario i
+     WHERE ${columnaInventario} = $1`,
+    `SELECT en.firma AS archivo
+     FROM entregas_epp en
+     JOIN inventario i ON i.id = en.inventario_id
+     WHERE ${columnaInventario} = $1`,
+  ];
+
+  if (filtro !== "puesto") {
+    consultas.push(
+      `SELECT a.image AS archivo FROM areas_trabajo a WHERE ${columna} = $1`,
+    );
   }
-});
 
-// AREAS POR CLIENTE
-app.get("/clientes/:id/areas", async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT * FROM areas_trabajo WHERE cliente_id = $1",
-      [req.params.id],
+  if (filtro === "cliente") {
+    consultas.push(
+      "SELECT r.archivo FROM reportes_nom r WHERE r.cliente_id = $1",
     );
-    res.send(result.rows);
-  } catch (err) {
-    res.status(500).send(err);
   }
-});
 
-// AGREGAR ÁREA CON IMAGEN
-app.post("/clientes/:id/areas", upload.single("image"), async (req, res) => {
-  const { nombre_area, descripcion, encargado, contacto } = req.body;
+  const result = await client.query(consultas.join(" UNION "), [id]);
 
-  try {
-    const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+  return result.rows.map((r) => r.archivo).filter(Boolean);
+};
 
-    const result = await db.query(
-      `INSERT INTO areas_trabajo
-      (cliente_id, nombre_area, descripcion, encargado, contacto, image)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *`,
-      [req.params.id, nombre_area, descripcion, encargado, contacto, imagePath],
+// Se llama después del COMMIT: si el borrado falla, los archivos se quedan
+const eliminarArchivosFisicos = (rutas) => {
+  for (const ruta of rutas) {
+    const variantes = [rutaVariante(ruta, "web"), rutaVariante(ruta, "thumb")];
+
+    for (const archivo of [ruta, ...variantes]) {
+      almacenamiento.eliminar(claveDeRuta(archivo)).catch((err) => {
+        console.error("❌ No se pudo borrar el archivo:", archivo, err.message);
+      });
+    }
+  }
+
+  if (rutas.length > 0) {
+    db.query("DELETE FROM imagenes_variantes WHERE archivo = ANY($1)", [
+      rutas,
+    ]).catch((err) => {
+      console.error("❌ No se pudieron borrar las variantes:", err.message);
+    });
+  }
+};
+
+// Inventario con sus entregas de EPP y movimientos.
+// columna: "cliente_id" | "area_id" | "puesto_id"
+// El kardex y las constancias de entrega firmadas (NOM-017) son el registro
+// de auditoría del inventario: un área o puesto con ese historial no se
+// borra. filtro: "area" | "puesto"
+const verificarHistorialInventario = async (client, filtro, id) => {
+  const result = await client.query(
+    `WITH puestos AS (
+      SELECT id FROM puestos_trabajo
+      WHERE ${filtro === "area" ? "area_id" : "id"} = $1
+    ),
+    articulos AS (
+      SELECT id FROM inventario
+      WHERE puesto_id IN (SELECT id FROM puestos)
+        ${filtro === "area" ? "OR area_id = $1" : ""}
+    )
+    SELECT
+      (SELECT COUNT(*) FROM inventario_movimientos
+        WHERE inventario_id IN (SELECT id FROM articulos))::int AS movimientos,
+      (SELECT COUNT(*) FROM entregas_epp
+        WHERE puesto_id IN (SELECT id FROM puestos)
+          OR inventario_id IN (SELECT id FROM articulos))::int AS entregas`,
+    [id],
+  );
+
+  const { movimientos, entregas } = result.rows[0];
+
+  if (movimientos > 0 || entregas > 0) {
+    const error = new Error(
+      `No se puede eliminar: tiene ${movimientos} movimientos de inventario y ${entregas} entregas de EPP registradas`,
     );
+    error.status = 409;
+    throw error;
+  }
+};
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).send("Error al registrar el área");
+// Un área o puesto con trabajadores activos no se borra: primero se
+// cambian de puesto o se dan de baja (DELETE /trabajadores/:id).
+// filtro: "area" | "puesto"
+const verificarTrabajadoresActivos = async (client, filtro, id) => {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS activos
+    FROM trabajadores t
+    JOIN puestos_trabajo p ON p.id = t.puesto_id
+    WHERE t.activo AND p.${filtro === "area" ? "area_id" : "id"} = $1`,
+    [id],
+  );
+
+  const { activos } = result.rows[0];
+
+  if (activos > 0) {
+    const error = new Error(
+      `No se puede eliminar: tiene ${activos} trabajadores activos; cámbialos de puesto o dalos de baja primero`,
+    );
+    error.status = 409;
+    throw error;
   }
-});
+};
 
-// ------------------- EL RESTO DE TUS RUTAS SIGUEN IGUAL -------------------
-// (NO SE ELIMINÓ NINGUNA)
+const eliminarInventarioCascada = async (client, columna, id) => {
+  const articulos = `SELECT id FROM inventario WHERE ${columna} = $1`;
 
-// ... TODO TU CÓDIGO ORIGINAL AQUÍ SIN CAMBIOS ...
+  await client.query(
+    `DELETE FROM entregas_epp WHERE inventario_id IN (${articulos})`,
+    [id],
+  );
 
-// ------------------- INICIAR SERVIDOR -------------------
+  await client.query(
+    `DELETE FROM inventario_movimientos WHERE inventario_id IN (${articulos})`,
+    [id],
+  );
 
-// ------------------- PUESTOS ------------------- //
+  await client.query(`DELETE FROM inventario WHERE ${columna} = $1`, [id]);
+};
 
-// PUESTOS POR ÁREA
-app.get("/areas/:id/puestos", async (req, res) => {
-  try {
-    const result = await db.query(
-      `
-      SELECT 
-        p.id,
-        p.puesto,
-        p.numero_usuarios,
-        p.descripcion,
-        p.criterio_epp,
-        STRING_AGG(DISTINCT r.nombre, ', ') AS riesgos,
-        STRING_AGG(DISTINCT e.nombre, ', ') AS epp
-      FROM puestos_trabajo p
-      LEFT JOIN puestos_riesgos pr ON p.id = pr.puesto_id
-      LEFT JOIN riesgos_laborales r ON pr.riesgo_id = r.id
-      LEFT JOIN puestos_epp pe ON p.id = pe.puesto_id
-      LEFT JOIN equipo_proteccion e ON pe.epp_id = e.id
-      WHERE p.area_id = $1
-      GROUP BY p.id
-    `,
-      [req.params.id],
-    );
+const eliminarPuestoCascada = async (client, puestoId) => {
+  // Inventario asignado al puesto
+  await eliminarInventarioCascada(client, "puesto_id", puestoId);
+
+  await client.query("DELETE FROM entregas_epp WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  // Relaciones del puesto
+  await client.query("DELETE FROM puestos_riesgos WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  await client.query("DELETE FROM puestos_epp WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  await client.query("DELETE FROM puestos_normas WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  // Trabajadores del puesto con su historial (desde DELETE /areas y
+  // /puestos solo quedan los dados de baja). Los periodos de los que
+  // pasaron por él y ahora están en otro puesto se conservan.
+  await client.query(
+    `DELETE FROM trabajadores_historial
+     WHERE trabajador_id IN (SELECT id FROM trabajadores WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query("DELETE FROM trabajadores WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  // Hallazgos, respuestas, revisiones, evidencias y documentos de cada
+  // cuestionario
+  await client.query(
+    `DELETE FROM hallazgos
+     WHERE cuestionario_info_id IN
+       (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query(
+    `DELETE FROM evidencias
+     WHERE cuestionario_info_id IN
+       (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query(
+    `DELETE FROM cuestionarios_revisiones
+     WHERE info_id IN (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query(
+    `DELETE FROM cuestionarios
+     WHERE info_id IN (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query(
+    `DELETE FROM documentos_cuestionario
+     WHERE cuestionario_info_id IN
+       (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query(
+    `DELETE FROM visitas_cuestionarios
+     WHERE cuestionario_info_id IN
+       (SELECT id FROM cuestionarios_info WHERE puesto_id = $1)`,
+    [puestoId],
+  );
+
+  await client.query("DELETE FROM cuestionarios_info WHERE puesto_id = $1", [
+    puestoId,
+  ]);
+
+  await client.query("DELETE FROM puestos_trabajo WHERE id = $1", [puestoId]);
+};
 
-    res.send(result.rows);
-  } catch (err) {
-    res.status(500).send(err);
+const eliminarAreaCascada = async (client, areaId) => {
+  await eliminarInventarioCascada(client, "area_id", areaId);
+
+  const puestos = await client.query(
+    "SELECT id FROM puestos_trabajo WHERE area_id = $1",
+    [areaId],
+  );
+
+  for (const puesto of puestos.rows) {
+    await eliminarPuestoCascada(client, puesto.id);
   }
-});
 
-// AGREGAR PUESTO + riesgos + epp
-app.post("/areas/:id/puestos", async (req, res) => {
-  const { puesto, numero_usuarios, descripcion, riesgos, epp, criterio_epp } =
-    req.body;
+  await client.query("DELETE FROM evidencias WHERE area_id = $1", [areaId]);
+
+  // La visita sigue siendo del cliente
+  await client.query("UPDATE visitas SET area_id = NULL WHERE area_id = $1", [
+    areaId,
+  ]);
+
+  await client.query("DELETE FROM areas_trabajo WHERE id = $1", [areaId]);
+};
 
+const eliminarClienteCascada = async (client, clienteId) => {
+  await eliminarInventarioCascada(client, "cliente_id", clienteId);
+
+  await client.query("DELETE FROM reportes_nom WHERE cliente_id = $1", [
+    clienteId,
+  ]);
+
+  await client.query(
+    `DELETE FROM visitas_cuestionarios
+     WHERE visita_id IN (SELECT id FROM visitas WHERE cliente_id = $1)`,
+    [clienteId],
+  );
+
+  await client.query("DELETE FROM visitas WHERE cliente_id = $1", [clienteId]);
+
+  const areas = await client.query(
+    "SELECT id FROM areas_trabajo WHERE cliente_id = $1",
+    [clienteId],
+  );
+
+  for (const area of areas.rows) {
+    await eliminarAreaCascada(client, area.id);
+  }
+
+  await client.query("DELETE FROM clientes WHERE id = $1", [clienteId]);
+};
+
+// ------------------- RUTAS (TODO IGUAL) -------------------
+
+// LOGIN
+app.post("/login", async (req, res) => {
   try {
-    const insertPuesto = await db.query(
-      `INSERT INTO puestos_trabajo (area_id, puesto, numero_usuarios, descripcion, riesgo_id, criterio_epp)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id`,
-      [
-        req.params.id,
-        puesto,
-        numero_usuarios,
-        descripcion,
-        riesgos?.[0] || null,
-        criterio_epp,
-      ],
-    );
+    const { usuario, password } = req.body;
 
-    const puestoId = insertPuesto.rows[0].id;
+    const result = await db.query("SELECT * FROM usuarios WHERE usuario = $1", [
+      usuario,
+    ]);
 
-    if (riesgos?.length > 0) {
-      const values = riesgos.map((r) => `(${puestoId}, ${r})`).join(",");
-      await db.query(
-        `INSERT INTO puestos_riesgos (puesto_id, riesgo_id) VALUES ${values}`,
-      );
+    const encontrado = result.rows[0];
+    const { valido, rehash } = await verificarPassword(
+      password,
+      encontrado?.password,
+    );
+
+    if (!valido) {
+      return res.json({ success: false, usuario: null });
     }
 
-    if (epp?.length > 0) {
-      const values = epp.map((e) => `(${puestoId}, ${e})`).join(",");
-      await db.query(
-        `INSERT INTO puestos_epp (puesto_id, epp_id) VALUES ${values}`,
-      );
+    // ✅ Migración: las contraseñas en texto plano se guardan hasheadas
+    if (rehash) {
+      const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await db.query("UPDATE usuarios SET password = $1 WHERE id = $2", [
+        hash,
+        encontrado.id,
+      ]);
     }
 
-    res.send({ success: true });
-  } catch (err) {
-    res.status(500).send(err);
+    res.json({
+      success: true,
+      usuario: usuarioPublico(encontrado),
+      ...generarTokens(encontrado),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false });
   }
 });
 
-// ------------------- CATÁLOGOS ------------------- //
-app.get("/riesgos", async (req, res) => {
+// RENOVAR TOKEN
+app.post("/refresh", async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT
-        r.id,
-        r.nombre,
-        r.categoria_id,
-        c.nombre AS categoria
-      FROM riesgos_laborales r
-      INNER JOIN categorias_epp c
-        ON r.categoria_id = c.id
-      ORDER BY c.nombre, r.nombre
-    `);
+    const { refreshToken } = req.body;
 
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({
-      error: err.message,
-    });
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: "Refresh token inválido" });
+    }
+
+    if (payload.tipo !== "refresh") {
+      return res.status(401).json({ error: "Refresh token inválido" });
+    }
+
+    // El usuario pudo haber sido eliminado después de emitir el token
+    const result = await db.query("SELECT * FROM usuarios WHERE id = $1", [
+      payload.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: "Usuario no encontrado" });
+    }
+
+    res.json(generarTokens(result.rows[0]));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/epp", async (req, res) => {
+// REGISTRAR CLIENTE
+app.post("/cliente", async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT
-        ep.id,
-        ep.nombre,
-        ep.categoria_id,
-        c.nombre AS categoria
-      FROM equipo_proteccion ep
-      INNER JOIN categorias_epp c
-        ON ep.categoria_id = c.id
-      ORDER BY c.nombre, ep.nombre
-    `);
+    const { nombre_empresa, nombre, telefono, direccion, puesto } = req.body;
 
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({
-      error: err.message,
+    const result = await db.query(
+      `INSERT INTO clientes
+      (nombre_empresa, nombre, telefono, direccion, puesto, usuario_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *`,
+      [nombre_empresa, nombre, telefono, direccion, puesto, req.usuario.id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "crear",
+      entidad: "clientes",
+      entidadId: result.rows[0].id,
+      clienteId: result.rows[0].id,
+      despues: result.rows[0],
     });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false });
   }
 });
 
-// ------------------- NORMAS ------------------- //
-app.get("/normas", async (req, res) => {
+// OBTENER CLIENTES (del usuario del token)
+app.get("/clientes", async (req, res) => {
   try {
-    const result = await db.query("SELECT * FROM normas");
+    // El admin ve todos los clientes
+    const result = esAdmin(req)
+      ? await db.query(
+          "SELECT * FROM clientes WHERE deleted_at IS NULL ORDER BY id DESC",
+        )
+      : await db.query(
+          "SELECT * FROM clientes WHERE usuario_id = $1 AND deleted_at IS NULL ORDER BY id DESC",
+          [req.usuario.id],
+        );
+
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error al obtener clientes" });
   }
 });
 
-app.get("/puestos/:puestoId/normas", async (req, res) => {
+// Compatibilidad con versiones anteriores de la app
+app.get("/clientes/:usuarioId", async (req, res) => {
+  const propio = String(req.params.usuarioId) === String(req.usuario.id);
+
+  if (!propio && !esAdmin(req)) {
+    return res.status(403).json({ error: "Acceso denegado" });
+  }
+
   try {
     const result = await db.query(
-      `SELECT n.*
-       FROM puestos_normas pn
-       JOIN normas n ON pn.norma_id = n.id
-       WHERE pn.puesto_id = $1`,
-      [req.params.puestoId],
+      "SELECT * FROM clientes WHERE usuario_id = $1 AND deleted_at IS NULL ORDER BY id DESC",
+      [req.params.usuarioId],
     );
+
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error al obtener clientes" });
   }
 });
 
-app.post("/puestos/:puestoId/normas", async (req, res) => {
-  const { normaId } = req.body;
+// OBTENER CLIENTE INDIVIDUAL
+app.get("/cliente/:id", autorizar("cliente"), async (req, res) => {
+  try {
+    const result = await db.query("SELECT * FROM clientes WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// ACTUALIZAR CLIENTE (los campos omitidos se conservan)
+app.put("/cliente/:id", autorizar("cliente"), async (req, res) => {
   try {
-    await db.query(
-      "INSERT INTO puestos_normas (puesto_id, norma_id) VALUES ($1, $2)",
-      [req.params.puestoId, normaId],
+    const { nombre_empresa, nombre, telefono, direccion, puesto } = req.body;
+
+    const anterior = await db.query("SELECT * FROM clientes WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    const result = await db.query(
+      `UPDATE clientes
+      SET
+        nombre_empresa = COALESCE($1, nombre_empresa),
+        nombre = COALESCE($2, nombre),
+        telefono = COALESCE($3, telefono),
+        direccion = COALESCE($4, direccion),
+        puesto = COALESCE($5, puesto)
+      WHERE id = $6
+      RETURNING *`,
+      [nombre_empresa, nombre, telefono, direccion, puesto, req.params.id],
     );
-    res.json({ message: "Norma asignada correctamente" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+    await registrarAuditoria(req, {
+      accion: "actualizar",
+      entidad: "clientes",
+      entidadId: req.params.id,
+      antes: anterior.rows[0],
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// ------------------- SUBOPCIONES ------------------- //
-app.get("/nom-subopciones/:nom", async (req, res) => {
+// AREAS POR CLIENTE
+app.get("/clientes/:id/areas", autorizar("cliente"), async (req, res) => {
   try {
     const result = await db.query(
-      "SELECT * FROM nom_subopciones WHERE nom = $1",
-      [req.params.nom],
+      `SELECT a.*, ${columnasVariantes("iv")}
+      FROM areas_trabajo a
+      LEFT JOIN imagenes_variantes iv ON iv.archivo = a.image
+      WHERE a.cliente_id = $1`,
+      [req.params.id],
     );
-    res.json(result.rows);
+    res.send(result.rows);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(500).send(err);
   }
 });
 
-// ------------------- CUESTIONARIO CON IMAGEN ------------------- //
-app.post("/cuestionario", upload.single("image"), async (req, res) => {
-  console.log("===== INICIO /cuestionario =====");
+// AGREGAR ÁREA CON IMAGEN
+app.post(
+  "/clientes/:id/areas",
+  autorizar("cliente"),
+  upload.single("image"),
+  optimizarImagenes,
+  async (req, res) => {
+    const { nombre_area, descripcion, encargado, contacto } = req.body;
 
-  let payload;
+    try {
+      const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+      const result = await db.query(
+        `INSERT INTO areas_trabajo
+        (cliente_id, nombre_area, descripcion, encargado, contacto, image)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [
+          req.params.id,
+          nombre_area,
+          descripcion,
+          encargado,
+          contacto,
+          imagePath,
+        ],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "areas_trabajo",
+        entidadId: result.rows[0].id,
+        despues: result.rows[0],
+      });
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send("Error al registrar el área");
+    }
+  },
+);
 
+// OBTENER ÁREA INDIVIDUAL
+app.get("/areas/:id", autorizar("area"), async (req, res) => {
   try {
-    payload = JSON.parse(req.body.data || "{}");
-    console.log("Payload recibido:", payload);
-  } catch (e) {
-    console.log("Error parseando payload:", e);
-    return res.status(400).json({ error: "Datos inválidos" });
+    const result = await db.query("SELECT * FROM areas_trabajo WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const {
-    puesto_id,
-    nom,
-    subopcion_id,
-    respuestas,
-    observaciones,
-    recomendaciones,
-    recomendaciones_epp,
-  } = payload;
+// ACTUALIZAR ÁREA (la imagen nueva reemplaza a la anterior)
+app.put(
+  "/areas/:id",
+  autorizar("area"),
+  upload.single("image"),
+  optimizarImagenes,
+  async (req, res) => {
+    const { nombre_area, descripcion, encargado, contacto } = req.body;
+
+    try {
+      const anterior = await db.query(
+        "SELECT * FROM areas_trabajo WHERE id = $1",
+        [req.params.id],
+      );
+
+      const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
 
-  console.log("Imagen:", req.file);
-  console.log("req.body:", req.body);
-  console.log("req.file:", req.file);
+      const result = await db.query(
+        `UPDATE areas_trabajo
+        SET
+          nombre_area = COALESCE($1, nombre_area),
+          descripcion = COALESCE($2, descripcion),
+          encargado = COALESCE($3, encargado),
+          contacto = COALESCE($4, contacto),
+          image = COALESCE($5, image)
+        WHERE id = $6
+        RETURNING *`,
+        [
+          nombre_area,
+          descripcion,
+          encargado,
+          contacto,
+          imagePath,
+          req.params.id,
+        ],
+      );
+
+      // ✅ Borrar del disco la imagen reemplazada
+      const imagenAnterior = anterior.rows[0]?.image;
+
+      if (imagePath && imagenAnterior && imagenAnterior !== imagePath) {
+        eliminarArchivosFisicos([imagenAnterior]);
+      }
+
+      await registrarAuditoria(req, {
+        accion: "actualizar",
+        entidad: "areas_trabajo",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: result.rows[0],
+      });
 
-  const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      descartarArchivos(req);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
 
+// ELIMINAR ÁREA (con sus puestos, cuestionarios e inventario)
+app.delete("/areas/:id", autorizar("area"), async (req, res) => {
   const client = await db.connect();
 
   try {
-    console.log("BEGIN");
     await client.query("BEGIN");
 
-    console.log("Insertando cuestionarios_info");
-
-    const infoResult = await client.query(
-      `INSERT INTO cuestionarios_info
-      (puesto_id, nom, subopcion_id, observaciones, recomendaciones, recomendaciones_epp, image)
-      VALUES ($1,$2,$3,$4,$5,$6,$7)
-      RETURNING id`,
-      [
-        puesto_id,
-        nom,
-        subopcion_id,
-        observaciones || null,
-        recomendaciones || null,
-        recomendaciones_epp || null,
-        imagePath,
-      ],
+    const anterior = await client.query(
+      "SELECT * FROM areas_trabajo WHERE id = $1",
+      [req.params.id],
     );
 
-    console.log("Insert OK");
+    await verificarHistorialInventario(client, "area", req.params.id);
+    await verificarTrabajadoresActivos(client, "area", req.params.id);
 
-    const infoId = infoResult.rows[0].id;
+    const archivos = await consultarArchivos(client, "area", req.params.id);
+    await eliminarAreaCascada(client, req.params.id);
 
-    console.log("infoId:", infoId);
+    await registrarAuditoria(
+      req,
+      {
+        accion: "eliminar",
+        entidad: "areas_trabajo",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+      },
+      client,
+    );
 
-    const values = respuestas
-      .map(
-        (r) =>
-          `(${puesto_id}, '${nom}', ${subopcion_id}, ${infoId}, '${r.pregunta}', '${r.respuesta}')`,
-      )
-      .join(",");
+    await client.query("COMMIT");
 
-    console.log("Insertando respuestas");
+    eliminarArchivosFisicos(archivos);
 
-    await client.query(
-      `INSERT INTO cuestionarios
-      (puesto_id, nom, subopcion_id, info_id, pregunta, respuesta)
-      VALUES ${values}`,
+    res.json({ success: true, message: "Área eliminada correctamente" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error("❌ Error eliminando área:", error);
+
+    res
+      .status(error.status || 500)
+      .json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ------------------- EL RESTO DE TUS RUTAS SIGUEN IGUAL -------------------
+// (NO SE ELIMINÓ NINGUNA)
+
+// ... TODO TU CÓDIGO ORIGINAL AQUÍ SIN CAMBIOS ...
+
+// ------------------- INICIAR SERVIDOR -------------------
+
+// ------------------- PUESTOS ------------------- //
+
+// PUESTOS POR ÁREA
+app.get("/areas/:id/puestos", autorizar("area"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `
+      SELECT 
+        p.id,
+        p.puesto,
+        p.numero_usuarios,
+        p.descripcion,
+        p.criterio_epp,
+        STRING_AGG(DISTINCT r.nombre, ', ') AS riesgos,
+        STRING_AGG(DISTINCT e.nombre, ', ') AS epp
+      FROM puestos_trabajo p
+      LEFT JOIN puestos_riesgos pr ON p.id = pr.puesto_id
+      LEFT JOIN riesgos_laborales r ON pr.riesgo_id = r.id
+      LEFT JOIN puestos_epp pe ON p.id = pe.puesto_id
+      LEFT JOIN equipo_proteccion e ON pe.epp_id = e.id
+      WHERE p.area_id = $1
+      GROUP BY p.id
+    `,
+      [req.params.id],
+    );
+
+    res.send(result.rows);
+  } catch (err) {
+    res.status(500).send(err);
+  }
+});
+
+// Puesto + ids de riesgos y epp vinculados (para la auditoría)
+const fotoPuesto = async (ejecutor, puestoId) => {
+  const result = await ejecutor.query(
+    `SELECT
+      p.*,
+      COALESCE(
+        (SELECT json_agg(riesgo_id ORDER BY riesgo_id)
+         FROM puestos_riesgos WHERE puesto_id = p.id),
+        '[]'
+      ) AS riesgos,
+      COALESCE(
+        (SELECT json_agg(epp_id ORDER BY epp_id)
+         FROM puestos_epp WHERE puesto_id = p.id),
+        '[]'
+      ) AS epp
+    FROM puestos_trabajo p
+    WHERE p.id = $1`,
+    [puestoId],
+  );
+
+  return result.rows[0] || null;
+};
+
+// AGREGAR PUESTO + riesgos + epp
+app.post("/areas/:id/puestos", autorizar("area"), async (req, res) => {
+  const { puesto, numero_usuarios, descripcion, riesgos, epp, criterio_epp } =
+    req.body;
+
+  if (!listasDeIdsValidas(riesgos, epp)) {
+    return res
+      .status(400)
+      .json({ error: "riesgos y epp deben ser listas de ids" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const insertPuesto = await client.query(
+      `INSERT INTO puestos_trabajo (area_id, puesto, numero_usuarios, descripcion, riesgo_id, criterio_epp)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        req.params.id,
+        puesto,
+        numero_usuarios,
+        descripcion,
+        riesgos?.[0] || null,
+        criterio_epp,
+      ],
     );
 
-    console.log("COMMIT");
+    const puestoId = insertPuesto.rows[0].id;
+
+    if (riesgos?.length > 0) {
+      await sincronizarRelacion(
+        client,
+        "puestos_riesgos",
+        "riesgo_id",
+        puestoId,
+        riesgos,
+      );
+    }
+
+    if (epp?.length > 0) {
+      await sincronizarRelacion(client, "puestos_epp", "epp_id", puestoId, epp);
+    }
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "crear",
+        entidad: "puestos_trabajo",
+        entidadId: puestoId,
+        despues: await fotoPuesto(client, puestoId),
+      },
+      client,
+    );
 
     await client.query("COMMIT");
 
-    res.json({
-      message: "ok",
-      info_id: infoId,
-    });
+    res.send({ success: true });
   } catch (err) {
-    console.log("ERROR SQL");
-    console.log(err);
+    await client.query("ROLLBACK");
+    res.status(500).send(err);
+  } finally {
+    client.release();
+  }
+});
+
+// ACTUALIZAR PUESTO + riesgos + epp
+// riesgos / epp son la lista completa de ids; si se omiten no se tocan
+app.put("/puestos/:id", autorizar("puesto"), async (req, res) => {
+  const { puesto, numero_usuarios, descripcion, riesgos, epp, criterio_epp } =
+    req.body;
+  const puestoId = req.params.id;
+
+  if (!listasDeIdsValidas(riesgos, epp)) {
+    return res
+      .status(400)
+      .json({ error: "riesgos y epp deben ser listas de ids" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const anterior = await fotoPuesto(client, puestoId);
+
+    if (Array.isArray(riesgos)) {
+      await sincronizarRelacion(
+        client,
+        "puestos_riesgos",
+        "riesgo_id",
+        puestoId,
+        riesgos,
+      );
+    }
+
+    if (Array.isArray(epp)) {
+      await sincronizarRelacion(client, "puestos_epp", "epp_id", puestoId, epp);
+    }
+
+    // La columna legacy riesgo_id debe ser uno de los riesgos vinculados
+    let riesgoId = anterior.riesgo_id;
+
+    if (Array.isArray(riesgos)) {
+      const ids = riesgos.map(Number);
+      riesgoId = ids.includes(Number(riesgoId)) ? riesgoId : ids[0] || null;
+    }
+
+    await client.query(
+      `UPDATE puestos_trabajo
+      SET
+        puesto = COALESCE($1, puesto),
+        numero_usuarios = COALESCE($2, numero_usuarios),
+        descripcion = COALESCE($3, descripcion),
+        criterio_epp = COALESCE($4, criterio_epp),
+        riesgo_id = $5
+      WHERE id = $6
+      RETURNING *`,
+      [puesto, numero_usuarios, descripcion, criterio_epp, riesgoId, puestoId],
+    );
+
+    // Con trabajadores registrados numero_usuarios no se captura a mano
+    await recalcularNumeroUsuarios(client, puestoId);
+
+    const despues = await fotoPuesto(client, puestoId);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "puestos_trabajo",
+        entidadId: puestoId,
+        antes: anterior,
+        despues,
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
 
+    res.json(despues);
+  } catch (error) {
     await client.query("ROLLBACK");
 
-    res.status(500).json({
-      error: err.message,
-    });
+    console.error("❌ Error actualizando puesto:", error);
+
+    res.status(500).json({ error: error.message });
   } finally {
     client.release();
   }
 });
 
-// SUBIR DOCUMENTOS (ARP / FICHA)
+// ELIMINAR PUESTO (con cuestionarios, documentos e inventario)
+app.delete("/puestos/:id", autorizar("puesto"), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const anterior = await fotoPuesto(client, req.params.id);
+
+    await verificarHistorialInventario(client, "puesto", req.params.id);
+    await verificarTrabajadoresActivos(client, "puesto", req.params.id);
+
+    const archivos = await consultarArchivos(client, "puesto", req.params.id);
+    await eliminarPuestoCascada(client, req.params.id);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "eliminar",
+        entidad: "puestos_trabajo",
+        entidadId: req.params.id,
+        antes: anterior,
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    eliminarArchivosFisicos(archivos);
+
+    res.json({ success: true, message: "Puesto eliminado correctamente" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error("❌ Error eliminando puesto:", error);
+
+    res
+      .status(error.status || 500)
+      .json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ------------------- TRABAJADORES ------------------- //
+
+const CURP_REGEX = /^[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]\d$/;
+const NSS_REGEX = /^\d{11}$/;
+
+// Regresa el mensaje de error o null si los datos son válidos
+const validarTrabajador = ({ nombre, curp, nss }, parcial = false) => {
+  if (!parcial && !nombre) return "nombre es requerido";
+  if (curp && !CURP_REGEX.test(String(curp).toUpperCase())) {
+    return "CURP inválida";
+  }
+  if (nss && !NSS_REGEX.test(String(nss))) return "NSS inválido (11 dígitos)";
+
+  return null;
+};
+
+// Si el puesto ya tiene trabajadores registrados, numero_usuarios es el
+// número de activos. Los puestos sin registro conservan su valor capturado.
+const recalcularNumeroUsuarios = async (client, puestoId) => {
+  await client.query(
+    `UPDATE puestos_trabajo p
+    SET numero_usuarios = (
+      SELECT COUNT(*) FROM trabajadores t
+      WHERE t.puesto_id = p.id AND t.activo
+    )
+    WHERE p.id = $1
+      AND EXISTS (SELECT 1 FROM trabajadores t WHERE t.puesto_id = p.id)`,
+    [puestoId],
+  );
+};
+
+// El número de empleado no se repite dentro del mismo cliente
+const numeroEmpleadoDuplicado = async (
+  client,
+  puestoId,
+  numeroEmpleado,
+  trabajadorId = null,
+) => {
+  if (!numeroEmpleado) return false;
+
+  const result = await client.query(
+    `SELECT 1
+    FROM trabajadores t
+    JOIN puestos_trabajo p ON p.id = t.puesto_id
+    JOIN areas_trabajo a ON a.id = p.area_id
+    WHERE t.numero_empleado = $1
+      AND ($3::int IS NULL OR t.id <> $3)
+      AND a.cliente_id = (
+        SELECT a2.cliente_id
+        FROM puestos_trabajo p2
+        JOIN areas_trabajo a2 ON a2.id = p2.area_id
+        WHERE p2.id = $2
+      )
+    LIMIT 1`,
+    [numeroEmpleado, puestoId, trabajadorId],
+  );
+
+  return result.rows.length > 0;
+};
+
+// TRABAJADORES DE UN PUESTO (?activos=true)
+app.get("/puestos/:id/trabajadores", autorizar("puesto"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM trabajadores
+      WHERE puesto_id = $1
+        AND ($2::boolean IS NOT TRUE OR activo)
+      ORDER BY activo DESC, nombre`,
+      [req.params.id, req.query.activos === "true"],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// AGREGAR TRABAJADOR
+app.post("/puestos/:id/trabajadores", autorizar("puesto"), async (req, res) => {
+  const { nombre, numero_empleado, fecha_ingreso, activo, curp, nss } =
+    req.body;
+
+  const invalido = validarTrabajador(req.body);
+  if (invalido) return res.status(400).json({ error: invalido });
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    if (await numeroEmpleadoDuplicado(client, req.params.id, numero_empleado)) {
+      await client.query("ROLLBACK");
+      return res
+        .status(409)
+        .json({ error: "El número de empleado ya existe en este cliente" });
+    }
+
+    const result = await client.query(
+      `INSERT INTO trabajadores
+      (puesto_id, nombre, numero_empleado, fecha_ingreso, activo, curp, nss)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        req.params.id,
+        nombre,
+        numero_empleado || null,
+        fecha_ingreso || null,
+        activo !== false,
+        curp ? String(curp).toUpperCase() : null,
+        nss || null,
+      ],
+    );
+
+    const trabajador = result.rows[0];
+
+    await client.query(
+      `INSERT INTO trabajadores_historial
+      (trabajador_id, puesto_id, area_id, desde, motivo, usuario_id)
+      SELECT $1, p.id, p.area_id, COALESCE($2::date, CURRENT_DATE), 'Alta', $3
+      FROM puestos_trabajo p WHERE p.id = $4`,
+      [trabajador.id, fecha_ingreso || null, req.usuario.id, req.params.id],
+    );
+
+    await recalcularNumeroUsuarios(client, req.params.id);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "crear",
+        entidad: "trabajadores",
+        entidadId: trabajador.id,
+        despues: trabajador,
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(trabajador);
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error("❌ Error registrando trabajador:", error);
+
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// TRABAJADOR + HISTORIAL DE PUESTOS
+app.get("/trabajadores/:id", autorizar("trabajador"), async (req, res) => {
+  try {
+    const trabajador = await db.query(
+      `SELECT t.*, p.puesto, a.id AS area_id, a.nombre_area
+      FROM trabajadores t
+      JOIN puestos_trabajo p ON p.id = t.puesto_id
+      JOIN areas_trabajo a ON a.id = p.area_id
+      WHERE t.id = $1`,
+      [req.params.id],
+    );
+
+    const historial = await db.query(
+      `SELECT h.*, p.puesto, a.nombre_area, u.usuario
+      FROM trabajadores_historial h
+      LEFT JOIN puestos_trabajo p ON p.id = h.puesto_id
+      LEFT JOIN areas_trabajo a ON a.id = h.area_id
+      LEFT JOIN usuarios u ON u.id = h.usuario_id
+      WHERE h.trabajador_id = $1
+      ORDER BY h.desde, h.id`,
+      [req.params.id],
+    );
+
+    res.json({ ...trabajador.rows[0], historial: historial.rows });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ACTUALIZAR TRABAJADOR (los campos omitidos se conservan)
+app.put("/trabajadores/:id", autorizar("trabajador"), async (req, res) => {
+  const { nombre, numero_empleado, fecha_ingreso, activo, curp, nss } =
+    req.body;
+
+  const invalido = validarTrabajador(req.body, true);
+  if (invalido) return res.status(400).json({ error: invalido });
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const anterior = await client.query(
+      "SELECT * FROM trabajadores WHERE id = $1 FOR UPDATE",
+      [req.params.id],
+    );
+
+    if (
+      await numeroEmpleadoDuplicado(
+        client,
+        anterior.rows[0].puesto_id,
+        numero_empleado,
+        req.params.id,
+      )
+    ) {
+      await client.query("ROLLBACK");
+      return res
+        .status(409)
+        .json({ error: "El número de empleado ya existe en este cliente" });
+    }
+
+    const result = await client.query(
+      `UPDATE trabajadores
+      SET
+        nombre = COALESCE($1, nombre),
+        numero_empleado = COALESCE($2, numero_empleado),
+        fecha_ingreso = COALESCE($3, fecha_ingreso),
+        activo = COALESCE($4, activo),
+        curp = COALESCE($5, curp),
+        nss = COALESCE($6, nss),
+        updated_at = NOW()
+      WHERE id = $7
+      RETURNING *`,
+      [
+        nombre,
+        numero_empleado,
+        fecha_ingreso,
+        typeof activo === "boolean" ? activo : null,
+        curp ? String(curp).toUpperCase() : null,
+        nss,
+        req.params.id,
+      ],
+    );
+
+    await recalcularNumeroUsuarios(client, result.rows[0].puesto_id);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "trabajadores",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: result.rows[0],
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error("❌ Error actualizando trabajador:", error);
+
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// BAJA DE TRABAJADOR
+// No se borra: las entregas de EPP y capacitaciones deben conservar a quién
+// se hicieron. Queda inactivo y se cierra su periodo en el historial.
+app.delete("/trabajadores/:id", autorizar("trabajador"), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE trabajadores
+      SET activo = FALSE, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+      [req.params.id],
+    );
+
+    await client.query(
+      `UPDATE trabajadores_historial
+      SET hasta = CURRENT_DATE, motivo = COALESCE(motivo, '') || ' / Baja'
+      WHERE trabajador_id = $1 AND hasta IS NULL`,
+      [req.params.id],
+    );
+
+    await recalcularNumeroUsuarios(client, result.rows[0].puesto_id);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "eliminar",
+        entidad: "trabajadores",
+        entidadId: req.params.id,
+        despues: result.rows[0],
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json({ success: true, trabajador: result.rows[0] });
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error("❌ Error dando de baja trabajador:", error);
+
+    res.status(500).json({ success: false, message: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// MOVER TRABAJADOR A OTRO PUESTO / ÁREA (se conserva el historial)
+app.post(
+  "/trabajadores/:id/mover",
+  autorizar("trabajador"),
+  autorizar("puesto", (req) => req.body.puesto_id),
+  async (req, res) => {
+    const { puesto_id, motivo, fecha } = req.body;
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const anterior = await client.query(
+        `SELECT t.*, a.cliente_id
+        FROM trabajadores t
+        JOIN puestos_trabajo p ON p.id = t.puesto_id
+        JOIN areas_trabajo a ON a.id = p.area_id
+        WHERE t.id = $1
+        FOR UPDATE OF t`,
+        [req.params.id],
+      );
+
+      const trabajador = anterior.rows[0];
+
+      if (String(trabajador.puesto_id) === String(puesto_id)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ error: "El trabajador ya está en ese puesto" });
+      }
+
+      // Solo se mueve dentro del mismo cliente
+      if (String(trabajador.cliente_id) !== String(req.clienteId)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ error: "El puesto destino es de otro cliente" });
+      }
+
+      await client.query(
+        `UPDATE trabajadores_historial
+        SET hasta = COALESCE($2::date, CURRENT_DATE)
+        WHERE trabajador_id = $1 AND hasta IS NULL`,
+        [req.params.id, fecha || null],
+      );
+
+      await client.query(
+        `INSERT INTO trabajadores_historial
+        (trabajador_id, puesto_id, area_id, desde, motivo, usuario_id)
+        SELECT $1, p.id, p.area_id, COALESCE($2::date, CURRENT_DATE), $3, $4
+        FROM puestos_trabajo p WHERE p.id = $5`,
+        [
+          req.params.id,
+          fecha || null,
+          motivo || "Cambio de puesto",
+          req.usuario.id,
+          puesto_id,
+        ],
+      );
+
+      const result = await client.query(
+        `UPDATE trabajadores
+        SET puesto_id = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *`,
+        [puesto_id, req.params.id],
+      );
+
+      await recalcularNumeroUsuarios(client, trabajador.puesto_id);
+      await recalcularNumeroUsuarios(client, puesto_id);
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "mover",
+          entidad: "trabajadores",
+          entidadId: req.params.id,
+          antes: { puesto_id: trabajador.puesto_id },
+          despues: { puesto_id: result.rows[0].puesto_id, motivo },
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      console.error("❌ Error moviendo trabajador:", error);
+
+      res.status(500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// ------------------- CATÁLOGOS ------------------- //
+app.get("/riesgos", async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        r.id,
+        r.nombre,
+        r.categoria_id,
+        c.nombre AS categoria
+      FROM riesgos_laborales r
+      INNER JOIN categorias_epp c
+        ON r.categoria_id = c.id
+      ORDER BY c.nombre, r.nombre
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      error: err.message,
+    });
+  }
+});
+
+app.get("/epp", async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        ep.id,
+        ep.nombre,
+        ep.categoria_id,
+        c.nombre AS categoria
+      FROM equipo_proteccion ep
+      INNER JOIN categorias_epp c
+        ON ep.categoria_id = c.id
+      ORDER BY c.nombre, ep.nombre
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      error: err.message,
+    });
+  }
+});
+
+// ------------------- NORMAS ------------------- //
+app.get("/normas", async (req, res) => {
+  try {
+    const result = await db.query("SELECT * FROM normas");
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get(
+  "/puestos/:puestoId/normas",
+  autorizar("puesto", (req) => req.params.puestoId),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT n.*
+         FROM puestos_normas pn
+         JOIN normas n ON pn.norma_id = n.id
+         WHERE pn.puesto_id = $1`,
+        [req.params.puestoId],
+      );
+      res.json(result.rows);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+app.post(
+  "/puestos/:puestoId/normas",
+  autorizar("puesto", (req) => req.params.puestoId),
+  async (req, res) => {
+    const { normaId } = req.body;
+
+    try {
+      await db.query(
+        "INSERT INTO puestos_normas (puesto_id, norma_id) VALUES ($1, $2)",
+        [req.params.puestoId, normaId],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "puestos_normas",
+        entidadId: req.params.puestoId,
+        despues: { puesto_id: req.params.puestoId, norma_id: normaId },
+      });
+
+      res.json({ message: "Norma asignada correctamente" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ------------------- SUBOPCIONES ------------------- //
+app.get("/nom-subopciones/:nom", async (req, res) => {
+  try {
+    const result = await db.query(
+      "SELECT * FROM nom_subopciones WHERE nom = $1",
+      [req.params.nom],
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ------------------- CUMPLIMIENTO ------------------- //
+
+const TIPOS_RESPUESTA = ["texto", "si_no", "numerica", "opcion_multiple"];
+
+const normalizarRespuesta = (valor) =>
+  String(valor ?? "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+const SI_NO = {
+  si: "si",
+  yes: "si",
+  true: "si",
+  1: "si",
+  no: "no",
+  false: "no",
+  0: "no",
+};
+
+// true / false según la regla de la pregunta; null si no se evalúa
+const evaluarRespuesta = (pregunta, respuesta) => {
+  switch (pregunta.tipo_respuesta) {
+    case "si_no": {
+      const valor = SI_NO[normalizarRespuesta(respuesta)];
+      const esperado = SI_NO[normalizarRespuesta(pregunta.respuesta_cumple)];
+
+      return valor && esperado ? valor === esperado : null;
+    }
+    case "numerica": {
+      const valor = parseFloat(String(respuesta ?? "").replace(",", "."));
+
+      if (Number.isNaN(valor)) return false;
+
+      return (
+        (pregunta.minimo === null || valor >= Number(pregunta.minimo)) &&
+        (pregunta.maximo === null || valor <= Number(pregunta.maximo))
+      );
+    }
+    case "opcion_multiple":
+      return (pregunta.opciones_cumplen || [])
+        .map(normalizarRespuesta)
+        .includes(normalizarRespuesta(respuesta));
+    default:
+      return null;
+  }
+};
+
+// Recalcula el porcentaje ponderado y los incumplimientos del cuestionario.
+// Solo cuentan las respuestas ligadas a una pregunta evaluable.
+const calcularCumplimiento = async (client, infoId) => {
+  const { rows } = await client.query(
+    `SELECT
+      q.id AS respuesta_id,
+      q.pregunta,
+      q.respuesta,
+      cp.id AS pregunta_id,
+      cp.tipo_respuesta,
+      cp.respuesta_cumple,
+      cp.minimo,
+      cp.maximo,
+      cp.opciones_cumplen,
+      cp.peso
+    FROM cuestionarios q
+    JOIN cuestionario_preguntas cp ON cp.id = q.pregunta_id
+    WHERE q.info_id = $1`,
+    [infoId],
+  );
+
+  let pesoTotal = 0;
+  let pesoCumplido = 0;
+  const incumplimientos = [];
+
+  for (const row of rows) {
+    const cumple = evaluarRespuesta(row, row.respuesta);
+    if (cumple === null) continue;
+
+    const peso = Number(row.peso);
+    pesoTotal += peso;
+
+    if (cumple) {
+      pesoCumplido += peso;
+    } else {
+      incumplimientos.push({
+        respuesta_id: row.respuesta_id,
+        pregunta_id: row.pregunta_id,
+        pregunta: row.pregunta,
+        respuesta: row.respuesta,
+        peso,
+      });
+    }
+  }
+
+  const cumplimiento =
+    pesoTotal > 0 ? Math.round((pesoCumplido / pesoTotal) * 10000) / 100 : null;
+
+  await client.query(
+    `UPDATE cuestionarios_info
+    SET cumplimiento = $1, incumplimientos = $2
+    WHERE id = $3`,
+    [cumplimiento, JSON.stringify(incumplimientos), infoId],
+  );
+
+  return { cumplimiento, incumplimientos };
+};
+
+// Cada respuesta queda ligada a la versión de la pregunta que se hizo;
+// con pregunta_id el texto se toma del catálogo
+const insertarRespuestas = async (
+  client,
+  { puesto_id, nom, subopcion_id, infoId },
+  respuestas,
+) => {
+  const preguntas = await client.query(
+    "SELECT id, pregunta FROM cuestionario_preguntas WHERE id = ANY($1::int[])",
+    [respuestas.filter((r) => r.pregunta_id).map((r) => r.pregunta_id)],
+  );
+  const textos = new Map(preguntas.rows.map((p) => [p.id, p.pregunta]));
+
+  for (const r of respuestas) {
+    const preguntaId = textos.has(Number(r.pregunta_id))
+      ? Number(r.pregunta_id)
+      : null;
+
+    await client.query(
+      `INSERT INTO cuestionarios
+      (puesto_id, nom, subopcion_id, info_id, pregunta, respuesta, pregunta_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        puesto_id,
+        nom,
+        subopcion_id,
+        infoId,
+        preguntaId ? textos.get(preguntaId) : r.pregunta,
+        r.respuesta,
+        preguntaId,
+      ],
+    );
+  }
+};
+
+// ------------------- CUESTIONARIO CON IMAGEN ------------------- //
+app.post(
+  "/cuestionario",
+  upload.single("image"),
+  optimizarImagenes,
+  async (req, res) => {
+    let payload;
+
+    try {
+      payload = JSON.parse(req.body.data || "{}");
+    } catch (e) {
+      descartarArchivos(req);
+      return res.status(400).json({ error: "Datos inválidos" });
+    }
+
+    const {
+      puesto_id,
+      nom,
+      subopcion_id,
+      respuestas,
+      observaciones,
+      recomendaciones,
+      recomendaciones_epp,
+    } = payload;
+
+    if (!Array.isArray(respuestas)) {
+      descartarArchivos(req);
+      return res.status(400).json({ error: "respuestas debe ser una lista" });
+    }
+
+    const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    try {
+      const status = await validarAcceso(req, "puesto", puesto_id);
+      if (status) return responderAccesoDenegado(req, res, status);
+    } catch (err) {
+      descartarArchivos(req);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const infoResult = await client.query(
+        `INSERT INTO cuestionarios_info
+      (puesto_id, nom, subopcion_id, observaciones, recomendaciones, recomendaciones_epp, image)
+      VALUES ($1,$2,$3,$4,$5,$6,$7)
+      RETURNING *`,
+        [
+          puesto_id,
+          nom,
+          subopcion_id,
+          observaciones || null,
+          recomendaciones || null,
+          recomendaciones_epp || null,
+          imagePath,
+        ],
+      );
+
+      const infoId = infoResult.rows[0].id;
+
+      await insertarRespuestas(
+        client,
+        { puesto_id, nom, subopcion_id, infoId },
+        respuestas,
+      );
+
+      const evaluacion = await calcularCumplimiento(client, infoId);
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "cuestionarios_info",
+          entidadId: infoId,
+          despues: { ...infoResult.rows[0], ...evaluacion, respuestas },
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json({
+        message: "ok",
+        info_id: infoId,
+        ...evaluacion,
+      });
+    } catch (err) {
+      console.error("❌ Error guardando cuestionario:", err.message);
+
+      await client.query("ROLLBACK");
+      descartarArchivos(req);
+
+      res.status(500).json({
+        error: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// ------------------- EDICIÓN Y REVISIONES DE CUESTIONARIO ------------------- //
+
+// Estado completo del cuestionario para guardarlo como revisión
+const instantaneaCuestionario = async (client, infoId) => {
+  const info = await client.query(
+    "SELECT * FROM cuestionarios_info WHERE id = $1 FOR UPDATE",
+    [infoId],
+  );
+
+  if (info.rows.length === 0) return null;
+
+  const respuestas = await client.query(
+    `SELECT pregunta, respuesta, pregunta_id
+    FROM cuestionarios WHERE info_id = $1 ORDER BY id`,
+    [infoId],
+  );
+
+  return { ...info.rows[0], respuestas: respuestas.rows };
+};
+
+// EDITAR CUESTIONARIO (multipart: data + image opcional)
+// Guarda el estado anterior en cuestionarios_revisiones; si vienen
+// respuestas reemplazan a las actuales.
+app.put(
+  "/cuestionario/:info_id",
+  upload.single("image"),
+  autorizar("cuestionario", (req) => req.params.info_id),
+  optimizarImagenes,
+  async (req, res) => {
+    let payload;
+
+    try {
+      payload = JSON.parse(req.body.data || "{}");
+    } catch (e) {
+      descartarArchivos(req);
+      return res.status(400).json({ error: "Datos inválidos" });
+    }
+
+    const { respuestas, motivo } = payload;
+
+    if (respuestas !== undefined && !Array.isArray(respuestas)) {
+      descartarArchivos(req);
+      return res.status(400).json({ error: "respuestas debe ser una lista" });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const anterior = await instantaneaCuestionario(
+        client,
+        req.params.info_id,
+      );
+
+      await client.query(
+        `INSERT INTO cuestionarios_revisiones
+        (info_id, revision, datos, motivo, usuario_id)
+        VALUES ($1, $2, $3, $4, $5)`,
+        [
+          anterior.id,
+          anterior.revision,
+          JSON.stringify(anterior),
+          motivo || null,
+          req.usuario.id,
+        ],
+      );
+
+      // Solo cambian los campos que vienen en el payload
+      const campo = (nombre) =>
+        payload[nombre] !== undefined
+          ? payload[nombre] || null
+          : anterior[nombre];
+
+      await client.query(
+        `UPDATE cuestionarios_info
+        SET observaciones = $1,
+            recomendaciones = $2,
+            recomendaciones_epp = $3,
+            image = $4,
+            revision = revision + 1,
+            updated_at = NOW()
+        WHERE id = $5`,
+        [
+          campo("observaciones"),
+          campo("recomendaciones"),
+          campo("recomendaciones_epp"),
+          req.file ? `/uploads/${req.file.filename}` : anterior.image,
+          anterior.id,
+        ],
+      );
+
+      if (respuestas) {
+        await client.query("DELETE FROM cuestionarios WHERE info_id = $1", [
+          anterior.id,
+        ]);
+
+        await insertarRespuestas(
+          client,
+          {
+            puesto_id: anterior.puesto_id,
+            nom: anterior.nom,
+            subopcion_id: anterior.subopcion_id,
+            infoId: anterior.id,
+          },
+          respuestas,
+        );
+      }
+
+      await calcularCumplimiento(client, anterior.id);
+
+      const actual = await instantaneaCuestionario(client, anterior.id);
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "actualizar",
+          entidad: "cuestionarios_info",
+          entidadId: anterior.id,
+          antes: anterior,
+          despues: actual,
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      // La imagen anterior se conserva: la revisión la sigue referenciando
+      res.json(actual);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      descartarArchivos(req);
+
+      console.error("❌ Error editando cuestionario:", err.message);
+
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// HISTORIAL DE REVISIONES (la más reciente primero)
+app.get(
+  "/cuestionario/:info_id/revisiones",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    try {
+      const actual = await db.query(
+        "SELECT id, revision, updated_at FROM cuestionarios_info WHERE id = $1",
+        [req.params.info_id],
+      );
+
+      const revisiones = await db.query(
+        `SELECT r.id, r.revision, r.datos, r.motivo, r.created_at, u.usuario
+        FROM cuestionarios_revisiones r
+        LEFT JOIN usuarios u ON u.id = r.usuario_id
+        WHERE r.info_id = $1
+        ORDER BY r.revision DESC`,
+        [req.params.info_id],
+      );
+
+      res.json({
+        revision_actual: actual.rows[0].revision,
+        actualizado: actual.rows[0].updated_at,
+        revisiones: revisiones.rows,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// ------------------- EVIDENCIAS FOTOGRÁFICAS ------------------- //
+// Galería de fotos por cuestionario o por área. La columna image de cada
+// uno se conserva como portada y encabeza la galería.
+
+const MAX_FOTOS = 30;
+
+// Subconsulta con la galería como arreglo JSON, ordenada
+const sqlGaleria = (columna, referencia) => `(
+  SELECT COALESCE(
+    json_agg(
+      json_build_object(
+        'id', ev.id,
+        'archivo', ev.archivo,
+        'descripcion', ev.descripcion,
+        'pregunta_id', ev.pregunta_id,
+        'orden', ev.orden,
+        'web', iv.web,
+        'miniatura', iv.miniatura,
+        'ancho', iv.ancho,
+        'alto', iv.alto
+      )
+      ORDER BY ev.orden, ev.id
+    ),
+    '[]'::json
+  )
+  FROM evidencias ev
+  LEFT JOIN imagenes_variantes iv ON iv.archivo = ev.archivo
+  WHERE ev.${columna} = ${referencia}
+)`;
+
+// variantes: fila con las columnas de columnasVariantes() de la portada
+const galeriaConPortada = (portada, evidencias, variantes = {}) => [
+  ...(portada
+    ? [
+        {
+          id: null,
+          archivo: portada,
+          portada: true,
+          web: variantes.imagen_web || null,
+          miniatura: variantes.imagen_miniatura || null,
+          ancho: variantes.imagen_ancho || null,
+          alto: variantes.imagen_alto || null,
+        },
+      ]
+    : []),
+  ...(evidencias || []),
+];
+
+// dueño: { columna: "cuestionario_info_id" | "area_id", id }
+// data (JSON) trae [{ descripcion, pregunta_id }] en el orden de los archivos
+const guardarEvidencias = async (req, res, dueno) => {
+  let detalles;
+
+  try {
+    detalles = JSON.parse(req.body.data || "[]");
+  } catch (e) {
+    descartarArchivos(req);
+    return res.status(400).json({ error: "Datos inválidos" });
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: "No se recibieron fotos" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const ultimo = await client.query(
+      `SELECT COALESCE(MAX(orden), 0) AS orden
+      FROM evidencias WHERE ${dueno.columna} = $1`,
+      [dueno.id],
+    );
+
+    const creadas = [];
+
+    for (const [i, archivo] of req.files.entries()) {
+      const detalle = detalles[i] || {};
+
+      const result = await client.query(
+        `INSERT INTO evidencias
+        (${dueno.columna}, archivo, descripcion, pregunta_id, orden, usuario_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [
+          dueno.id,
+          `/uploads/${archivo.filename}`,
+          detalle.descripcion || null,
+          detalle.pregunta_id || null,
+          ultimo.rows[0].orden + i + 1,
+          req.usuario.id,
+        ],
+      );
+
+      creadas.push(result.rows[0]);
+    }
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "crear",
+        entidad: "evidencias",
+        entidadId: dueno.id,
+        despues: creadas,
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(creadas);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    descartarArchivos(req);
+
+    console.error("❌ Error guardando evidencias:", error.message);
+
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+};
+
+const listarEvidencias = async (columna, id) => {
+  const result = await db.query(
+    `SELECT ev.*, ${columnasVariantes("iv")}
+    FROM evidencias ev
+    LEFT JOIN imagenes_variantes iv ON iv.archivo = ev.archivo
+    WHERE ev.${columna} = $1
+    ORDER BY ev.orden, ev.id`,
+    [id],
+  );
+
+  return result.rows;
+};
+
+// body: { ids: [3, 1, 2] } en el orden deseado
+const ordenarEvidencias = async (req, res, columna, id) => {
+  const { ids } = req.body;
+
+  if (!Array.isArray(ids)) {
+    return res.status(400).json({ error: "ids debe ser una lista" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const ordenActual = () =>
+      client
+        .query(
+          `SELECT id, orden FROM evidencias
+          WHERE ${columna} = $1 ORDER BY orden, id`,
+          [id],
+        )
+        .then((result) => result.rows);
+
+    const antes = await ordenActual();
+
+    await client.query(
+      `UPDATE evidencias ev
+      SET orden = nuevo.orden
+      FROM unnest($1::int[]) WITH ORDINALITY AS nuevo(id, orden)
+      WHERE ev.id = nuevo.id AND ev.${columna} = $2`,
+      [ids, id],
+    );
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "evidencias",
+        entidadId: id,
+        antes,
+        despues: await ordenActual(),
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(await listarEvidencias(columna, id));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+};
+
+app.post(
+  "/cuestionario/:info_id/evidencias",
+  uploadFotos.array("fotos", MAX_FOTOS),
+  autorizar("cuestionario", (req) => req.params.info_id),
+  optimizarImagenes,
+  (req, res) =>
+    guardarEvidencias(req, res, {
+      columna: "cuestionario_info_id",
+      id: req.params.info_id,
+    }),
+);
+
+app.get(
+  "/cuestionario/:info_id/evidencias",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    try {
+      res.json(
+        await listarEvidencias("cuestionario_info_id", req.params.info_id),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+app.put(
+  "/cuestionario/:info_id/evidencias/orden",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  (req, res) =>
+    ordenarEvidencias(req, res, "cuestionario_info_id", req.params.info_id),
+);
+
+app.post(
+  "/areas/:id/evidencias",
+  uploadFotos.array("fotos", MAX_FOTOS),
+  autorizar("area"),
+  optimizarImagenes,
+  (req, res) =>
+    guardarEvidencias(req, res, { columna: "area_id", id: req.params.id }),
+);
+
+app.get("/areas/:id/evidencias", autorizar("area"), async (req, res) => {
+  try {
+    res.json(await listarEvidencias("area_id", req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/areas/:id/evidencias/orden", autorizar("area"), (req, res) =>
+  ordenarEvidencias(req, res, "area_id", req.params.id),
+);
+
+// EDITAR DESCRIPCIÓN / PREGUNTA DE UNA FOTO
+app.put("/evidencias/:id", autorizar("evidencia"), async (req, res) => {
+  const { descripcion, pregunta_id } = req.body;
+
+  try {
+    const anterior = await db.query("SELECT * FROM evidencias WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    const result = await db.query(
+      `UPDATE evidencias
+      SET descripcion = $1, pregunta_id = $2
+      WHERE id = $3
+      RETURNING *`,
+      [
+        descripcion !== undefined
+          ? descripcion || null
+          : anterior.rows[0].descripcion,
+        pregunta_id !== undefined
+          ? pregunta_id || null
+          : anterior.rows[0].pregunta_id,
+        req.params.id,
+      ],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "actualizar",
+      entidad: "evidencias",
+      entidadId: req.params.id,
+      antes: anterior.rows[0],
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/evidencias/:id", autorizar("evidencia"), async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM evidencias WHERE id = $1 RETURNING *",
+      [req.params.id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "eliminar",
+      entidad: "evidencias",
+      entidadId: req.params.id,
+      antes: result.rows[0],
+    });
+
+    eliminarArchivosFisicos([result.rows[0].archivo]);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// SUBIR DOCUMENTOS (ARP / FICHA)
+
+app.post(
+  "/documentos",
+  upload.single("archivo"),
+  autorizar("cuestionario", (req) => req.body.cuestionario_info_id),
+  async (req, res) => {
+    try {
+      const { cuestionario_info_id, tipo, fecha_emision, fecha_vencimiento } =
+        req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: "No se recibió archivo",
+        });
+      }
+      const ruta = `/uploads/${req.file.filename}`;
+
+      const result = await db.query(
+        `INSERT INTO documentos_cuestionario
+          (
+            cuestionario_info_id,
+            tipo,
+            archivo,
+            fecha_emision,
+            fecha_vencimiento
+          )
+          VALUES ($1,$2,$3,$4,$5)
+          RETURNING *`,
+
+        [
+          cuestionario_info_id,
+          tipo,
+          ruta,
+          fecha_emision || null,
+          fecha_vencimiento || null,
+        ],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "documentos_cuestionario",
+        entidadId: result.rows[0].id,
+        despues: result.rows[0],
+      });
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(error);
+
+      res.status(500).json({
+        error: error.message,
+      });
+    }
+  },
+);
+
+// PREGUNTAS POR SUBOPCIÓN
+app.get("/preguntas/:subopcion_tipo", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM cuestionario_preguntas
+      WHERE subopcion_tipo = $1 AND vigente
+      ORDER BY id`,
+      [req.params.subopcion_tipo],
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ------------------- ADMINISTRACIÓN DE CATÁLOGOS ------------------- //
+
+// Catálogos simples: ruta -> tabla y campos editables
+const CATALOGOS = {
+  normas: { tabla: "normas", campos: ["nombre", "descripcion"] },
+  "nom-subopciones": {
+    tabla: "nom_subopciones",
+    campos: ["nom", "subopcion", "tipo"],
+  },
+  riesgos: { tabla: "riesgos_laborales", campos: ["nombre", "categoria_id"] },
+  epp: { tabla: "equipo_proteccion", campos: ["nombre", "categoria_id"] },
+  "categorias-epp": { tabla: "categorias_epp", campos: ["nombre"] },
+};
+
+// Campos del body que pertenecen al catálogo
+const camposCatalogo = (catalogo, body) =>
+  catalogo.campos.filter((campo) => body[campo] !== undefined);
+
+const errorCatalogo = (res, error) => {
+  // 23503: el registro está referenciado por otra tabla
+  if (error.code === "23503") {
+    return res
+      .status(409)
+      .json({ error: "El registro está en uso y no puede eliminarse" });
+  }
+
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+// PREGUNTAS VERSIONADAS
+// Editar una pregunta crea una versión nueva y retira la anterior; las
+// respuestas guardadas siguen apuntando a la versión que se preguntó.
+
+// Regla de cumplimiento de la pregunta; lo que no venga en el body se
+// hereda de la versión anterior
+const leerReglaPregunta = (body, anterior = {}) => {
+  const regla = {
+    tipo_respuesta: body.tipo_respuesta ?? anterior.tipo_respuesta ?? "texto",
+    respuesta_cumple:
+      body.respuesta_cumple ?? anterior.respuesta_cumple ?? null,
+    minimo: body.minimo ?? anterior.minimo ?? null,
+    maximo: body.maximo ?? anterior.maximo ?? null,
+    opciones: body.opciones ?? anterior.opciones ?? null,
+    opciones_cumplen:
+      body.opciones_cumplen ?? anterior.opciones_cumplen ?? null,
+    peso: body.peso ?? anterior.peso ?? 1,
+  };
+
+  if (!TIPOS_RESPUESTA.includes(regla.tipo_respuesta)) {
+    const error = new Error(
+      `tipo_respuesta debe ser uno de: ${TIPOS_RESPUESTA.join(", ")}`,
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  if (!(Number(regla.peso) > 0)) {
+    const error = new Error("peso debe ser mayor a 0");
+    error.status = 400;
+    throw error;
+  }
+
+  return regla;
+};
+
+const valoresRegla = (regla) => [
+  regla.tipo_respuesta,
+  regla.respuesta_cumple,
+  regla.minimo,
+  regla.maximo,
+  regla.opciones === null ? null : JSON.stringify(regla.opciones),
+  regla.opciones_cumplen === null
+    ? null
+    : JSON.stringify(regla.opciones_cumplen),
+  regla.peso,
+];
+app.post("/catalogos/preguntas", soloAdmin, async (req, res) => {
+  const { subopcion_tipo, pregunta } = req.body;
+
+  if (!subopcion_tipo || !pregunta) {
+    return res
+      .status(400)
+      .json({ error: "subopcion_tipo y pregunta son requeridos" });
+  }
+
+  try {
+    const regla = leerReglaPregunta(req.body);
+
+    const result = await db.query(
+      `INSERT INTO cuestionario_preguntas
+      (subopcion_tipo, pregunta, version, vigente, tipo_respuesta,
+       respuesta_cumple, minimo, maximo, opciones, opciones_cumplen, peso)
+      VALUES ($1, $2, 1, TRUE, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [subopcion_tipo, pregunta, ...valoresRegla(regla)],
+    );
+
+    await db.query(
+      "UPDATE cuestionario_preguntas SET origen_id = id WHERE id = $1",
+      [result.rows[0].id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "crear",
+      entidad: "cuestionario_preguntas",
+      entidadId: result.rows[0].id,
+      despues: result.rows[0],
+    });
+
+    res.json({ ...result.rows[0], origen_id: result.rows[0].id });
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+app.put("/catalogos/preguntas/:id", soloAdmin, async (req, res) => {
+  const { pregunta } = req.body;
+
+  if (!pregunta) {
+    return res.status(400).json({ error: "pregunta es requerida" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const actual = await client.query(
+      "SELECT * FROM cuestionario_preguntas WHERE id = $1 FOR UPDATE",
+      [req.params.id],
+    );
+
+    if (actual.rows.length === 0 || !actual.rows[0].vigente) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Pregunta vigente no encontrada" });
+    }
+
+    const anterior = actual.rows[0];
+    const regla = leerReglaPregunta(req.body, anterior);
+
+    await client.query(
+      "UPDATE cuestionario_preguntas SET vigente = FALSE WHERE id = $1",
+      [anterior.id],
+    );
+
+    const result = await client.query(
+      `INSERT INTO cuestionario_preguntas
+      (subopcion_tipo, pregunta, version, vigente, origen_id, tipo_respuesta,
+       respuesta_cumple, minimo, maximo, opciones, opciones_cumplen, peso)
+      VALUES ($1, $2, $3, TRUE, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        req.body.subopcion_tipo || anterior.subopcion_tipo,
+        pregunta,
+        anterior.version + 1,
+        anterior.origen_id || anterior.id,
+        ...valoresRegla(regla),
+      ],
+    );
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "cuestionario_preguntas",
+        entidadId: result.rows[0].id,
+        antes: anterior,
+        despues: result.rows[0],
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    errorCatalogo(res, error);
+  } finally {
+    client.release();
+  }
+});
+
+// Retira la pregunta; no se borra porque puede tener respuestas
+app.delete("/catalogos/preguntas/:id", soloAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE cuestionario_preguntas SET vigente = FALSE
+      WHERE id = $1 AND vigente
+      RETURNING *`,
+      [req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Pregunta vigente no encontrada" });
+    }
+
+    await registrarAuditoria(req, {
+      accion: "eliminar",
+      entidad: "cuestionario_preguntas",
+      entidadId: req.params.id,
+      antes: { ...result.rows[0], vigente: true },
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+app.get("/catalogos/preguntas/:id/versiones", soloAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM cuestionario_preguntas
+      WHERE origen_id = (
+        SELECT COALESCE(origen_id, id) FROM cuestionario_preguntas WHERE id = $1
+      )
+      ORDER BY version`,
+      [req.params.id],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+// CATÁLOGOS SIMPLES
+app.post("/catalogos/:catalogo", soloAdmin, async (req, res) => {
+  const catalogo = CATALOGOS[req.params.catalogo];
+
+  if (!catalogo) {
+    return res.status(404).json({ error: "Catálogo no encontrado" });
+  }
+
+  const campos = camposCatalogo(catalogo, req.body);
+
+  if (campos.length === 0) {
+    return res.status(400).json({ error: "Sin datos para guardar" });
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO ${catalogo.tabla} (${campos.join(", ")})
+      VALUES (${campos.map((_, i) => `$${i + 1}`).join(", ")})
+      RETURNING *`,
+      campos.map((campo) => req.body[campo]),
+    );
+
+    await registrarAuditoria(req, {
+      accion: "crear",
+      entidad: catalogo.tabla,
+      entidadId: result.rows[0].id,
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+app.put("/catalogos/:catalogo/:id", soloAdmin, async (req, res) => {
+  const catalogo = CATALOGOS[req.params.catalogo];
+
+  if (!catalogo) {
+    return res.status(404).json({ error: "Catálogo no encontrado" });
+  }
+
+  const campos = camposCatalogo(catalogo, req.body);
+
+  if (campos.length === 0) {
+    return res.status(400).json({ error: "Sin datos para guardar" });
+  }
+
+  try {
+    const antes = await db.query(
+      `SELECT * FROM ${catalogo.tabla} WHERE id = $1`,
+      [req.params.id],
+    );
+
+    if (antes.rows.length === 0) {
+      return res.status(404).json({ error: "Registro no encontrado" });
+    }
+
+    const result = await db.query(
+      `UPDATE ${catalogo.tabla}
+      SET ${campos.map((campo, i) => `${campo} = $${i + 1}`).join(", ")}
+      WHERE id = $${campos.length + 1}
+      RETURNING *`,
+      [...campos.map((campo) => req.body[campo]), req.params.id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "actualizar",
+      entidad: catalogo.tabla,
+      entidadId: req.params.id,
+      antes: antes.rows[0],
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+app.delete("/catalogos/:catalogo/:id", soloAdmin, async (req, res) => {
+  const catalogo = CATALOGOS[req.params.catalogo];
+
+  if (!catalogo) {
+    return res.status(404).json({ error: "Catálogo no encontrado" });
+  }
+
+  try {
+    const result = await db.query(
+      `DELETE FROM ${catalogo.tabla} WHERE id = $1 RETURNING *`,
+      [req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Registro no encontrado" });
+    }
+
+    await registrarAuditoria(req, {
+      accion: "eliminar",
+      entidad: catalogo.tabla,
+      entidadId: req.params.id,
+      antes: result.rows[0],
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    errorCatalogo(res, error);
+  }
+});
+
+// INFO ADICIONAL
+app.get(
+  "/cuestionarios-info/:puesto_id/:nom/:subopcion_id",
+  autorizar("puesto", (req) => req.params.puesto_id),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        "SELECT * FROM cuestionarios_info WHERE puesto_id = $1 AND nom = $2 AND subopcion_id = $3",
+        [req.params.puesto_id, req.params.nom, req.params.subopcion_id],
+      );
+      res.json(result.rows[0] || null);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// OBTENER PUESTO INDIVIDUAL
+app.get("/puestos/:id", autorizar("puesto"), async (req, res) => {
+  try {
+    const result = await db.query(
+      "SELECT * FROM puestos_trabajo WHERE id = $1",
+      [req.params.id],
+    );
+    res.send(result.rows[0] || null);
+  } catch (err) {
+    res.status(500).send(err);
+  }
+});
+
+// CUESTIONARIO COMPLETO POR ID
+app.get(
+  "/cuestionario-completo/:info_id",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    try {
+      const info = await db.query(
+        "SELECT * FROM cuestionarios_info WHERE id = $1",
+        [req.params.info_id],
+      );
+
+      if (info.rows.length === 0)
+        return res.json({ info: null, respuestas: [] });
+
+      const respuestas = await db.query(
+        `SELECT q.pregunta, q.respuesta, q.pregunta_id, cp.version
+        FROM cuestionarios q
+        LEFT JOIN cuestionario_preguntas cp ON cp.id = q.pregunta_id
+        WHERE q.info_id = $1
+        ORDER BY q.id`,
+        [req.params.info_id],
+      );
+
+      res.json({
+        info: {
+          observaciones: info.rows[0].observaciones || "N/A",
+          recomendaciones: info.rows[0].recomendaciones || "N/A",
+          recomendaciones_epp: info.rows[0].recomendaciones_epp || "N/A",
+          image: info.rows[0].image || null,
+          created_at: info.rows[0].created_at,
+          revision: info.rows[0].revision,
+          cumplimiento: info.rows[0].cumplimiento,
+          incumplimientos: info.rows[0].incumplimientos || [],
+        },
+        respuestas: respuestas.rows,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// LISTA DE CUESTIONARIOS POR PUESTO
+app.get("/puestos/:id/cuestionarios", autorizar("puesto"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `
+        SELECT 
+          ci.id,
+          ci.puesto_id,
+          ci.nom,
+          ns.subopcion AS subopcion_nombre,
+          ci.subopcion_id,
+          ci.created_at,
+          ci.image,
+          ${columnasVariantes("iv")},
+          ci.cumplimiento,
+          ci.incumplimientos,
+          COUNT(c.id) AS num_respuestas
+        FROM cuestionarios_info ci
+        LEFT JOIN nom_subopciones ns ON ci.subopcion_id = ns.id
+        LEFT JOIN imagenes_variantes iv ON iv.archivo = ci.image
+        LEFT JOIN cuestionarios c ON ci.id = c.info_id
+        WHERE ci.puesto_id = $1
+        GROUP BY ci.id, ns.subopcion, iv.archivo
+        ORDER BY ci.created_at DESC
+      `,
+      [req.params.id],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// ===============================
+// REPORTE CONSOLIDADO NOM
+// Cliente + Área + Puesto
+// ===============================
+
+// Filas planas: una por pregunta de cada cuestionario.
+// filtro: "puesto" (p.id), "area" (a.id) o "cliente" (c.id); opcionalmente
+// solo una NOM y los cuestionarios creados entre desde y hasta
+const consultarReporteConsolidado = async (
+  filtro,
+  id,
+  { nom, desde, hasta } = {},
+) => {
+  const columna = { cliente: "c.id", area: "a.id", puesto: "p.id" }[filtro];
+
+  const sql = `
+    SELECT
+      c.id AS cliente_id,
+      c.nombre_empresa AS cliente_nombre,
+      a.id AS area_id,
+      a.nombre_area AS area_nombre,
+      p.id AS puesto_id,
+      p.puesto AS puesto_nombre,
+
+      ci.id AS info_id,
+      ci.nom,
+      ci.created_at,
+      ci.revision,
+      ci.image,
+      ${columnasVariantes("iv")},
+      ${sqlGaleria("cuestionario_info_id", "ci.id")} AS galeria,
+
+      arp.archivo AS arp,
+      ficha.archivo AS ficha,
+
+      ci.observaciones AS naturaleza_emision,
+      ci.recomendaciones AS descripcion_operacion,
+      ci.recomendaciones_epp AS epp_recomendado,
+      ci.cumplimiento,
+      ci.incumplimientos,
+
+      ns.subopcion,
+
+      q.id AS respuesta_id,
+      q.pregunta,
+      q.respuesta
+
+    FROM puestos_trabajo p
+
+    JOIN areas_trabajo a
+    ON a.id=p.area_id
+
+    JOIN clientes c
+    ON c.id=a.cliente_id
+
+    JOIN cuestionarios_info ci
+    ON ci.puesto_id=p.id
+
+    JOIN cuestionarios q
+    ON q.info_id=ci.id
+
+    LEFT JOIN nom_subopciones ns
+    ON ns.id=ci.subopcion_id
+
+    LEFT JOIN imagenes_variantes iv
+    ON iv.archivo=ci.image
+
+    LEFT JOIN documentos_cuestionario arp
+    ON arp.cuestionario_info_id=ci.id
+    AND arp.tipo='ARP'
+
+    LEFT JOIN documentos_cuestionario ficha
+    ON ficha.cuestionario_info_id=ci.id
+    AND ficha.tipo='FICHA'
+
+    WHERE ${columna}=$1
+    AND ($2::text IS NULL OR ci.nom=$2)
+    AND ($3::date IS NULL OR ci.created_at >= $3::date)
+    AND ($4::date IS NULL OR ci.created_at < $4::date + 1)
+
+    ORDER BY a.nombre_area, p.puesto, ci.created_at, q.id;
+  `;
+
+  const { rows } = await db.query(sql, [
+    id,
+    nom || null,
+    desde || null,
+    hasta || null,
+  ]);
+  return rows;
+};
+
+// ------------------- EXPORTAR A EXCEL / CSV ------------------- //
+// Los reportes aceptan ?format=xlsx|csv. Cada hoja es
+// { nombre, columnas, filas } y cada columna
+// { titulo, valor(fila), ancho, tipo: "fecha", ajustar }.
+// El CSV junta todas las hojas en un solo archivo (comparten columnas).
+
+const FORMATOS_EXPORTACION = ["xlsx", "csv"];
+
+const validarFormato = (req, res, next) => {
+  const { format } = req.query;
+
+  if (format !== undefined && !FORMATOS_EXPORTACION.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `format debe ser: ${FORMATOS_EXPORTACION.join(", ")}` });
+  }
+
+  next();
+};
+
+// Arreglos de json_agg → "Ruido; Polvo"
+const valorCelda = (columna, fila) => {
+  const valor = columna.valor(fila);
+
+  if (Array.isArray(valor)) return valor.filter(Boolean).join("; ");
+
+  return valor ?? null;
+};
+
+// Excel no acepta []:*?/\ en el nombre, lo corta a 31 caracteres y no
+// permite repetidos
+const nombreHoja = (nombre, usados) => {
+  const base =
+    String(nombre || "")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 31) || "Sin nombre";
+
+  let candidato = base;
+
+  for (let n = 2; usados.has(candidato.toLowerCase()); n++) {
+    const sufijo = ` (${n})`;
+    candidato = base.slice(0, 31 - sufijo.length) + sufijo;
+  }
+
+  usados.add(candidato.toLowerCase());
+  return candidato;
+};
+
+const libroExcel = async (hojas) => {
+  const libro = new ExcelJS.Workbook();
+  libro.creator = REPORTE_MARCA;
+  libro.created = new Date();
+
+  const usados = new Set();
+
+  for (const hoja of hojas) {
+    const ws = libro.addWorksheet(nombreHoja(hoja.nombre, usados), {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+
+    ws.columns = hoja.columnas.map((columna) => ({
+      header: columna.titulo,
+      width: columna.ancho || 18,
+      style: {
+        numFmt: columna.tipo === "fecha" ? "dd/mm/yyyy" : undefined,
+        alignment: { vertical: "top", wrapText: Boolean(columna.ajustar) },
+      },
+    }));
+
+    const encabezado = ws.getRow(1);
+    encabezado.font = { bold: true, color: { argb: "FFFFFFFF" } };
+    encabezado.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF1F4E79" },
+    };
+
+    for (const fila of hoja.filas) {
+      ws.addRow(hoja.columnas.map((columna) => valorCelda(columna, fila)));
+    }
+
+    ws.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: hoja.columnas.length },
+    };
+  }
+
+  return libro.xlsx.writeBuffer();
+};
+
+const celdaCsv = (valor) => {
+  if (valor === null) return "";
+
+  let texto = String(valor);
+
+  if (valor instanceof Date) {
+    texto = [
+      valor.getFullYear(),
+      String(valor.getMonth() + 1).padStart(2, "0"),
+      String(valor.getDate()).padStart(2, "0"),
+    ].join("-");
+  }
+
+  // Excel ejecuta como fórmula el texto que empieza con = + - @
+  if (typeof valor === "string" && /^[=+\-@\t\r]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const textoCsv = (hojas) => {
+  const { columnas } = hojas[0];
+
+  const lineas = [
+    columnas.map((columna) => celdaCsv(columna.titulo)),
+    ...hojas.flatMap((hoja) =>
+      hoja.filas.map((fila) =>
+        columnas.map((columna) => celdaCsv(valorCelda(columna, fila))),
+      ),
+    ),
+  ];
+
+  // BOM para que Excel abra el CSV como UTF-8
+  return `\uFEFF${lineas.map((linea) => linea.join(",")).join("\r\n")}\r\n`;
+};
+
+// nombre sin extensión
+const enviarExportacion = async (res, formato, nombre, hojas) => {
+  if (formato === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${nombre}.csv"`,
+    );
+    return res.send(textoCsv(hojas));
+  }
+
+  const contenido = await libroExcel(hojas);
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${nombre}.xlsx"`);
+  res.send(Buffer.from(contenido));
+};
+
+// Una hoja por valor de `clave` (p. ej. una por área); sin filas queda
+// una hoja vacía con los encabezados
+const hojasPorGrupo = (filas, clave, columnas, nombreVacio) => {
+  if (filas.length === 0) return [{ nombre: nombreVacio, columnas, filas }];
+
+  const grupos = new Map();
+
+  for (const fila of filas) {
+    if (!grupos.has(fila[clave])) grupos.set(fila[clave], []);
+    grupos.get(fila[clave]).push(fila);
+  }
+
+  return [...grupos].map(([nombre, filasGrupo]) => ({
+    nombre,
+    columnas,
+    filas: filasGrupo,
+  }));
+};
+
+const siNo = (valor) => (valor ? "Sí" : "No");
+
+const COLUMNAS_EXPORTAR_PUESTOS = [
+  { titulo: "Área", valor: (f) => f.nombre_area, ancho: 24 },
+  { titulo: "Puesto", valor: (f) => f.puesto, ancho: 28 },
+  { titulo: "Trabajadores", valor: (f) => f.numero_usuarios, ancho: 14 },
+  {
+    titulo: "Descripción",
+    valor: (f) => f.descripcion,
+    ancho: 40,
+    ajustar: true,
+  },
+  { titulo: "Riesgos", valor: (f) => f.riesgos, ancho: 40, ajustar: true },
+  { titulo: "EPP", valor: (f) => f.epp, ancho: 40, ajustar: true },
+  {
+    titulo: "Criterio EPP",
+    valor: (f) => f.criterio_epp,
+    ancho: 30,
+    ajustar: true,
+  },
+];
+
+const COLUMNAS_EXPORTAR_AREAS = [
+  { titulo: "Área", valor: (f) => f.nombre_area, ancho: 28 },
+  {
+    titulo: "Descripción",
+    valor: (f) => f.descripcion,
+    ancho: 40,
+    ajustar: true,
+  },
+  { titulo: "Encargado", valor: (f) => f.encargado, ancho: 24 },
+  { titulo: "Contacto", valor: (f) => f.contacto, ancho: 24 },
+  { titulo: "Fotos", valor: (f) => f.galeria.length, ancho: 10 },
+];
+
+const ESTADOS_STOCK = { bajo: "Bajo mínimo", exceso: "Sobre máximo", ok: "OK" };
+
+const COLUMNAS_EXPORTAR_INVENTARIO = [
+  { titulo: "Clave", valor: (f) => f.clave_producto, ancho: 14 },
+  { titulo: "Producto", valor: (f) => f.nombre_producto, ancho: 30 },
+  { titulo: "Marca", valor: (f) => f.marca, ancho: 18 },
+  { titulo: "Tipo", valor: (f) => f.tipo_producto, ancho: 18 },
+  { titulo: "Área", valor: (f) => f.nombre_area, ancho: 22 },
+  { titulo: "Puesto", valor: (f) => f.puesto, ancho: 22 },
+  { titulo: "Existencia", valor: (f) => f.cantidad_total, ancho: 12 },
+  { titulo: "Mínimo", valor: (f) => f.cantidad_min, ancho: 10 },
+  { titulo: "Máximo", valor: (f) => f.cantidad_max, ancho: 10 },
+  { titulo: "Estado", valor: (f) => ESTADOS_STOCK[estadoStock(f)], ancho: 14 },
+  {
+    titulo: "Vence certificado",
+    valor: (f) => f.certificado_vencimiento,
+    tipo: "fecha",
+    ancho: 16,
+  },
+  {
+    titulo: "Vence ficha técnica",
+    valor: (f) => f.ficha_tecnica_vencimiento,
+    tipo: "fecha",
+    ancho: 16,
+  },
+  {
+    titulo: "Descripción",
+    valor: (f) => f.descripcion,
+    ancho: 40,
+    ajustar: true,
+  },
+];
+
+const COLUMNAS_EXPORTAR_CUESTIONARIOS = [
+  { titulo: "Área", valor: (f) => f.area_nombre, ancho: 22 },
+  { titulo: "Puesto", valor: (f) => f.puesto_nombre, ancho: 24 },
+  { titulo: "NOM", valor: (f) => f.nom, ancho: 14 },
+  { titulo: "Subopción", valor: (f) => f.subopcion, ancho: 24 },
+  { titulo: "Fecha", valor: (f) => f.created_at, tipo: "fecha", ancho: 12 },
+  { titulo: "Cumplimiento %", valor: (f) => f.cumplimiento, ancho: 14 },
+  {
+    titulo: "Incumplimientos",
+    valor: (f) => (f.incumplimientos || []).map((i) => i.pregunta),
+    ancho: 50,
+    ajustar: true,
+  },
+  { titulo: "ARP", valor: (f) => siNo(f.arp), ancho: 8 },
+  { titulo: "FICHA", valor: (f) => siNo(f.ficha), ancho: 8 },
+];
+
+const COLUMNAS_EXPORTAR_RESPUESTAS = [
+  { titulo: "Área", valor: (f) => f.area_nombre, ancho: 22 },
+  { titulo: "Puesto", valor: (f) => f.puesto_nombre, ancho: 24 },
+  { titulo: "NOM", valor: (f) => f.nom, ancho: 14 },
+  { titulo: "Fecha", valor: (f) => f.created_at, tipo: "fecha", ancho: 12 },
+  { titulo: "Pregunta", valor: (f) => f.pregunta, ancho: 50, ajustar: true },
+  { titulo: "Respuesta", valor: (f) => f.respuesta, ancho: 40, ajustar: true },
+  {
+    titulo: "Incumple",
+    valor: (f) =>
+      siNo(
+        (f.incumplimientos || []).some(
+          (i) => i.respuesta_id === f.respuesta_id,
+        ),
+      ),
+    ancho: 10,
+  },
+];
+
+// Una hoja con un renglón por cuestionario y otra con todas las respuestas.
+// El CSV solo lleva las respuestas (las hojas no comparten columnas).
+const hojasReporteConsolidado = (rows, formato) => {
+  const cuestionarios = [
+    ...new Map(rows.map((row) => [row.info_id, row])).values(),
+  ];
+
+  const respuestas = {
+    nombre: "Respuestas",
+    columnas: COLUMNAS_EXPORTAR_RESPUESTAS,
+    filas: rows,
+  };
+
+  if (formato === "csv") return [respuestas];
+
+  return [
+    {
+      nombre: "Cuestionarios",
+      columnas: COLUMNAS_EXPORTAR_CUESTIONARIOS,
+      filas: cuestionarios,
+    },
+    respuestas,
+  ];
+};
+
+app.get(
+  "/reporte-consolidado",
+  autorizar("puesto", (req) => req.query.puestoId),
+  validarFormato,
+  async (req, res) => {
+    try {
+      const puestoId = parseInt(req.query.puestoId, 10);
+
+      if (!puestoId) {
+        return res.status(400).json({ message: "puestoId requerido" });
+      }
+
+      const rows = await consultarReporteConsolidado("puesto", puestoId);
+
+      if (req.query.format) {
+        return await enviarExportacion(
+          res,
+          req.query.format,
+          `reporte-consolidado-puesto-${puestoId}`,
+          hojasReporteConsolidado(rows, req.query.format),
+        );
+      }
+
+      res.json(rows);
+    } catch (error) {
+      console.error("❌ Error reporte consolidado:", error.message);
+      res.status(500).json({
+        message: "Error interno en reporte consolidado",
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ------------------- REPORTE CONSOLIDADO PDF ------------------- //
+
+const REPORTE_MARCA =
+  process.env.REPORTE_MARCA || "Reporte de Cumplimiento NOM";
+
+// Un solo navegador para todas las peticiones
+let navegadorPromise = null;
+
+const obtenerNavegador = () => {
+  if (!navegadorPromise) {
+    navegadorPromise = puppeteer
+      .launch({
+        headless: true,
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      })
+      .catch((err) => {
+        navegadorPromise = null;
+        throw err;
+      });
+  }
+
+  return navegadorPromise;
+};
+
+const generarPdf = async (html) => {
+  const navegador = await obtenerNavegador();
+  const pagina = await navegador.newPage();
+
+  try {
+    await pagina.setContent(html, { waitUntil: "load" });
+
+    return await pagina.pdf({
+      format: "Letter",
+      printBackground: true,
+      margin: { top: "20mm", bottom: "20mm", left: "15mm", right: "15mm" },
+    });
+  } finally {
+    await pagina.close();
+  }
+};
+
+const escaparHtml = (valor) =>
+  String(valor ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Las imágenes se incrustan para que el PDF no dependa de la red.
+// Se usa la versión web si existe: el original puede pesar varios MB.
+const imagenDataUri = async (ruta) => {
+  for (const candidata of [rutaVariante(ruta, "web"), ruta]) {
+    try {
+      const contenido = await almacenamiento.leer(claveDeRuta(candidata));
+      const ext = path.extname(candidata).toLowerCase();
+      const mime = ext === ".png" ? "image/png" : "image/jpeg";
+
+      return `data:${mime};base64,${contenido.toString("base64")}`;
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+
+  return null;
+};
+
+// Descarga de una vez las imágenes que usará el HTML: Map ruta → data URI
+const cargarImagenes = async (rutas) => {
+  const unicas = [...new Set(rutas.filter(Boolean))];
+  const uris = await Promise.all(unicas.map(imagenDataUri));
+
+  return new Map(unicas.map((ruta, i) => [ruta, uris[i]]));
+};
+
+// Agrupa las filas planas: NOM → subopción → cuestionario → respuestas
+const agruparReporte = (rows) => {
+  const noms = new Map();
+
+  for (const row of rows) {
+    const nom = row.nom || "Sin NOM";
+    const subopcion = row.subopcion || "General";
+
+    if (!noms.has(nom)) noms.set(nom, new Map());
+    const subopciones = noms.get(nom);
+
+    if (!subopciones.has(subopcion)) subopciones.set(subopcion, new Map());
+    const cuestionarios = subopciones.get(subopcion);
+
+    if (!cuestionarios.has(row.info_id)) {
+      cuestionarios.set(row.info_id, {
+        info_id: row.info_id,
+        area_nombre: row.area_nombre,
+        puesto_nombre: row.puesto_nombre,
+        created_at: row.created_at,
+        revision: row.revision,
+        image: row.image,
+        galeria: galeriaConPortada(row.image, row.galeria, row),
+        naturaleza_emision: row.naturaleza_emision,
+        descripcion_operacion: row.descripcion_operacion,
+        epp_recomendado: row.epp_recomendado,
+        cumplimiento: row.cumplimiento,
+        incumplimientos: row.incumplimientos || [],
+        arp: new Set(),
+        ficha: new Set(),
+        respuestas: new Map(),
+      });
+    }
+
+    const cuestionario = cuestionarios.get(row.info_id);
+
+    if (row.arp) cuestionario.arp.add(row.arp);
+    if (row.ficha) cuestionario.ficha.add(row.ficha);
+
+    // Los LEFT JOIN de documentos pueden repetir la misma respuesta
+    cuestionario.respuestas.set(row.respuesta_id, {
+      pregunta: row.pregunta,
+      respuesta: row.respuesta,
+    });
+  }
+
+  return [...noms].map(([nom, subopciones]) => ({
+    nom,
+    subopciones: [...subopciones].map(([subopcion, cuestionarios]) => ({
+      subopcion,
+      cuestionarios: [...cuestionarios.values()].map((c) => ({
+        ...c,
+        arp: [...c.arp],
+        ficha: [...c.ficha],
+        respuestas: [...c.respuestas.values()],
+      })),
+    })),
+  }));
+};
+
+// Los archivos ya no son públicos: el PDF lleva enlaces firmados
+const ENLACE_PDF_MINUTOS =
+  (parseInt(process.env.ARCHIVOS_ENLACE_PDF_DIAS, 10) || 7) * 24 * 60;
+
+const htmlDocumentos = (titulo, rutas, baseUrl) =>
+  rutas.length === 0
+    ? `<span class="sin-dato">Sin ${titulo}</span>`
+    : rutas
+        .map(
+          (ruta, i) =>
+            `<a href="${escaparHtml(
+              baseUrl + enlaceFirmado(ruta, ENLACE_PDF_MINUTOS).url,
+            )}">${titulo}${rutas.length > 1 ? ` ${i + 1}` : ""}</a>`,
+        )
+        .join(" ");
+
+const htmlGaleria = (galeria, imagenes) =>
+  galeria
+    .map((foto) => ({ ...foto, src: imagenes.get(foto.archivo) }))
+    .filter((foto) => foto.src)
+    .map(
+      (foto) => `
+        <figure>
+          <img src="${foto.src}" />
+          ${foto.descripcion ? `<figcaption>${escaparHtml(foto.descripcion)}</figcaption>` : ""}
+        </figure>
+      `,
+    )
+    .join("");
+
+const htmlCuestionario = (c, baseUrl, imagenes) => `
+    <div class="cuestionario">
+      <h4>
+        ${escaparHtml(c.area_nombre)} / ${escaparHtml(c.puesto_nombre)}
+        <small>
+          ${new Date(c.created_at).toLocaleDateString("es-MX")}
+          ${c.revision > 1 ? ` · Revisión ${c.revision}` : ""}
+        </small>
+      </h4>
+
+      ${
+        c.cumplimiento === null || c.cumplimiento === undefined
+          ? ""
+          : `<p class="cumplimiento"><b>Cumplimiento:</b> ${Number(c.cumplimiento)}%</p>`
+      }
+
+      <table>
+        <thead><tr><th>Pregunta</th><th>Respuesta</th></tr></thead>
+        <tbody>
+          ${c.respuestas
+            .map(
+              (r) =>
+                `<tr><td>${escaparHtml(r.pregunta)}</td><td>${escaparHtml(r.respuesta)}</td></tr>`,
+            )
+            .join("")}
+        </tbody>
+      </table>
+
+      <p><b>Naturaleza de la emisión:</b> ${escaparHtml(c.naturaleza_emision || "N/A")}</p>
+      <p><b>Descripción de la operación:</b> ${escaparHtml(c.descripcion_operacion || "N/A")}</p>
+      <p><b>EPP recomendado:</b> ${escaparHtml(c.epp_recomendado || "N/A")}</p>
+
+      ${
+        c.incumplimientos.length === 0
+          ? ""
+          : `<p><b>Incumplimientos:</b></p>
+             <ul class="incumplimientos">
+               ${c.incumplimientos
+                 .map(
+                   (i) =>
+                     `<li>${escaparHtml(i.pregunta)}: ${escaparHtml(i.respuesta)}</li>`,
+                 )
+                 .join("")}
+             </ul>`
+      }
+
+      <p class="documentos">
+        ${htmlDocumentos("ARP", c.arp, baseUrl)}
+        ${htmlDocumentos("FICHA", c.ficha, baseUrl)}
+      </p>
+
+      <div class="galeria">${htmlGaleria(c.galeria, imagenes)}</div>
+    </div>
+  `;
+
+const htmlReporteConsolidado = ({
+  cliente,
+  alcance,
+  grupos,
+  baseUrl,
+  imagenes,
+}) => `
+  <!DOCTYPE html>
+  <html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 11px; color: #222; }
+      header { border-bottom: 3px solid #0b5394; margin-bottom: 16px; }
+      header h1 { color: #0b5394; margin: 0 0 4px; font-size: 20px; }
+      h2 { background: #0b5394; color: #fff; padding: 6px 8px; font-size: 15px; }
+      h3 { color: #0b5394; border-bottom: 1px solid #ccc; font-size: 13px; }
+      h4 small { color: #777; font-weight: normal; margin-left: 8px; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+      th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+      th { background: #eef3f9; }
+      img { max-width: 100%; max-height: 320px; margin-top: 6px; }
+      .galeria figure { display: inline-block; width: 48%; margin: 0 1% 8px 0; vertical-align: top; }
+      .galeria img { max-height: 220px; }
+      figcaption { color: #555; font-size: 10px; }
+      a { color: #0b5394; margin-right: 12px; }
+      .cuestionario { page-break-inside: avoid; margin-bottom: 18px; }
+      .sin-dato { color: #999; margin-right: 12px; }
+      .cumplimiento { font-size: 12px; }
+      .incumplimientos { color: #a61c00; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h1>${escaparHtml(REPORTE_MARCA)}</h1>
+      <p>
+        <b>Cliente:</b> ${escaparHtml(cliente.nombre_empresa)}<br />
+        <b>Alcance:</b> ${escaparHtml(alcance)}<br />
+        <b>Fecha:</b> ${new Date().toLocaleDateString("es-MX")}
+      </p>
+    </header>
+
+    ${
+      grupos.length === 0
+        ? "<p>No hay cuestionarios registrados.</p>"
+        : grupos
+            .map(
+              (g) => `
+                <h2>${escaparHtml(g.nom)}</h2>
+                ${g.subopciones
+                  .map(
+                    (s) => `
+                      <h3>${escaparHtml(s.subopcion)}</h3>
+                      ${s.cuestionarios.map((c) => htmlCuestionario(c, baseUrl, imagenes)).join("")}
+                    `,
+                  )
+                  .join("")}
+              `,
+            )
+            .join("")
+    }
+  </body>
+  </html>
+`;
+
+// PDF del reporte consolidado a partir de las filas de consultarReporteConsolidado
+const pdfReporteConsolidado = async ({ cliente, alcance, rows, baseUrl }) => {
+  const grupos = agruparReporte(rows);
+  const imagenes = await cargarImagenes(
+    grupos.flatMap((g) =>
+      g.subopciones.flatMap((s) =>
+        s.cuestionarios.flatMap((c) => c.galeria.map((f) => f.archivo)),
+      ),
+    ),
+  );
+
+  return generarPdf(
+    htmlReporteConsolidado({ cliente, alcance, grupos, baseUrl, imagenes }),
+  );
+};
+
+// GET /reporte-consolidado/pdf?puestoId=  (o ?clienteId= para todo el cliente)
+// &guardar=true lo guarda en reportes_nom en lugar de descargarlo
+app.get(
+  "/reporte-consolidado/pdf",
+  (req, res, next) =>
+    req.query.clienteId
+      ? autorizar("cliente", (r) => r.query.clienteId)(req, res, next)
+      : autorizar("puesto", (r) => r.query.puestoId)(req, res, next),
+  async (req, res) => {
+    try {
+      const clienteId = parseInt(req.query.clienteId, 10);
+      const puestoId = parseInt(req.query.puestoId, 10);
+
+      if (!clienteId && !puestoId) {
+        return res
+          .status(400)
+          .json({ message: "puestoId o clienteId requerido" });
+      }
+
+      const encabezado = clienteId
+        ? await db.query(
+            "SELECT id, nombre_empresa FROM clientes WHERE id = $1",
+            [clienteId],
+          )
+        : await db.query(
+            `SELECT c.id, c.nombre_empresa, p.puesto, a.nombre_area
+             FROM puestos_trabajo p
+             JOIN areas_trabajo a ON a.id = p.area_id
+             JOIN clientes c ON c.id = a.cliente_id
+             WHERE p.id = $1`,
+            [puestoId],
+          );
+
+      const cliente = encabezado.rows[0];
+
+      const rows = clienteId
+        ? await consultarReporteConsolidado("cliente", clienteId)
+        : await consultarReporteConsolidado("puesto", puestoId);
+
+      const baseUrl =
+        process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+
+      const pdf = await pdfReporteConsolidado({
+        cliente,
+        alcance: clienteId
+          ? "Todas las áreas y puestos"
+          : `${cliente.nombre_area} / ${cliente.puesto}`,
+        rows,
+        baseUrl,
+      });
+
+      const nombreArchivo = `${Date.now()}-reporte-consolidado-${
+        clienteId ? `cliente-${clienteId}` : `puesto-${puestoId}`
+      }.pdf`;
+
+      if (req.query.guardar === "true") {
+        await almacenamiento.guardar(
+          `${CARPETA_REPORTES_NOM}/${nombreArchivo}`,
+          Buffer.from(pdf),
+          "application/pdf",
+        );
+
+        const reporte = await insertarReporteNom(db, {
+          cliente_id: cliente.id,
+          tipo_documento: "REPORTE_CONSOLIDADO",
+          archivo: `/uploads/reportes_nom/${nombreArchivo}`,
+          puesto_id: puestoId || null,
+          fuente: "generado",
+          usuario_id: req.usuario.id,
+        });
+
+        await registrarAuditoria(req, {
+          accion: "crear",
+          entidad: "reportes_nom",
+          entidadId: reporte.id,
+          clienteId: cliente.id,
+          despues: reporte,
+        });
+
+        return res.json({
+          success: true,
+          mensaje: "Reporte guardado correctamente",
+          reporte,
+        });
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${nombreArchivo}"`,
+      );
+      res.send(Buffer.from(pdf));
+    } catch (error) {
+      console.error("❌ Error reporte consolidado PDF:", error);
+      res.status(500).json({
+        message: "Error generando el PDF del reporte",
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ------------------- REPORTES NOM ------------------- //
+
+// GET /reportes-nom?cliente_id=&tipo_documento=&nom=&versiones=todas
+// Por defecto solo la versión vigente de cada documento
+app.get(
+  "/reportes-nom",
+  autorizar("cliente", (req) => req.query.cliente_id),
+  async (req, res) => {
+    const { cliente_id, tipo_documento, nom, versiones } = req.query;
+
+    try {
+      const result = await db.query(
+        `SELECT
+          r.*,
+          a.nombre_area,
+          p.puesto,
+          u.usuario AS subido_por
+        FROM reportes_nom r
+        LEFT JOIN areas_trabajo a ON a.id = r.area_id
+        LEFT JOIN puestos_trabajo p ON p.id = r.puesto_id
+        LEFT JOIN usuarios u ON u.id = r.usuario_id
+        WHERE r.cliente_id = $1
+          AND ($2::text IS NULL OR r.tipo_documento = $2)
+          AND ($3::text IS NULL OR r.nom = $3)
+          AND ($4::boolean OR r.vigente)
+        ORDER BY r.created_at DESC, r.id DESC`,
+        [
+          cliente_id,
+          tipo_documento || null,
+          nom || null,
+          versiones === "todas",
+        ],
+      );
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error listando reportes NOM:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// REPORTE CON SUS VERSIONES
+app.get("/reportes-nom/:id", autorizar("reporteNom"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM reportes_nom
+      WHERE origen_id = (SELECT origen_id FROM reportes_nom WHERE id = $1)
+      ORDER BY version DESC`,
+      [req.params.id],
+    );
+
+    res.json({
+      ...result.rows.find((r) => String(r.id) === String(req.params.id)),
+      versiones: result.rows,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get(
+  "/reportes-nom/:id/descargar",
+  autorizar("reporteNom"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        "SELECT archivo FROM reportes_nom WHERE id = $1",
+        [req.params.id],
+      );
+      const { archivo } = result.rows[0];
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${path.basename(archivo)}"`,
+      );
+      await enviarArchivo(res, archivo);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  },
+);
+
+// EDITAR METADATOS (no cambia el archivo ni la versión)
+app.put("/reportes-nom/:id", autorizar("reporteNom"), async (req, res) => {
+  try {
+    const anterior = await db.query(
+      "SELECT * FROM reportes_nom WHERE id = $1",
+      [req.params.id],
+    );
+    const actual = anterior.rows[0];
+
+    const metadatos = leerMetadatosReporte({
+      ...actual,
+      ...req.body,
+    });
+    await validarAlcanceReporte(actual.cliente_id, metadatos);
+
+    const result = await db.query(
+      `UPDATE reportes_nom
+      SET tipo_documento = $1, nom = $2, periodo_inicio = $3, periodo_fin = $4,
+          area_id = $5, puesto_id = $6, consultor = $7,
+          fecha_emision = $8, fecha_vencimiento = $9
+      WHERE id = $10
+      RETURNING *`,
+      [
+        req.body.tipo_documento || actual.tipo_documento,
+        metadatos.nom,
+        metadatos.periodo_inicio,
+        metadatos.periodo_fin,
+        metadatos.area_id,
+        metadatos.puesto_id,
+        metadatos.consultor,
+        metadatos.fecha_emision,
+        metadatos.fecha_vencimiento,
+        req.params.id,
+      ],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "actualizar",
+      entidad: "reportes_nom",
+      entidadId: req.params.id,
+      antes: actual,
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// REEMPLAZAR ARCHIVO: nueva versión; la anterior se conserva
+app.post(
+  "/reportes-nom/:id/reemplazar",
+  uploadReporteNom.single("archivo"),
+  autorizar("reporteNom"),
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "No se recibió ningún archivo PDF" });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const anterior = await client.query(
+        "SELECT * FROM reportes_nom WHERE id = $1 FOR UPDATE",
+        [req.params.id],
+      );
+      const actual = anterior.rows[0];
+
+      if (!actual.vigente) {
+        await client.query("ROLLBACK");
+        descartarArchivos(req);
+        return res
+          .status(409)
+          .json({ error: "Solo se puede reemplazar la versión vigente" });
+      }
+
+      const metadatos = leerMetadatosReporte({ ...actual, ...req.body });
+      await validarAlcanceReporte(actual.cliente_id, metadatos);
+
+      await client.query(
+        "UPDATE reportes_nom SET vigente = FALSE WHERE id = $1",
+        [actual.id],
+      );
+
+      const reporte = await insertarReporteNom(client, {
+        ...metadatos,
+        cliente_id: actual.cliente_id,
+        tipo_documento: req.body.tipo_documento || actual.tipo_documento,
+        archivo: `/uploads/reportes_nom/${req.file.filename}`,
+        fuente: "manual",
+        usuario_id: req.usuario.id,
+        version: actual.version + 1,
+        origen_id: actual.origen_id,
+      });
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "actualizar",
+          entidad: "reportes_nom",
+          entidadId: reporte.id,
+          antes: actual,
+          despues: reporte,
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        mensaje: "Reporte reemplazado correctamente",
+        reporte,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      descartarArchivos(req);
+
+      console.error("❌ Error reemplazando reporte NOM:", error.message);
+
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// ELIMINAR REPORTE (todas sus versiones y archivos)
+app.delete("/reportes-nom/:id", autorizar("reporteNom"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `DELETE FROM reportes_nom
+      WHERE origen_id = (SELECT origen_id FROM reportes_nom WHERE id = $1)
+      RETURNING *`,
+      [req.params.id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "eliminar",
+      entidad: "reportes_nom",
+      entidadId: req.params.id,
+      antes: result.rows,
+    });
+
+    eliminarArchivosFisicos(result.rows.map((r) => r.archivo));
+
+    res.json({ success: true, eliminadas: result.rows.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =====================================================
+// REPORTES NOM - OPCIÓN 2: GENERADO DESDE LOS CUESTIONARIOS
+// body: { cliente_id, tipo_documento, nom, area_id, puesto_id,
+//         periodo_inicio, periodo_fin, consultor }
+// =====================================================
+
+app.post(
+  "/reportes-nom/opcion-2",
+  autorizar("cliente", (req) => req.body.cliente_id),
+  async (req, res) => {
+    const { cliente_id } = req.body;
+    const tipoDocumento = req.body.tipo_documento || "REPORTE_NOM";
+
+    try {
+      const metadatos = leerMetadatosReporte(req.body);
+      await validarAlcanceReporte(cliente_id, metadatos);
+
+      // El alcance más específico que venga
+      const [filtro, id] = metadatos.puesto_id
+        ? ["puesto", metadatos.puesto_id]
+        : metadatos.area_id
+          ? ["area", metadatos.area_id]
+          : ["cliente", cliente_id];
+
+      const rows = await consultarReporteConsolidado(filtro, id, {
+        nom: metadatos.nom,
+        desde: metadatos.periodo_inicio,
+        hasta: metadatos.periodo_fin,
+      });
+
+      if (rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "No hay cuestionarios en el alcance y periodo" });
+      }
+
+      const cliente = await db.query(
+        "SELECT id, nombre_empresa FROM clientes WHERE id = $1",
+        [cliente_id],
+      );
+
+      const alcance = [
+        filtro === "cliente"
+          ? "Todas las áreas y puestos"
+          : filtro === "area"
+            ? rows[0].area_nombre
+            : `${rows[0].area_nombre} / ${rows[0].puesto_nombre}`,
+        metadatos.nom,
+        metadatos.periodo_inicio || metadatos.periodo_fin
+          ? `Periodo ${metadatos.periodo_inicio || "inicio"} a ${
+              metadatos.periodo_fin || "hoy"
+            }`
+          : null,
+        metadatos.consultor ? `Consultor: ${metadatos.consultor}` : null,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      const pdf = await pdfReporteConsolidado({
+        cliente: cliente.rows[0],
+        alcance,
+        rows,
+        baseUrl:
+          process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`,
+      });
+
+      const nombreArchivo = `${Date.now()}-${slugArchivo(
+        tipoDocumento,
+      )}-cliente-${Number(cliente_id)}.pdf`;
+
+      await almacenamiento.guardar(
+        `${CARPETA_REPORTES_NOM}/${nombreArchivo}`,
+        Buffer.from(pdf),
+        "application/pdf",
+      );
+
+      const reporte = await insertarReporteNom(db, {
+        ...metadatos,
+        cliente_id,
+        tipo_documento: tipoDocumento,
+        archivo: `/uploads/reportes_nom/${nombreArchivo}`,
+        fuente: "generado",
+        usuario_id: req.usuario.id,
+      });
+
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "reportes_nom",
+        entidadId: reporte.id,
+        despues: reporte,
+      });
+
+      res.json({
+        success: true,
+        mensaje: "Reporte generado correctamente",
+        reporte,
+      });
+    } catch (error) {
+      console.error("❌ Error generando reporte NOM:", error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  },
+);
+
+// ------------------- ELIMINAR CLIENTE (PAPELERA) -------------------
+// El cliente se marca con deleted_at y se puede restaurar durante
+// PAPELERA_DIAS; después el job de purga lo borra junto con sus archivos.
+
+const PAPELERA_DIAS = parseInt(process.env.PAPELERA_DIAS, 10) || 30;
+
+app.delete("/clientes/:id", autorizar("cliente"), async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE clientes
+      SET deleted_at = NOW(), deleted_by = $1
+      WHERE id = $2
+      RETURNING *`,
+      [req.usuario.id, req.params.id],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "eliminar",
+      entidad: "clientes",
+      entidadId: req.params.id,
+      despues: result.rows[0],
+    });
+
+    res.json({
+      success: true,
+      message: "Cliente enviado a la papelera",
+      cliente: result.rows[0],
+      dias_para_restaurar: PAPELERA_DIAS,
+    });
+  } catch (error) {
+    console.error("❌ Error eliminando cliente:", error);
+
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// CLIENTES EN LA PAPELERA
+app.get("/papelera/clientes", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT
+        c.*,
+        c.deleted_at + make_interval(days => $2::int) AS purgar_en
+      FROM clientes c
+      WHERE c.deleted_at IS NOT NULL
+        AND ($3::boolean OR c.usuario_id = $1)
+      ORDER BY c.deleted_at DESC`,
+      [req.usuario.id, PAPELERA_DIAS, esAdmin(req)],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// RESTAURAR CLIENTE
+app.post(
+  "/papelera/clientes/:id/restaurar",
+  autorizar("clienteEliminado"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `UPDATE clientes
+        SET deleted_at = NULL, deleted_by = NULL
+        WHERE id = $1
+        RETURNING *`,
+        [req.params.id],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "restaurar",
+        entidad: "clientes",
+        entidadId: req.params.id,
+        despues: result.rows[0],
+      });
+
+      res.json({
+        success: true,
+        message: "Cliente restaurado correctamente",
+        cliente: result.rows[0],
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+// Borra definitivamente un cliente (filas + archivos en uploads/)
+const purgarCliente = async (clienteId, req = null) => {
+  const client = await db.connect();
+  let archivos = [];
+
+  try {
+    await client.query("BEGIN");
+
+    const anterior = await client.query(
+      "SELECT * FROM clientes WHERE id = $1",
+      [clienteId],
+    );
+
+    archivos = await consultarArchivos(client, "cliente", clienteId);
+    await eliminarClienteCascada(client, clienteId);
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "purgar",
+        entidad: "clientes",
+        entidadId: clienteId,
+        clienteId,
+        antes: { ...anterior.rows[0], archivos },
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  eliminarArchivosFisicos(archivos);
+
+  return archivos.length;
+};
+
+// VACIAR UN CLIENTE DE LA PAPELERA (sin esperar la retención)
+app.delete(
+  "/papelera/clientes/:id",
+  autorizar("clienteEliminado"),
+  async (req, res) => {
+    try {
+      const archivos = await purgarCliente(req.params.id, req);
+
+      res.json({
+        success: true,
+        message: "Cliente eliminado definitivamente",
+        archivos_eliminados: archivos,
+      });
+    } catch (error) {
+      console.error("❌ Error purgando cliente:", error);
+
+      res.status(500).json({
+        success: false,
+        message: error.message,
+        detail: error.detail,
+        table: error.table,
+        constraint: error.constraint,
+      });
+    }
+  },
+);
+
+// JOB DE PURGA: clientes con más de PAPELERA_DIAS en la papelera
+const purgarPapelera = async () => {
+  const vencidos = await db.query(
+    `SELECT id FROM clientes
+     WHERE deleted_at IS NOT NULL
+       AND deleted_at < NOW() - make_interval(days => $1::int)`,
+    [PAPELERA_DIAS],
+  );
+
+  let purgados = 0;
+
+  for (const { id } of vencidos.rows) {
+    try {
+      await purgarCliente(id);
+      purgados++;
+    } catch (error) {
+      console.error(`❌ Error purgando cliente ${id}:`, error.message);
+    }
+  }
+
+  if (purgados > 0) {
+    console.log(`🗑 Papelera: ${purgados} cliente(s) purgados`);
+  }
+
+  return purgados;
+};
+
+app.post("/papelera/purgar", soloAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, purgados: await purgarPapelera() });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// El puesto y su área tienen que ser del cliente del artículo: autorizar
+// solo revisa que cada uno sea del usuario por separado
+const validarUbicacionInventario = async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT p.area_id, a.cliente_id
+      FROM puestos_trabajo p
+      JOIN areas_trabajo a ON a.id = p.area_id
+      WHERE p.id = $1`,
+      [req.body.puesto_id],
+    );
+
+    const ubicacion = result.rows[0];
+
+    if (
+      !ubicacion ||
+      String(ubicacion.cliente_id) !== String(req.body.cliente_id) ||
+      String(ubicacion.area_id) !== String(req.body.area_id)
+    ) {
+      descartarArchivos(req);
+      return res
+        .status(400)
+        .json({ error: "El área y el puesto deben pertenecer al cliente" });
+    }
+
+    req.clienteId = ubicacion.cliente_id;
+    next();
+  } catch (error) {
+    descartarArchivos(req);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+//Crear inventario
+
+app.post(
+  "/inventario",
+  upload.fields([
+    { name: "ficha_tecnica", maxCount: 1 },
+    { name: "certificado", maxCount: 1 },
+  ]),
+  autorizar("cliente", (req) => req.body.cliente_id),
+  autorizar("puesto", (req) => req.body.puesto_id),
+  validarUbicacionInventario,
+  async (req, res) => {
+    try {
+      const {
+        clave_producto,
+        nombre_producto,
+        marca,
+        tipo_producto,
+        descripcion,
+        cantidad_min,
+        cantidad_max,
+        cantidad_total,
+        cliente_id,
+        area_id,
+        puesto_id,
+        epp_id,
+        ficha_tecnica_emision,
+        ficha_tecnica_vencimiento,
+        certificado_emision,
+        certificado_vencimiento,
+      } = req.body;
+
+      // ===========================
+      // Obtener rutas de los PDF
+      // ===========================
+
+      const fichaTecnica = req.files?.ficha_tecnica
+        ? `/uploads/${req.files.ficha_tecnica[0].filename}`
+        : null;
+
+      const certificado = req.files?.certificado
+        ? `/uploads/${req.files.certificado[0].filename}`
+        : null;
+
+      const client = await db.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        // cantidad_total arranca en 0 y la existencia inicial entra como
+        // movimiento para que el kardex cuadre desde el primer día
+        const result = await client.query(
+          `
+          INSERT INTO inventario
+          (
+            clave_producto,
+            nombre_producto,
+            marca,
+            descripcion,
+            tipo_producto,
+            cantidad_min,
+            cantidad_max,
+            cantidad_total,
+            usuario_id,
+            cliente_id,
+            area_id,
+            puesto_id,
+            ficha_tecnica,
+            certificado,
+            epp_id,
+            ficha_tecnica_emision,
+            ficha_tecnica_vencimiento,
+            certificado_emision,
+            certificado_vencimiento
+          )
+          VALUES
+          (
+            $1,$2,$3,$4,$5,$6,$7,0,
+            $8,$9,$10,$11,$12,$13,$14,
+            $15,$16,$17,$18
+          )
+          RETURNING *
+          `,
+          [
+            clave_producto,
+            nombre_producto,
+            marca,
+            descripcion,
+            tipo_producto,
+            cantidad_min,
+            cantidad_max,
+            req.usuario.id,
+            cliente_id,
+            area_id,
+            puesto_id,
+            fichaTecnica,
+            certificado,
+            epp_id || null,
+            ficha_tecnica_emision || null,
+            ficha_tecnica_vencimiento || null,
+            certificado_emision || null,
+            certificado_vencimiento || null,
+          ],
+        );
+
+        let item = result.rows[0];
+
+        if (Number(cantidad_total) > 0) {
+          await registrarMovimiento(client, {
+            inventarioId: item.id,
+            tipo: "entrada",
+            cantidad: Number(cantidad_total),
+            motivo: "Existencia inicial",
+            usuarioId: req.usuario.id,
+          });
+
+          item = { ...item, cantidad_total: Number(cantidad_total) };
+        }
+
+        await registrarAuditoria(
+          req,
+          {
+            accion: "crear",
+            entidad: "inventario",
+            entidadId: item.id,
+            despues: item,
+          },
+          client,
+        );
+
+        await client.query("COMMIT");
+
+        res.json(item);
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error(error);
+      descartarArchivos(req);
+
+      res.status(error.status || 500).json({
+        error: error.message,
+      });
+    }
+  },
+);
+
+//Listar Inventario
+app.get(
+  "/inventario/:clienteId",
+  autorizar("cliente", (req) => req.params.clienteId),
+  validarFormato,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `
+        SELECT
+          i.*,
+          c.nombre_empresa,
+          a.nombre_area,
+          p.puesto
+        FROM inventario i
+        JOIN clientes c ON c.id = i.cliente_id
+        JOIN areas_trabajo a ON a.id = i.area_id
+        JOIN puestos_trabajo p ON p.id = i.puesto_id
+        WHERE i.cliente_id = $1
+        ORDER BY i.id DESC
+        `,
+        [req.params.clienteId],
+      );
+
+      if (req.query.format) {
+        return await enviarExportacion(
+          res,
+          req.query.format,
+          `inventario-cliente-${req.params.clienteId}`,
+          [
+            {
+              nombre: "Inventario",
+              columnas: COLUMNAS_EXPORTAR_INVENTARIO,
+              filas: result.rows,
+            },
+          ],
+        );
+      }
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error(error);
+
+      res.status(500).json({
+        error: error.message,
+      });
+    }
+  },
+);
+
+// ACTUALIZAR INVENTARIO
+// cantidad_total ya no se sobrescribe: si cambia se registra un ajuste
+app.put("/inventario/:id", autorizar("inventario"), async (req, res) => {
+  const { cantidad_total } = req.body;
+  const cambiaExistencia =
+    cantidad_total !== undefined &&
+    cantidad_total !== null &&
+    cantidad_total !== "";
+
+  // Existencia: entero mayor o igual a 0
+  if (
+    cambiaExistencia &&
+    (!Number.isInteger(Number(cantidad_total)) || Number(cantidad_total) < 0)
+  ) {
+    return res.status(400).json({ error: "cantidad_total inválida" });
+  }
+
+  const client = await db.connect();
+
+  try {
+    const {
+      clave_producto,
+      nombre_producto,
+      tipo_producto,
+      marca,
+      descripcion,
+      cantidad_min,
+      cantidad_max,
+      motivo,
+      epp_id,
+      ficha_tecnica_emision,
+      ficha_tecnica_vencimiento,
+      certificado_emision,
+      certificado_vencimiento,
+    } = req.body;
+
+    await client.query("BEGIN");
+
+    const anterior = await client.query(
+      "SELECT * FROM inventario WHERE id = $1 FOR UPDATE",
+      [req.params.id],
+    );
+
+    const diferencia = cambiaExistencia
+      ? Number(cantidad_total) - Number(anterior.rows[0].cantidad_total || 0)
+      : 0;
+
+    if (diferencia !== 0) {
+      await registrarMovimiento(client, {
+        inventarioId: req.params.id,
+        tipo: "ajuste",
+        cantidad: diferencia,
+        motivo: motivo || "Ajuste desde edición de inventario",
+        usuarioId: req.usuario.id,
+      });
+    }
+
+    const result = await client.query(
+      `
+      UPDATE inventario
+      SET
+        clave_producto = $1,
+        nombre_producto = $2,
+        marca = $3,
+        descripcion = $4,
+        cantidad_min = $5,
+        cantidad_max = $6,
+        tipo_producto = $7,
+        epp_id = COALESCE($8, epp_id),
+        ficha_tecnica_emision = COALESCE($9, ficha_tecnica_emision),
+        ficha_tecnica_vencimiento = COALESCE($10, ficha_tecnica_vencimiento),
+        certificado_emision = COALESCE($11, certificado_emision),
+        certificado_vencimiento = COALESCE($12, certificado_vencimiento)
+      WHERE id = $13
+      RETURNING *
+      `,
+      [
+        clave_producto,
+        nombre_producto,
+        marca,
+        descripcion,
+        cantidad_min,
+        cantidad_max,
+        tipo_producto,
+        epp_id || null,
+        ficha_tecnica_emision || null,
+        ficha_tecnica_vencimiento || null,
+        certificado_emision || null,
+        certificado_vencimiento || null,
+        req.params.id,
+      ],
+    );
+
+    // Si cambiaron mínimo / máximo el artículo puede quedar fuera de rango
+    // sin que se mueva la existencia
+    await notificarCruceUmbral(
+      client,
+      result.rows[0],
+      estadoStock({
+        ...anterior.rows[0],
+        cantidad_total: result.rows[0].cantidad_total,
+      }),
+    );
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "inventario",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: result.rows[0],
+      },
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    console.error(error);
+
+    res.status(error.status || 500).json({
+      error: error.message,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// ------------------- MOVIMIENTOS DE INVENTARIO (KARDEX) ------------------- //
+
+const TIPOS_MOVIMIENTO = ["entrada", "salida", "ajuste"];
+
+// Único punto que modifica cantidad_total: bloquea el artículo, valida que
+// no quede en negativo, guarda el movimiento con su saldo y actualiza el total.
+// cantidad es el delta con signo (+ entra, - sale).
+const registrarMovimiento = async (
+  client,
+  { inventarioId, tipo, cantidad, motivo, usuarioId, referenciaId = null },
+) => {
+  const actual = await client.query(
+    "SELECT * FROM inventario WHERE id = $1 FOR UPDATE",
+    [inventarioId],
+  );
+
+  if (actual.rows.length === 0) {
+    const error = new Error("Artículo de inventario no encontrado");
+    error.status = 404;
+    throw error;
+  }
+
+  const saldo = Number(actual.rows[0].cantidad_total || 0) + cantidad;
+
+  if (saldo < 0) {
+    const error = new Error(
+      `Existencia insuficiente: hay ${actual.rows[0].cantidad_total || 0}`,
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await client.query(
+    `INSERT INTO inventario_movimientos
+    (inventario_id, tipo, cantidad, saldo, motivo, usuario_id, referencia_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      inventarioId,
+      tipo,
+      cantidad,
+      saldo,
+      motivo || null,
+      usuarioId,
+      referenciaId,
+    ],
+  );
+
+  await client.query(
+    "UPDATE inventario SET cantidad_total = $1 WHERE id = $2",
+    [saldo, inventarioId],
+  );
+
+  await notificarCruceUmbral(
+    client,
+    { ...actual.rows[0], cantidad_total: saldo },
+    estadoStock(actual.rows[0]),
+  );
+
+  return result.rows[0];
+};
+
+// Cantidades del body: enteros positivos
+const leerCantidad = (valor) => {
+  const cantidad = Number(valor);
+  return Number.isInteger(cantidad) && cantidad > 0 ? cantidad : null;
+};
+
+// REGISTRAR ENTRADA / SALIDA / AJUSTE
+// entrada y salida reciben cantidad positiva; ajuste recibe cantidad con signo
+app.post(
+  "/inventario/:id/movimientos",
+  autorizar("inventario"),
+  async (req, res) => {
+    const { tipo, motivo } = req.body;
+
+    if (!TIPOS_MOVIMIENTO.includes(tipo)) {
+      return res
+        .status(400)
+        .json({ error: `tipo debe ser: ${TIPOS_MOVIMIENTO.join(", ")}` });
+    }
+
+    const cantidad =
+      tipo === "ajuste"
+        ? Number.isInteger(Number(req.body.cantidad)) &&
+          Number(req.body.cantidad) !== 0
+          ? Number(req.body.cantidad)
+          : null
+        : leerCantidad(req.body.cantidad);
+
+    if (cantidad === null) {
+      return res.status(400).json({ error: "cantidad inválida" });
+    }
+
+    if (tipo === "ajuste" && !motivo) {
+      return res.status(400).json({ error: "motivo es requerido en ajustes" });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const movimiento = await registrarMovimiento(client, {
+        inventarioId: req.params.id,
+        tipo,
+        cantidad: tipo === "salida" ? -cantidad : cantidad,
+        motivo,
+        usuarioId: req.usuario.id,
+      });
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "inventario_movimientos",
+          entidadId: movimiento.id,
+          despues: movimiento,
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json(movimiento);
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      console.error("❌ Error registrando movimiento:", error.message);
+
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// TRANSFERIR EXISTENCIA A OTRO ARTÍCULO (otro puesto / área)
+app.post(
+  "/inventario/:id/transferencias",
+  autorizar("inventario"),
+  autorizar("inventario", (req) => req.body.destino_id),
+  async (req, res) => {
+    const { destino_id, motivo } = req.body;
+    const cantidad = leerCantidad(req.body.cantidad);
+
+    if (cantidad === null) {
+      return res.status(400).json({ error: "cantidad inválida" });
+    }
+
+    if (String(destino_id) === String(req.params.id)) {
+      return res
+        .status(400)
+        .json({ error: "El destino debe ser otro artículo" });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // req.clienteId queda con el del destino (segundo autorizar)
+      const articulos = await client.query(
+        "SELECT id, cliente_id FROM inventario WHERE id = ANY($1::int[])",
+        [[req.params.id, destino_id]],
+      );
+      const clienteDe = (id) =>
+        articulos.rows.find((a) => String(a.id) === String(id))?.cliente_id;
+
+      const clienteOrigen = clienteDe(req.params.id);
+      const clienteDestino = clienteDe(destino_id);
+
+      if (String(clienteOrigen) !== String(clienteDestino)) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ error: "El destino debe ser del mismo cliente" });
+      }
+
+      const salida = await registrarMovimiento(client, {
+        inventarioId: req.params.id,
+        tipo: "transferencia_salida",
+        cantidad: -cantidad,
+        motivo,
+        usuarioId: req.usuario.id,
+      });
+
+      const entrada = await registrarMovimiento(client, {
+        inventarioId: destino_id,
+        tipo: "transferencia_entrada",
+        cantidad,
+        motivo,
+        usuarioId: req.usuario.id,
+        referenciaId: salida.id,
+      });
+
+      await client.query(
+        "UPDATE inventario_movimientos SET referencia_id = $1 WHERE id = $2",
+        [entrada.id, salida.id],
+      );
+
+      // Un registro por lado, cada uno con el cliente de su artículo
+      for (const [movimiento, clienteId] of [
+        [salida, clienteOrigen],
+        [entrada, clienteDestino],
+      ]) {
+        await registrarAuditoria(
+          req,
+          {
+            accion: "transferir",
+            entidad: "inventario_movimientos",
+            entidadId: movimiento.id,
+            clienteId,
+            despues: { salida, entrada },
+          },
+          client,
+        );
+      }
+
+      await client.query("COMMIT");
+
+      res.json({ salida, entrada });
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      console.error("❌ Error en transferencia:", error.message);
+
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// KARDEX DE UN ARTÍCULO
+// GET /inventario/:id/kardex?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+app.get("/inventario/:id/kardex", autorizar("inventario"), async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+
+    const item = await db.query("SELECT * FROM inventario WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    // Saldo al inicio del periodo = saldo del último movimiento anterior
+    const inicial = desde
+      ? await db.query(
+          `SELECT saldo FROM inventario_movimientos
+           WHERE inventario_id = $1 AND fecha < $2::date
+           ORDER BY fecha DESC, id DESC
+           LIMIT 1`,
+          [req.params.id, desde],
+        )
+      : { rows: [] };
+
+    const movimientos = await db.query(
+      `SELECT
+        m.*,
+        u.usuario
+      FROM inventario_movimientos m
+      LEFT JOIN usuarios u ON u.id = m.usuario_id
+      WHERE m.inventario_id = $1
+        AND ($2::date IS NULL OR m.fecha >= $2::date)
+        AND ($3::date IS NULL OR m.fecha < $3::date + 1)
+      ORDER BY m.fecha, m.id`,
+      [req.params.id, desde || null, hasta || null],
+    );
+
+    const rows = movimientos.rows;
+    const sumar = (tipos) =>
+      rows
+        .filter((m) => tipos.includes(m.tipo))
+        .reduce((total, m) => total + Number(m.cantidad), 0);
+
+    const saldoInicial = Number(inicial.rows[0]?.saldo || 0);
+
+    res.json({
+      articulo: item.rows[0],
+      desde: desde || null,
+      hasta: hasta || null,
+      saldo_inicial: saldoInicial,
+      entradas: sumar(["entrada", "transferencia_entrada"]),
+      salidas: -sumar(["salida", "transferencia_salida"]),
+      ajustes: sumar(["ajuste"]),
+      saldo_final: rows.length
+        ? Number(rows[rows.length - 1].saldo)
+        : saldoInicial,
+      movimientos: rows,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CONSUMO MENSUAL DE EPP (salidas por mes y artículo)
+// GET /clientes/:id/consumo-epp?desde=&hasta=
+app.get("/clientes/:id/consumo-epp", autorizar("cliente"), async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+
+    const result = await db.query(
+      `SELECT
+          to_char(date_trunc('month', m.fecha), 'YYYY-MM') AS mes,
+          i.id AS inventario_id,
+          i.clave_producto,
+          i.nombre_producto,
+          a.nombre_area,
+          p.puesto,
+          -SUM(m.cantidad)::int AS consumo
+        FROM inventario_movimientos m
+        JOIN inventario i ON i.id = m.inventario_id
+        LEFT JOIN areas_trabajo a ON a.id = i.area_id
+        LEFT JOIN puestos_trabajo p ON p.id = i.puesto_id
+        WHERE i.cliente_id = $1
+          AND m.tipo = 'salida'
+          AND ($2::date IS NULL OR m.fecha >= $2::date)
+          AND ($3::date IS NULL OR m.fecha < $3::date + 1)
+        GROUP BY mes, i.id, a.nombre_area, p.puesto
+        ORDER BY mes, a.nombre_area, p.puesto, i.nombre_producto`,
+      [req.params.id, desde || null, hasta || null],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------- ENTREGAS DE EPP (CONSTANCIAS NOM-017) ------------------- //
+
+// Entrega con los datos necesarios para la constancia
+const consultarEntregas = async (filtro, id, { desde, hasta } = {}) => {
+  const condicion = filtro === "puesto" ? "en.puesto_id = $1" : "en.id = $1";
+
+  const result = await db.query(
+    `SELECT
+      en.*,
+      i.clave_producto,
+      i.nombre_producto,
+      i.marca,
+      t.numero_empleado,
+      p.puesto,
+      a.nombre_area,
+      c.id AS cliente_id,
+      c.nombre_empresa,
+      u.usuario AS entregado_por
+    FROM entregas_epp en
+    JOIN inventario i ON i.id = en.inventario_id
+    JOIN clientes c ON c.id = i.cliente_id
+    LEFT JOIN trabajadores t ON t.id = en.trabajador_id
+    LEFT JOIN puestos_trabajo p ON p.id = en.puesto_id
+    LEFT JOIN areas_trabajo a ON a.id = p.area_id
+    LEFT JOIN usuarios u ON u.id = en.usuario_id
+    WHERE ${condicion}
+      AND ($2::date IS NULL OR en.fecha >= $2::date)
+      AND ($3::date IS NULL OR en.fecha <= $3::date)
+    ORDER BY en.fecha, en.id`,
+    [id, desde || null, hasta || null],
+  );
+
+  return result.rows;
+};
+
+const fechaCorta = (fecha) =>
+  fecha ? new Date(fecha).toLocaleDateString("es-MX") : "";
+
+const htmlConstancias = ({ titulo, subtitulo, entregas, imagenes }) => `
+  <!DOCTYPE html>
+  <html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 11px; color: #222; }
+      header { border-bottom: 3px solid #0b5394; margin-bottom: 16px; }
+      header h1 { color: #0b5394; margin: 0 0 4px; font-size: 18px; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+      th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+      th { background: #eef3f9; }
+      .leyenda { margin: 12px 0; font-style: italic; }
+      .firma img { max-height: 60px; max-width: 160px; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h1>${escaparHtml(REPORTE_MARCA)}</h1>
+      <p><b>${escaparHtml(titulo)}</b><br />${escaparHtml(subtitulo)}</p>
+    </header>
+
+    <p class="leyenda">
+      Recibí el equipo de protección personal descrito, el cual me comprometo a
+      usar y conservar conforme a la capacitación recibida (NOM-017-STPS).
+    </p>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Fecha</th>
+          <th>Trabajador</th>
+          <th>Puesto</th>
+          <th>EPP</th>
+          <th>Cantidad</th>
+          <th>Firma</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${entregas
+          .map((en) => {
+            const firma = imagenes.get(en.firma);
+
+            return `
+              <tr>
+                <td>${fechaCorta(en.fecha)}</td>
+                <td>
+                  ${escaparHtml(en.receptor_nombre)}
+                  ${en.numero_empleado ? `<br /><small>No. ${escaparHtml(en.numero_empleado)}</small>` : ""}
+                </td>
+                <td>${escaparHtml(en.nombre_area)} / ${escaparHtml(en.puesto)}</td>
+                <td>
+                  ${escaparHtml(en.nombre_producto)}
+                  ${en.marca ? `<br /><small>${escaparHtml(en.marca)}</small>` : ""}
+                </td>
+                <td>${en.cantidad}</td>
+                <td class="firma">${firma ? `<img src="${firma}" />` : ""}</td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  </body>
+  </html>
+`;
+
+const enviarPdf = (res, pdf, nombreArchivo) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${nombreArchivo}"`,
+  );
+  res.send(Buffer.from(pdf));
+};
+
+// REGISTRAR ENTREGA (multipart: firma + campos)
+// trabajador_id o receptor_nombre; puesto_id por defecto el del trabajador
+app.post(
+  "/entregas-epp",
+  uploadFirma.single("firma"),
+  autorizar("inventario", (req) => req.body.inventario_id),
+  async (req, res) => {
+    const { inventario_id, trabajador_id, fecha, observaciones } = req.body;
+    const cantidad = leerCantidad(req.body.cantidad);
+
+    if (!req.file) {
+      return res.status(400).json({ error: "La firma es requerida" });
+    }
+
+    if (cantidad === null) {
+      descartarArchivos(req);
+      return res.status(400).json({ error: "cantidad inválida" });
+    }
+
+    if (!trabajador_id && !req.body.receptor_nombre) {
+      descartarArchivos(req);
+      return res
+        .status(400)
+        .json({ error: "trabajador_id o receptor_nombre es requerido" });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const articulo = await client.query(
+        "SELECT * FROM inventario WHERE id = $1",
+        [inventario_id],
+      );
+
+      let receptorNombre = req.body.receptor_nombre;
+      let puestoId = req.body.puesto_id || articulo.rows[0].puesto_id;
+
+      // El trabajador debe ser del mismo cliente que el artículo
+      if (trabajador_id) {
+        const trabajador = await client.query(
+          `SELECT t.nombre, t.puesto_id, a.cliente_id
+          FROM trabajadores t
+          JOIN puestos_trabajo p ON p.id = t.puesto_id
+          JOIN areas_trabajo a ON a.id = p.area_id
+          WHERE t.id = $1`,
+          [trabajador_id],
+        );
+
+        if (
+          trabajador.rows.length === 0 ||
+          String(trabajador.rows[0].cliente_id) !==
+            String(articulo.rows[0].cliente_id)
+        ) {
+          await client.query("ROLLBACK");
+          descartarArchivos(req);
+          return res.status(400).json({ error: "Trabajador inválido" });
+        }
+
+        receptorNombre = receptorNombre || trabajador.rows[0].nombre;
+        puestoId = req.body.puesto_id || trabajador.rows[0].puesto_id;
+      }
+
+      // El puesto indicado también debe ser del cliente del artículo
+      if (req.body.puesto_id) {
+        const puesto = /^\d+$/.test(String(req.body.puesto_id))
+          ? await client.query(
+              `SELECT a.cliente_id
+              FROM puestos_trabajo p
+              JOIN areas_trabajo a ON a.id = p.area_id
+              WHERE p.id = $1`,
+              [req.body.puesto_id],
+            )
+          : { rows: [] };
+
+        if (
+          puesto.rows.length === 0 ||
+          String(puesto.rows[0].cliente_id) !==
+            String(articulo.rows[0].cliente_id)
+        ) {
+          await client.query("ROLLBACK");
+          descartarArchivos(req);
+          return res.status(400).json({ error: "Puesto inválido" });
+        }
+      }
+
+      const result = await client.query(
+        `INSERT INTO entregas_epp
+        (inventario_id, trabajador_id, receptor_nombre, puesto_id, cantidad,
+         fecha, firma, observaciones, usuario_id)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7, $8, $9)
+        RETURNING *`,
+        [
+          inventario_id,
+          trabajador_id || null,
+          receptorNombre,
+          puestoId,
+          cantidad,
+          fecha || null,
+          `/uploads/${req.file.filename}`,
+          observaciones || null,
+          req.usuario.id,
+        ],
+      );
+
+      const entrega = result.rows[0];
+
+      const movimiento = await registrarMovimiento(client, {
+        inventarioId: inventario_id,
+        tipo: "salida",
+        cantidad: -cantidad,
+        motivo: `Entrega de EPP #${entrega.id} a ${receptorNombre}`,
+        usuarioId: req.usuario.id,
+      });
+
+      await client.query(
+        "UPDATE entregas_epp SET movimiento_id = $1 WHERE id = $2",
+        [movimiento.id, entrega.id],
+      );
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "entregas_epp",
+          entidadId: entrega.id,
+          despues: { ...entrega, movimiento_id: movimiento.id },
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json({ ...entrega, movimiento_id: movimiento.id });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      descartarArchivos(req);
+
+      console.error("❌ Error registrando entrega de EPP:", error.message);
+
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// ENTREGA INDIVIDUAL
+app.get("/entregas-epp/:id", autorizar("entrega"), async (req, res) => {
+  try {
+    const [entrega] = await consultarEntregas("entrega", req.params.id);
+
+    res.json(entrega);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CONSTANCIA PDF DE UNA ENTREGA
+app.get("/entregas-epp/:id/pdf", autorizar("entrega"), async (req, res) => {
+  try {
+    const entregas = await consultarEntregas("entrega", req.params.id);
+
+    const pdf = await generarPdf(
+      htmlConstancias({
+        titulo: "Constancia de entrega de EPP",
+        subtitulo: `${entregas[0].nombre_empresa} · Folio ${entregas[0].id}`,
+        entregas,
+        imagenes: await cargarImagenes(entregas.map((en) => en.firma)),
+      }),
+    );
+
+    enviarPdf(res, pdf, `constancia-entrega-${req.params.id}.pdf`);
+  } catch (error) {
+    console.error("❌ Error constancia PDF:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ENTREGAS DE UN PUESTO (?desde=&hasta=)
+app.get("/puestos/:id/entregas-epp", autorizar("puesto"), async (req, res) => {
+  try {
+    res.json(await consultarEntregas("puesto", req.params.id, req.query));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CONSTANCIAS PDF DE UN PUESTO EN UN PERIODO
+app.get(
+  "/puestos/:id/entregas-epp/pdf",
+  autorizar("puesto"),
+  async (req, res) => {
+    try {
+      const { desde, hasta } = req.query;
+
+      const puesto = await db.query(
+        `SELECT p.puesto, a.nombre_area, c.nombre_empresa
+        FROM puestos_trabajo p
+        JOIN areas_trabajo a ON a.id = p.area_id
+        JOIN clientes c ON c.id = a.cliente_id
+        WHERE p.id = $1`,
+        [req.params.id],
+      );
+      const { puesto: nombre, nombre_area, nombre_empresa } = puesto.rows[0];
+
+      const periodo =
+        desde || hasta
+          ? ` · Del ${desde ? fechaCorta(desde) : "inicio"} al ${
+              hasta ? fechaCorta(hasta) : "día de hoy"
+            }`
+          : "";
+
+      const entregas = await consultarEntregas(
+        "puesto",
+        req.params.id,
+        req.query,
+      );
+
+      const pdf = await generarPdf(
+        htmlConstancias({
+          titulo: "Constancias de entrega de EPP",
+          subtitulo: `${nombre_empresa} · ${nombre_area} / ${nombre}${periodo}`,
+          entregas,
+          imagenes: await cargarImagenes(entregas.map((en) => en.firma)),
+        }),
+      );
+
+      enviarPdf(res, pdf, `constancias-puesto-${req.params.id}.pdf`);
+    } catch (error) {
+      console.error("❌ Error constancias PDF:", error);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// ------------------- ALERTAS DE INVENTARIO ------------------- //
+
+// "bajo" si está debajo del mínimo, "exceso" si pasa del máximo
+const estadoStock = ({ cantidad_total, cantidad_min, cantidad_max }) => {
+  const total = Number(cantidad_total || 0);
+
+  if (cantidad_min !== null && total < Number(cantidad_min)) return "bajo";
+  if (cantidad_max && total > Number(cantidad_max)) return "exceso";
+
+  return "ok";
+};
+
+// Avisa a los suscriptores solo cuando el artículo cruza un umbral,
+// no en cada movimiento mientras siga fuera de rango
+const notificarCruceUmbral = async (client, articulo, estadoAnterior) => {
+  const estado = estadoStock(articulo);
+
+  if (estado === "ok" || estado === estadoAnterior) return;
+
+  await notificarSuscriptores(client, "inventario", articulo.cliente_id, {
+    titulo:
+      estado === "bajo"
+        ? `Existencia baja: ${articulo.nombre_producto}`
+        : `Sobreinventario: ${articulo.nombre_producto}`,
+    mensaje:
+      estado === "bajo"
+        ? `Quedan ${articulo.cantidad_total} (mínimo ${articulo.cantidad_min})`
+        : `Hay ${articulo.cantidad_total} (máximo ${articulo.cantidad_max})`,
+    datos: {
+      inventario_id: articulo.id,
+      cliente_id: articulo.cliente_id,
+      estado,
+      cantidad_total: articulo.cantidad_total,
+      cantidad_min: articulo.cantidad_min,
+      cantidad_max: articulo.cantidad_max,
+    },
+  });
+};
+
+// Artículos fuera de rango con la cantidad sugerida para llegar al máximo
+const consultarAlertasInventario = async (filtro, id) => {
+  const condicion =
+    filtro === "cliente"
+      ? "c.id = $1"
+      : filtro === "usuario"
+        ? "c.usuario_id = $1"
+        : "$1::int IS NULL";
+
+  const result = await db.query(
+    `SELECT
+      i.id,
+      i.clave_producto,
+      i.nombre_producto,
+      i.marca,
+      i.tipo_producto,
+      i.cantidad_min,
+      i.cantidad_max,
+      i.cantidad_total,
+      c.id AS cliente_id,
+      c.nombre_empresa,
+      a.id AS area_id,
+      a.nombre_area,
+      p.id AS puesto_id,
+      p.puesto,
+      CASE
+        WHEN i.cantidad_total < i.cantidad_min THEN 'bajo'
+        ELSE 'exceso'
+      END AS estado,
+      CASE
+        WHEN i.cantidad_total < i.cantidad_min
+        THEN COALESCE(NULLIF(i.cantidad_max, 0), i.cantidad_min) - i.cantidad_total
+        ELSE 0
+      END AS cantidad_sugerida,
+      GREATEST(i.cantidad_total - COALESCE(NULLIF(i.cantidad_max, 0), i.cantidad_total), 0) AS excedente
+    FROM inventario i
+    JOIN clientes c ON c.id = i.cliente_id
+    LEFT JOIN areas_trabajo a ON a.id = i.area_id
+    LEFT JOIN puestos_trabajo p ON p.id = i.puesto_id
+    WHERE c.deleted_at IS NULL
+      AND ${condicion}
+      AND (
+        i.cantidad_total < i.cantidad_min
+        OR (NULLIF(i.cantidad_max, 0) IS NOT NULL AND i.cantidad_total > i.cantidad_max)
+      )
+    ORDER BY c.nombre_empresa, a.nombre_area, p.puesto, i.nombre_producto`,
+    [filtro === "todos" ? null : id],
+  );
+
+  return result.rows;
+};
+
+// Filas planas → cliente → área → puesto → artículos
+const agruparAlertas = (rows) => {
+  const clientes = new Map();
+
+  for (const row of rows) {
+    if (!clientes.has(row.cliente_id)) {
+      clientes.set(row.cliente_id, {
+        cliente_id: row.cliente_id,
+        nombre_empresa: row.nombre_empresa,
+        areas: new Map(),
+      });
+    }
+    const areas = clientes.get(row.cliente_id).areas;
+
+    if (!areas.has(row.area_id)) {
+      areas.set(row.area_id, {
+        area_id: row.area_id,
+        nombre_area: row.nombre_area,
+        puestos: new Map(),
+      });
+    }
+    const puestos = areas.get(row.area_id).puestos;
+
+    if (!puestos.has(row.puesto_id)) {
+      puestos.set(row.puesto_id, {
+        puesto_id: row.puesto_id,
+        puesto: row.puesto,
+        articulos: [],
+      });
+    }
+
+    const { cliente_id, nombre_empresa, nombre_area, puesto, ...articulo } =
+      row;
+    puestos.get(row.puesto_id).articulos.push(articulo);
+  }
+
+  return [...clientes.values()].map((c) => ({
+    ...c,
+    areas: [...c.areas.values()].map((a) => ({
+      ...a,
+      puestos: [...a.puestos.values()],
+    })),
+  }));
+};
+
+// ALERTAS DE UN CLIENTE
+app.get(
+  "/clientes/:id/alertas-inventario",
+  autorizar("cliente"),
+  async (req, res) => {
+    try {
+      const rows = await consultarAlertasInventario("cliente", req.params.id);
+      const [cliente] = agruparAlertas(rows);
+
+      res.json({
+        total: rows.length,
+        bajo_minimo: rows.filter((r) => r.estado === "bajo").length,
+        sobre_maximo: rows.filter((r) => r.estado === "exceso").length,
+        areas: cliente ? cliente.areas : [],
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// ALERTAS DE TODOS LOS CLIENTES DEL USUARIO (el admin ve todos)
+app.get("/alertas-inventario", async (req, res) => {
+  try {
+    const rows = esAdmin(req)
+      ? await consultarAlertasInventario("todos")
+      : await consultarAlertasInventario("usuario", req.usuario.id);
+
+    res.json({
+      total: rows.length,
+      bajo_minimo: rows.filter((r) => r.estado === "bajo").length,
+      sobre_maximo: rows.filter((r) => r.estado === "exceso").length,
+      clientes: agruparAlertas(rows),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------- COBERTURA DE EPP POR PUESTO (NOM-017) ------------------- //
+
+// Un artículo de inventario cubre un EPP si tiene su epp_id, o si no tiene
+// epp_id y su tipo / nombre coincide con el nombre del EPP (registros antiguos)
+const consultarCoberturaEpp = async (filtro, id) => {
+  const condicion = filtro === "cliente" ? "a.cliente_id = $1" : "p.id = $1";
+
+  const result = await db.query(
+    `SELECT
+      a.id AS area_id,
+      a.nombre_area,
+      p.id AS puesto_id,
+      p.puesto,
+      COALESCE(p.numero_usuarios, 0) AS numero_usuarios,
+      e.id AS epp_id,
+      e.nombre AS epp,
+      cat.nombre AS categoria,
+      COUNT(i.id)::int AS articulos_inventario,
+      COALESCE(SUM(i.cantidad_total), 0)::int AS en_existencia
+    FROM puestos_trabajo p
+    JOIN areas_trabajo a ON a.id = p.area_id
+    LEFT JOIN puestos_epp pe ON pe.puesto_id = p.id
+    LEFT JOIN equipo_proteccion e ON e.id = pe.epp_id
+    LEFT JOIN categorias_epp cat ON cat.id = e.categoria_id
+    LEFT JOIN inventario i
+      ON i.puesto_id = p.id
+      AND (
+        i.epp_id = e.id
+        OR (
+          i.epp_id IS NULL
+          AND (
+            LOWER(TRIM(i.tipo_producto)) = LOWER(TRIM(e.nombre))
+            OR LOWER(TRIM(i.nombre_producto)) = LOWER(TRIM(e.nombre))
+          )
+        )
+      )
+    WHERE ${condicion}
+    GROUP BY a.id, p.id, e.id, cat.nombre
+    ORDER BY a.nombre_area, p.puesto, e.nombre`,
+    [id],
+  );
+
+  const puestos = new Map();
+
+  for (const row of result.rows) {
+    if (!puestos.has(row.puesto_id)) {
+      puestos.set(row.puesto_id, {
+        area_id: row.area_id,
+        nombre_area: row.nombre_area,
+        puesto_id: row.puesto_id,
+        puesto: row.puesto,
+        numero_usuarios: row.numero_usuarios,
+        epp: [],
+      });
+    }
+
+    // Puesto sin EPP requerido
+    if (row.epp_id === null) continue;
+
+    const requeridos = row.numero_usuarios;
+
+    puestos.get(row.puesto_id).epp.push({
+      epp_id: row.epp_id,
+      nombre: row.epp,
+      categoria: row.categoria,
+      requeridos,
+      en_existencia: row.en_existencia,
+      faltante: Math.max(requeridos - row.en_existencia, 0),
+      sin_inventario: row.articulos_inventario === 0,
+    });
+  }
+
+  return [...puestos.values()].map((p) => ({
+    ...p,
+    cubierto: p.epp.every((e) => e.faltante === 0 && !e.sin_inventario),
+  }));
+};
+
+const resumenCobertura = (puestos) => {
+  const epp = puestos.flatMap((p) => p.epp);
+
+  return {
+    puestos: puestos.length,
+    puestos_cubiertos: puestos.filter((p) => p.cubierto).length,
+    epp_requeridos: epp.length,
+    epp_con_faltante: epp.filter((e) => e.faltante > 0).length,
+    epp_sin_inventario: epp.filter((e) => e.sin_inventario).length,
+    unidades_faltantes: epp.reduce((total, e) => total + e.faltante, 0),
+  };
+};
+
+// COBERTURA DE TODOS LOS PUESTOS DE UN CLIENTE
+app.get(
+  "/clientes/:id/cobertura-epp",
+  autorizar("cliente"),
+  async (req, res) => {
+    try {
+      const puestos = await consultarCoberturaEpp("cliente", req.params.id);
+
+      res.json({ resumen: resumenCobertura(puestos), puestos });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// COBERTURA DE UN PUESTO
+app.get("/puestos/:id/cobertura-epp", autorizar("puesto"), async (req, res) => {
+  try {
+    const [puesto] = await consultarCoberturaEpp("puesto", req.params.id);
+
+    res.json(puesto || null);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/validar-password", async(req,res)=>{
+
+ try{
+
+ const {password}=req.body;
+
+
+ const usuario = await db.query(
+ `
+ SELECT password
+ FROM usuarios
+ WHERE id=$1
+ `,
+ [req.usuario.id]
+ );
+
+
+ if(usuario.rows.length===0){
+
+   return res.json({
+    valido:false
+   });
+
+ }
+
+
+ const { valido } = await verificarPassword(
+   password,
+   usuario.rows[0].password
+ );
+
+
+ res.json({
+   valido
+ });
+
+
+ }catch(error){
+
+ console.error(error);
+
+ res.status(500).json({
+  error:error.message
+ });
+
+ }
+
+});
+
+app.get(
+  "/reportes/puestos/:clienteId",
+  autorizar("cliente", (req) => req.params.clienteId),
+  validarFormato,
+  async (req, res) => {
+
+    const { clienteId } = req.params;
+
+    try {
+
+      const resultado = await db.query(
+        `
+        SELECT 
+          p.id,
+          p.puesto,
+          p.numero_usuarios,
+          p.descripcion,
+          p.criterio_epp,
+
+          a.nombre_area,
+
+          COALESCE(
+            json_agg(DISTINCT r.nombre)
+            FILTER (WHERE r.nombre IS NOT NULL),
+            '[]'
+          ) AS riesgos,
+
+          COALESCE(
+            json_agg(DISTINCT e.nombre)
+            FILTER (WHERE e.nombre IS NOT NULL),
+            '[]'
+          ) AS epp
+
+
+        FROM puestos_trabajo p
+
+        INNER JOIN areas_trabajo a
+        ON p.area_id = a.id
+
+
+        LEFT JOIN puestos_riesgos pr
+        ON p.id = pr.puesto_id
+
+
+        LEFT JOIN riesgos_laborales r
+        ON pr.riesgo_id = r.id
+
+
+        LEFT JOIN puestos_epp pe
+        ON p.id = pe.puesto_id
+
+
+        LEFT JOIN equipo_proteccion e
+        ON pe.epp_id = e.id
+
+
+        WHERE a.cliente_id = $1
+
+
+        GROUP BY 
+          p.id,
+          a.nombre_area
+
+
+        ORDER BY 
+          a.nombre_area,
+          p.puesto
+
+        `,
+        [clienteId]
+      );
+
+
+      // Una hoja por área
+      if (req.query.format) {
+        return await enviarExportacion(
+          res,
+          req.query.format,
+          `reporte-puestos-cliente-${clienteId}`,
+          hojasPorGrupo(
+            resultado.rows,
+            "nombre_area",
+            COLUMNAS_EXPORTAR_PUESTOS,
+            "Puestos",
+          ),
+        );
+      }
+
+      res.json(resultado.rows);
+
+
+    } catch(error){
+
+      console.error("❌ Error en reportes de puestos:", error.message);
+
+      res.status(500).json({
+        error:error.message
+      });
+
+    }
+
+  },
+);
+
+app.get(
+  "/reportes/areas/:clienteId",
+  autorizar("cliente", (req) => req.params.clienteId),
+  validarFormato,
+  async (req, res) => {
+
+    const { clienteId } = req.params;
+
+    try {
+
+      const resultado = await db.query(
+        `
+        SELECT
+          a.id,
+          a.nombre_area,
+          a.descripcion,
+          a.image,
+          a.encargado,
+          a.contacto,
+          ${columnasVariantes("iv")},
+          ${sqlGaleria("area_id", "a.id")} AS galeria
+
+        FROM areas_trabajo a
+
+        LEFT JOIN imagenes_variantes iv ON iv.archivo = a.image
+
+        WHERE a.cliente_id = $1
+
+        ORDER BY a.nombre_area
+
+        `,
+        [clienteId]
+      );
+
+
+      const areas = resultado.rows.map((area) => ({
+        ...area,
+        galeria: galeriaConPortada(area.image, area.galeria, area),
+      }));
+
+      if (req.query.format) {
+        return await enviarExportacion(
+          res,
+          req.query.format,
+          `reporte-areas-cliente-${clienteId}`,
+          [{ nombre: "Áreas", columnas: COLUMNAS_EXPORTAR_AREAS, filas: areas }],
+        );
+      }
+
+      res.json(areas);
+
+
+    } catch(error){
+
+      console.error(error);
+
+      res.status(500).json({
+        error:"Error obteniendo áreas del cliente"
+      });
+
+    }
+
+  },
+);
+
+// ------------------- NOTIFICACIONES Y SUSCRIPCIONES -------------------
+
+const TIPOS_SUSCRIPCION = ["inventario", "vencimientos"];
+
+const crearNotificacion = async (
+  ejecutor,
+  { usuarioId, tipo, titulo, mensaje, datos = null },
+) => {
+  await ejecutor.query(
+    `INSERT INTO notificaciones
+    (usuario_id, tipo, titulo, mensaje, datos)
+    VALUES ($1, $2, $3, $4, $5)`,
+    [
+      usuarioId,
+      tipo,
+      titulo,
+      mensaje,
+      datos === null ? null : JSON.stringify(datos),
+    ],
+  );
+};
+
+// Una notificación por suscripción activa que cubre al cliente.
+// cliente_id NULL en la suscripción = todos los clientes que el usuario ve.
+const notificarSuscriptores = async (ejecutor, tipo, clienteId, aviso) => {
+  const suscripciones = await ejecutor.query(
+    `SELECT s.usuario_id
+    FROM suscripciones_alertas s
+    JOIN usuarios u ON u.id = s.usuario_id
+    JOIN clientes c ON c.id = $2
+    WHERE s.tipo = $1
+      AND s.activa
+      AND (
+        s.cliente_id = c.id
+        OR (s.cliente_id IS NULL AND (c.usuario_id = s.usuario_id OR u.rol = 'admin'))
+      )`,
+    [tipo, clienteId],
+  );
+
+  for (const s of suscripciones.rows) {
+    await crearNotificacion(ejecutor, {
+      usuarioId: s.usuario_id,
+      tipo,
+      ...aviso,
+    });
+  }
+
+  return suscripciones.rows.length;
+};
+
+// MIS SUSCRIPCIONES
+app.get("/suscripciones-alertas", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT s.*, c.nombre_empresa
+      FROM suscripciones_alertas s
+      LEFT JOIN clientes c ON c.id = s.cliente_id
+      WHERE s.usuario_id = $1
+      ORDER BY s.id`,
+      [req.usuario.id],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// SUSCRIBIRSE (cliente_id opcional)
+app.post(
+  "/suscripciones-alertas",
+  (req, res, next) =>
+    req.body.cliente_id
+      ? autorizar("cliente", (r) => r.body.cliente_id)(req, res, next)
+      : next(),
+  async (req, res) => {
+    try {
+      const { tipo = "inventario", cliente_id } = req.body;
+
+      if (!TIPOS_SUSCRIPCION.includes(tipo)) {
+        return res
+          .status(400)
+          .json({ error: `tipo debe ser: ${TIPOS_SUSCRIPCION.join(", ")}` });
+      }
+
+      const result = await db.query(
+        `INSERT INTO suscripciones_alertas (usuario_id, tipo, cliente_id)
+        VALUES ($1, $2, $3)
+        RETURNING *`,
+        [req.usuario.id, tipo, cliente_id || null],
+      );
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// CANCELAR SUSCRIPCIÓN
+app.delete("/suscripciones-alertas/:id", async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM suscripciones_alertas WHERE id = $1 AND usuario_id = $2 RETURNING id",
+      [req.params.id, req.usuario.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Registro no encontrado" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// MIS NOTIFICACIONES (?no_leidas=true)
+app.get("/notificaciones", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, tipo, titulo, mensaje, datos, leida, created_at
+      FROM notificaciones
+      WHERE usuario_id = $1
+        AND ($2::boolean IS NOT TRUE OR leida = FALSE)
+      ORDER BY created_at DESC
+      LIMIT 200`,
+      [req.usuario.id, req.query.no_leidas === "true"],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/notificaciones/:id/leida", async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE notificaciones SET leida = TRUE
+      WHERE id = $1 AND usuario_id = $2
+      RETURNING id, leida`,
+      [req.params.id, req.usuario.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Registro no encontrado" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------- VENCIMIENTO DE DOCUMENTOS -------------------
+// Certificados y fichas técnicas del inventario, ARP / FICHA de los
+// cuestionarios y reportes NOM vigentes con fecha de vencimiento.
+
+// Días antes del vencimiento en que se avisa (0 = el día que vence)
+const UMBRALES_VENCIMIENTO = (process.env.VENCIMIENTO_AVISO_DIAS || "30,7,0")
+  .split(",")
+  .map((dias) => parseInt(dias, 10))
+  .filter((dias) => dias >= 0)
+  .sort((a, b) => b - a);
+
+// Documentos que vencen en los próximos `dias` (incluye los ya vencidos).
+// clienteId null = todos los clientes activos.
+const consultarVencimientos = async (ejecutor, clienteId, dias) => {
+  const result = await ejecutor.query(
+    `SELECT v.*, c.nombre_empresa, v.fecha_vencimiento - CURRENT_DATE AS dias_restantes
+    FROM (
+      SELECT 'inventario' AS tabla, i.id AS registro_id, 'certificado' AS documento,
+        i.cliente_id, i.nombre_producto AS descripcion, i.certificado AS archivo,
+        i.certificado_emision AS fecha_emision,
+        i.certificado_vencimiento AS fecha_vencimiento
+      FROM inventario i
+      WHERE i.certificado_vencimiento IS NOT NULL
+      UNION ALL
+      SELECT 'inventario', i.id, 'ficha_tecnica', i.cliente_id,
+        i.nombre_producto, i.ficha_tecnica,
+        i.ficha_tecnica_emision, i.ficha_tecnica_vencimiento
+      FROM inventario i
+      WHERE i.ficha_tecnica_vencimiento IS NOT NULL
+      UNION ALL
+      SELECT 'documentos_cuestionario', d.id, d.tipo, a.cliente_id,
+        a.nombre_area || ' / ' || p.puesto || ' / ' || ci.nom, d.archivo,
+        d.fecha_emision, d.fecha_vencimiento
+      FROM documentos_cuestionario d
+      JOIN cuestionarios_info ci ON ci.id = d.cuestionario_info_id
+      JOIN puestos_trabajo p ON p.id = ci.puesto_id
+      JOIN areas_trabajo a ON a.id = p.area_id
+      WHERE d.fecha_vencimiento IS NOT NULL
+      UNION ALL
+      SELECT 'reportes_nom', r.id, r.tipo_documento, r.cliente_id,
+        COALESCE(r.nom, r.tipo_documento), r.archivo,
+        r.fecha_emision, r.fecha_vencimiento
+      FROM reportes_nom r
+      WHERE r.vigente AND r.fecha_vencimiento IS NOT NULL
+    ) v
+    JOIN clientes c ON c.id = v.cliente_id
+    WHERE c.deleted_at IS NULL
+      AND ($1::int IS NULL OR v.cliente_id = $1)
+      AND v.fecha_vencimiento <= CURRENT_DATE + $2::int
+    ORDER BY v.fecha_vencimiento, v.tabla, v.registro_id`,
+    [clienteId, dias],
+  );
+
+  return result.rows;
+};
+
+// GET /clientes/:id/vencimientos?dias=30
+app.get(
+  "/clientes/:id/vencimientos",
+  autorizar("cliente"),
+  async (req, res) => {
+    const dias = parseInt(req.query.dias ?? 30, 10);
+
+    if (!(dias >= 0)) {
+      return res.status(400).json({ error: "dias inválido" });
+    }
+
+    try {
+      res.json(await consultarVencimientos(db, req.params.id, dias));
+    } catch (error) {
+      console.error("❌ Error consultando vencimientos:", error.message);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// FECHAS DE UN ARP / FICHA YA SUBIDO
+app.put(
+  "/documentos/:id/vigencia",
+  autorizar("documento"),
+  async (req, res) => {
+    const { fecha_emision, fecha_vencimiento } = req.body;
+
+    try {
+      const anterior = await db.query(
+        "SELECT * FROM documentos_cuestionario WHERE id = $1",
+        [req.params.id],
+      );
+
+      const result = await db.query(
+        `UPDATE documentos_cuestionario
+        SET fecha_emision = $1, fecha_vencimiento = $2
+        WHERE id = $3
+        RETURNING *`,
+        [fecha_emision || null, fecha_vencimiento || null, req.params.id],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "actualizar",
+        entidad: "documentos_cuestionario",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: result.rows[0],
+      });
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// Job diario: un aviso por documento y umbral. avisos_vencimiento evita
+// repetirlo; si la fecha de vencimiento cambia, los avisos vuelven a salir.
+const notificarVencimientos = async () => {
+  if (UMBRALES_VENCIMIENTO.length === 0) return 0;
+
+  const documentos = await consultarVencimientos(
+    db,
+    null,
+    UMBRALES_VENCIMIENTO[0],
+  );
+
+  let avisos = 0;
+
+  for (const doc of documentos) {
+    // El umbral más cercano que ya se alcanzó
+    const umbral = [...UMBRALES_VENCIMIENTO]
+      .reverse()
+      .find((dias) => doc.dias_restantes <= dias);
+
+    const registro = await db.query(
+      `INSERT INTO avisos_vencimiento
+      (tabla, registro_id, documento, fecha_vencimiento, umbral)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING
+      RETURNING id`,
+      [
+        doc.tabla,
+        doc.registro_id,
+        doc.documento,
+        doc.fecha_vencimiento,
+        umbral,
+      ],
+    );
+
+    if (registro.rows.length === 0) continue;
+
+    const vencido = doc.dias_restantes < 0;
+
+    await notificarSuscriptores(db, "vencimientos", doc.cliente_id, {
+      titulo: vencido
+        ? `Documento vencido: ${doc.documento}`
+        : `Documento por vencer: ${doc.documento}`,
+      mensaje: vencido
+        ? `${doc.documento} de ${doc.descripcion} (${doc.nombre_empresa}) venció hace ${-doc.dias_restantes} días`
+        : `${doc.documento} de ${doc.descripcion} (${doc.nombre_empresa}) vence en ${doc.dias_restantes} días`,
+      datos: doc,
+    });
+
+    avisos++;
+  }
+
+  return avisos;
+};
+
+// ------------------- HALLAZGOS Y ACCIONES CORRECTIVAS -------------------
+// Un hallazgo pertenece a un cuestionario y opcionalmente a una respuesta
+// (se copia el texto de la pregunta porque editar el cuestionario reemplaza
+// las respuestas). Cerrarlo exige subir la evidencia de la acción.
+
+const PRIORIDADES_HALLAZGO = ["baja", "media", "alta", "critica"];
+const ESTADOS_HALLAZGO = ["abierto", "en_proceso", "cerrado"];
+
+const validarHallazgo = ({ prioridad, estado, fecha_compromiso }) => {
+  if (prioridad !== undefined && !PRIORIDADES_HALLAZGO.includes(prioridad)) {
+    return `prioridad debe ser: ${PRIORIDADES_HALLAZGO.join(", ")}`;
+  }
+
+  // Cerrar solo con POST /hallazgos/:id/cerrar
+  const editables = ESTADOS_HALLAZGO.filter((e) => e !== "cerrado");
+
+  if (estado !== undefined && !editables.includes(estado)) {
+    return `estado debe ser: ${editables.join(", ")}`;
+  }
+
+  if (fecha_compromiso && Number.isNaN(Date.parse(fecha_compromiso))) {
+    return "fecha_compromiso inválida";
+  }
+
+  return null;
+};
+
+// vencido: no cerrado y la fecha compromiso ya pasó
+const SQL_HALLAZGOS = `
+  SELECT
+    h.*,
+    h.estado <> 'cerrado' AND h.fecha_compromiso < CURRENT_DATE AS vencido,
+    ci.nom,
+    p.id AS puesto_id,
+    p.puesto,
+    a.id AS area_id,
+    a.nombre_area
+  FROM hallazgos h
+  JOIN cuestionarios_info ci ON ci.id = h.cuestionario_info_id
+  JOIN puestos_trabajo p ON p.id = ci.puesto_id
+  JOIN areas_trabajo a ON a.id = p.area_id`;
+
+const ORDEN_HALLAZGOS = `
+  ORDER BY
+    h.estado = 'cerrado',
+    vencido DESC,
+    array_position(ARRAY['critica', 'alta', 'media', 'baja'], h.prioridad::text),
+    h.fecha_compromiso NULLS LAST,
+    h.id`;
+
+const insertarHallazgo = async (ejecutor, req, infoId, datos) => {
+  let respuesta = null;
+
+  if (datos.respuesta_id) {
+    const result = await ejecutor.query(
+      "SELECT id, pregunta, respuesta, pregunta_id FROM cuestionarios WHERE id = $1 AND info_id = $2",
+      [datos.respuesta_id, infoId],
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error("La respuesta no pertenece al cuestionario");
+      error.status = 400;
+      throw error;
+    }
+
+    respuesta = result.rows[0];
+  }
+
+  const result = await ejecutor.query(
+    `INSERT INTO hallazgos
+    (cuestionario_info_id, respuesta_id, pregunta_id, pregunta, respuesta,
+     descripcion, responsable, fecha_compromiso, prioridad, usuario_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      infoId,
+      respuesta?.id || null,
+      respuesta?.pregunta_id || null,
+      respuesta?.pregunta || null,
+      respuesta?.respuesta || null,
+      datos.descripcion,
+      datos.responsable || null,
+      datos.fecha_compromiso || null,
+      datos.prioridad || "media",
+      req.usuario.id,
+    ],
+  );
+
+  return result.rows[0];
+};
+
+// NUEVO HALLAZGO
+app.post(
+  "/cuestionario/:info_id/hallazgos",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    const mensaje = validarHallazgo(req.body);
+
+    if (mensaje) return res.status(400).json({ error: mensaje });
+
+    if (!req.body.descripcion) {
+      return res.status(400).json({ error: "descripcion es requerida" });
+    }
+
+    try {
+      const hallazgo = await insertarHallazgo(
+        db,
+        req,
+        req.params.info_id,
+        req.body,
+      );
+
+      await registrarAuditoria(req, {
+        accion: "crear",
+        entidad: "hallazgos",
+        entidadId: hallazgo.id,
+        despues: hallazgo,
+      });
+
+      res.json(hallazgo);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  },
+);
+
+// GENERAR HALLAZGOS DESDE LOS INCUMPLIMIENTOS DEL CUESTIONARIO
+// body: { responsable, fecha_compromiso, prioridad } para todos
+app.post(
+  "/cuestionario/:info_id/hallazgos/generar",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    const mensaje = validarHallazgo(req.body);
+
+    if (mensaje) return res.status(400).json({ error: mensaje });
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Incumplimientos sin hallazgo; editar el cuestionario cambia el id de
+      // la respuesta, por eso también se compara la pregunta
+      const pendientes = await client.query(
+        `SELECT i->>'respuesta_id' AS respuesta_id, i->>'pregunta' AS pregunta
+        FROM cuestionarios_info ci
+        CROSS JOIN jsonb_array_elements(ci.incumplimientos) i
+        WHERE ci.id = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM hallazgos h
+            WHERE h.cuestionario_info_id = ci.id
+              AND (h.respuesta_id = (i->>'respuesta_id')::int
+                OR h.pregunta_id = (i->>'pregunta_id')::int)
+          )`,
+        [req.params.info_id],
+      );
+
+      const creados = [];
+
+      for (const pendiente of pendientes.rows) {
+        creados.push(
+          await insertarHallazgo(client, req, req.params.info_id, {
+            ...req.body,
+            respuesta_id: pendiente.respuesta_id,
+            descripcion: `Incumplimiento: ${pendiente.pregunta}`,
+          }),
+        );
+      }
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "hallazgos",
+          entidadId: req.params.info_id,
+          despues: creados,
+        },
+        client,
+      );
+
+      await client.query("COMMIT");
+
+      res.json(creados);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+app.get(
+  "/cuestionario/:info_id/hallazgos",
+  autorizar("cuestionario", (req) => req.params.info_id),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `${SQL_HALLAZGOS}
+        WHERE h.cuestionario_info_id = $1
+        ${ORDEN_HALLAZGOS}`,
+        [req.params.info_id],
+      );
+
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// ACCIONES POR CLIENTE / PUESTO
+// ?estado=todos incluye cerradas; ?vencidos=true solo las vencidas
+const listarHallazgos = (columna) => async (req, res) => {
+  try {
+    const result = await db.query(
+      `${SQL_HALLAZGOS}
+      WHERE ${columna} = $1
+        AND ($2::boolean OR h.estado <> 'cerrado')
+        AND (NOT $3::boolean OR (h.estado <> 'cerrado' AND h.fecha_compromiso < CURRENT_DATE))
+      ${ORDEN_HALLAZGOS}`,
+      [
+        req.params.id,
+        req.query.estado === "todos",
+        req.query.vencidos === "true",
+      ],
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("❌ Error listando hallazgos:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.get(
+  "/clientes/:id/hallazgos",
+  autorizar("cliente"),
+  listarHallazgos("a.cliente_id"),
+);
+
+app.get("/puestos/:id/hallazgos", autorizar("puesto"), listarHallazgos("p.id"));
+
+// EDITAR (responsable, fecha, prioridad, estado abierto / en_proceso)
+app.put("/hallazgos/:id", autorizar("hallazgo"), async (req, res) => {
+  const mensaje = validarHallazgo(req.body);
+
+  if (mensaje) return res.status(400).json({ error: mensaje });
+
+  try {
+    const anterior = await db.query("SELECT * FROM hallazgos WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    if (anterior.rows[0].estado === "cerrado") {
+      return res
+        .status(409)
+        .json({ error: "El hallazgo está cerrado y no se puede editar" });
+    }
+
+    const { descripcion, responsable, fecha_compromiso, prioridad, estado } =
+      req.body;
+
+    const result = await db.query(
+      `UPDATE hallazgos
+      SET
+        descripcion = COALESCE($1, descripcion),
+        responsable = COALESCE($2, responsable),
+        fecha_compromiso = COALESCE($3, fecha_compromiso),
+        prioridad = COALESCE($4, prioridad),
+        estado = COALESCE($5, estado),
+        updated_at = NOW()
+      WHERE id = $6
+      RETURNING *`,
+      [
+        descripcion || null,
+        responsable || null,
+        fecha_compromiso || null,
+        prioridad || null,
+        estado || null,
+        req.params.id,
+      ],
+    );
+
+    await registrarAuditoria(req, {
+      accion: "actualizar",
+      entidad: "hallazgos",
+      entidadId: req.params.id,
+      antes: anterior.rows[0],
+      despues: result.rows[0],
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CERRAR CON EVIDENCIA (multipart: evidencia + comentario)
+app.post(
+  "/hallazgos/:id/cerrar",
+  upload.single("evidencia"),
+  autorizar("hallazgo"),
+  optimizarImagenes,
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "La evidencia es requerida para cerrar el hallazgo" });
+    }
+
+    try {
+      const anterior = await db.query("SELECT * FROM hallazgos WHERE id = $1", [
+        req.params.id,
+      ]);
+
+      if (anterior.rows[0].estado === "cerrado") {
+        descartarArchivos(req);
+        return res.status(409).json({ error: "El hallazgo ya está cerrado" });
+      }
+
+      const result = await db.query(
+        `UPDATE hallazgos
+        SET
+          estado = 'cerrado',
+          evidencia_cierre = $1,
+          comentario_cierre = $2,
+          cerrado_at = NOW(),
+          cerrado_por = $3,
+          updated_at = NOW()
+        WHERE id = $4
+        RETURNING *`,
+        [
+          `/uploads/${req.file.filename}`,
+          req.body.comentario || null,
+          req.usuario.id,
+          req.params.id,
+        ],
+      );
+
+      await registrarAuditoria(req, {
+        accion: "actualizar",
+        entidad: "hallazgos",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: result.rows[0],
+      });
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      descartarArchivos(req);
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// ------------------- VISITAS DE INSPECCIÓN -------------------
+// Visitas programadas por cliente (opcionalmente área / NOM) con un
+// consultor asignado. Una visita recurrente genera la siguiente cuando se
+// marca como realizada o cancelada. Cada consultor puede suscribir su
+// calendario al feed /calendario/feed/<token>.ics
+
+const ESTADOS_VISITA = ["programada", "realizada", "cancelada"];
+const DURACION_VISITA_MINUTOS = 120;
+
+const SQL_VISITAS = `
+  SELECT
+    v.*,
+    c.nombre_empresa,
+    c.direccion,
+    a.nombre_area,
+    u.usuario AS consultor,
+    COALESCE(
+      (SELECT json_agg(
+        json_build_object('id', ci.id, 'nom', ci.nom, 'puesto', p.puesto)
+        ORDER BY ci.id
+      )
+      FROM visitas_cuestionarios vc
+      JOIN cuestionarios_info ci ON ci.id = vc.cuestionario_info_id
+      JOIN puestos_trabajo p ON p.id = ci.puesto_id
+      WHERE vc.visita_id = v.id),
+      '[]'
+    ) AS cuestionarios
+  FROM visitas v
+  JOIN clientes c ON c.id = v.cliente_id
+  LEFT JOIN areas_trabajo a ON a.id = v.area_id
+  LEFT JOIN usuarios u ON u.id = v.consultor_id`;
+
+const errorVisita = (mensaje) => {
+  const error = new Error(mensaje);
+  error.status = 400;
+  return error;
+};
+
+// Valida los campos recibidos; regresa solo los que vienen en el body
+const leerVisita = async (req, clienteId) => {
+  const campos = {};
+  const {
+    fecha_programada,
+    duracion_minutos,
+    consultor_id,
+    area_id,
+    nom,
+    notas,
+    estado,
+    recurrencia_meses,
+  } = req.body;
+
+  if (fecha_programada !== undefined) {
+    if (Number.isNaN(Date.parse(fecha_programada))) {
+      throw errorVisita("fecha_programada inválida");
+    }
+    campos.fecha_programada = new Date(fecha_programada);
+  }
+
+  if (duracion_minutos !== undefined) {
+    const minutos = parseInt(duracion_minutos, 10);
+    if (!(minutos > 0)) throw errorVisita("duracion_minutos inválida");
+    campos.duracion_minutos = minutos;
+  }
+
+  if (estado !== undefined) {
+    if (!ESTADOS_VISITA.includes(estado)) {
+      throw errorVisita(`estado debe ser: ${ESTADOS_VISITA.join(", ")}`);
+    }
+    campos.estado = estado;
+  }
+
+  // 0 o null = no se repite
+  if (recurrencia_meses !== undefined) {
+    const meses = parseInt(recurrencia_meses, 10) || null;
+    if (meses !== null && (meses < 1 || meses > 60)) {
+      throw errorVisita("recurrencia_meses debe estar entre 1 y 60");
+    }
+    campos.recurrencia_meses = meses;
+  }
+
+  // Un usuario que no es admin solo se asigna a sí mismo: el feed del
+  // consultor mostraría datos del cliente
+  if (consultor_id !== undefined) {
+    const consultor = parseInt(consultor_id, 10);
+
+    if (!esAdmin(req) && consultor !== req.usuario.id) {
+      const error = new Error("Solo puedes asignarte visitas a ti mismo");
+      error.status = 403;
+      throw error;
+    }
+
+    const existe = await db.query("SELECT id FROM usuarios WHERE id = $1", [
+      consultor,
+    ]);
+    if (existe.rows.length === 0) throw errorVisita("consultor_id no existe");
+
+    campos.consultor_id = consultor;
+  }
 
-app.post("/documentos", upload.single("archivo"), async (req, res) => {
-  console.log("BODY:");
-  console.log(req.body);
+  if (area_id !== undefined) {
+    if (area_id) {
+      const area = await db.query(
+        "SELECT id FROM areas_trabajo WHERE id = $1 AND cliente_id = $2",
+        [area_id, clienteId],
+      );
+      if (area.rows.length === 0) {
+        throw errorVisita("El área no pertenece al cliente");
+      }
+    }
+    campos.area_id = area_id || null;
+  }
 
-  console.log("FILE:");
-  console.log(req.file);
+  if (nom !== undefined) campos.nom = nom || null;
+  if (notas !== undefined) campos.notas = notas || null;
 
-  try {
-    const { cuestionario_info_id, tipo } = req.body;
+  return campos;
+};
 
-    if (!req.file) {
-      return res.status(400).json({
-        error: "No se recibió archivo",
-      });
-    }
-    console.log("Archivo recibido:");
-    console.log(req.file);
+const COLUMNAS_VISITA = [
+  "cliente_id",
+  "area_id",
+  "nom",
+  "consultor_id",
+  "fecha_programada",
+  "duracion_minutos",
+  "estado",
+  "notas",
+  "recurrencia_meses",
+  "visita_anterior_id",
+  "usuario_id",
+];
+
+const insertarVisita = async (ejecutor, visita) => {
+  const result = await ejecutor.query(
+    `INSERT INTO visitas (${COLUMNAS_VISITA.join(", ")})
+    VALUES (${COLUMNAS_VISITA.map((_, i) => `$${i + 1}`).join(", ")})
+    RETURNING *`,
+    COLUMNAS_VISITA.map((columna) => visita[columna] ?? null),
+  );
+
+  return result.rows[0];
+};
 
-    const rutaFisica = path.join(uploadsDir, req.file.filename);
-    console.log("Ruta BD:", `/uploads/${req.file.filename}`);
+// Suma meses en UTC; si el día no existe en el mes destino queda en el
+// último (31 ene + 1 mes = 28/29 feb, no 3 mar)
+const sumarMeses = (fecha, meses) => {
+  const origen = new Date(fecha);
+  const destino = new Date(origen);
+  destino.setUTCDate(1);
+  destino.setUTCMonth(origen.getUTCMonth() + meses);
 
-    console.log("Ruta física:", rutaFisica);
+  const ultimoDia = new Date(
+    Date.UTC(destino.getUTCFullYear(), destino.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  destino.setUTCDate(Math.min(origen.getUTCDate(), ultimoDia));
 
-    console.log("¿Existe?", fs.existsSync(rutaFisica));
+  return destino;
+};
 
-    const ruta = `/uploads/${req.file.filename}`;
+// Siguiente visita de una serie; una sola por visita anterior
+const programarSiguienteVisita = async (client, visita) => {
+  const existe = await client.query(
+    "SELECT id FROM visitas WHERE visita_anterior_id = $1",
+    [visita.id],
+  );
+  if (existe.rows.length > 0) return null;
+
+  return insertarVisita(client, {
+    ...visita,
+    fecha_programada: sumarMeses(
+      visita.fecha_programada,
+      visita.recurrencia_meses,
+    ),
+    estado: "programada",
+    notas: null,
+    visita_anterior_id: visita.id,
+  });
+};
 
+// LISTAR POR CLIENTE
+app.get("/clientes/:id/visitas", autorizar("cliente"), async (req, res) => {
+  try {
     const result = await db.query(
-      `INSERT INTO documentos_cuestionario
-        (
-          cuestionario_info_id,
-          tipo,
-          archivo
-        )
-        VALUES ($1,$2,$3)
-        RETURNING *`,
-
-      [cuestionario_info_id, tipo, ruta],
+      `${SQL_VISITAS}
+      WHERE v.cliente_id = $1
+        AND ($2::text IS NULL OR v.estado = $2)
+      ORDER BY v.fecha_programada`,
+      [req.params.id, req.query.estado || null],
     );
 
-    res.json(result.rows[0]);
+    res.json(result.rows);
   } catch (error) {
-    console.log(error);
-
-    res.status(500).json({
-      error: error.message,
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// PREGUNTAS POR SUBOPCIÓN
-app.get("/preguntas/:subopcion_tipo", async (req, res) => {
+// AGENDA: ?consultor_id=&desde=&hasta=&estado=
+// Sin admin solo aparecen las visitas de sus clientes o asignadas a él
+app.get("/visitas", async (req, res) => {
+  const { consultor_id, desde, hasta, estado } = req.query;
+
   try {
     const result = await db.query(
-      "SELECT * FROM cuestionario_preguntas WHERE subopcion_tipo = $1",
-      [req.params.subopcion_tipo],
+      `${SQL_VISITAS}
+      WHERE c.deleted_at IS NULL
+        AND ($1::boolean OR c.usuario_id = $2 OR v.consultor_id = $2)
+        AND ($3::int IS NULL OR v.consultor_id = $3)
+        AND ($4::date IS NULL OR v.fecha_programada >= $4)
+        AND ($5::date IS NULL OR v.fecha_programada < $5::date + 1)
+        AND ($6::text IS NULL OR v.estado = $6)
+      ORDER BY v.fecha_programada`,
+      [
+        esAdmin(req),
+        req.usuario.id,
+        consultor_id || null,
+        desde || null,
+        hasta || null,
+        estado || null,
+      ],
     );
+
     res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// INFO ADICIONAL
-app.get(
-  "/cuestionarios-info/:puesto_id/:nom/:subopcion_id",
-  async (req, res) => {
-    try {
-      const result = await db.query(
-        "SELECT * FROM cuestionarios_info WHERE puesto_id = $1 AND nom = $2 AND subopcion_id = $3",
-        [req.params.puesto_id, req.params.nom, req.params.subopcion_id],
-      );
-      res.json(result.rows[0] || null);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+// PROGRAMAR. body: { fecha_programada, consultor_id, area_id, nom,
+// duracion_minutos, notas, recurrencia_meses }
+app.post("/clientes/:id/visitas", autorizar("cliente"), async (req, res) => {
+  try {
+    const campos = await leerVisita(req, req.params.id);
+
+    if (!campos.fecha_programada) {
+      return res.status(400).json({ error: "fecha_programada es requerida" });
     }
-  },
-);
 
-// OBTENER PUESTO INDIVIDUAL
-app.get("/puestos/:id", async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT * FROM puestos_trabajo WHERE id = $1",
-      [req.params.id],
-    );
-    res.send(result.rows[0] || null);
-  } catch (err) {
-    res.status(500).send(err);
+    const visita = await insertarVisita(db, {
+      consultor_id: req.usuario.id,
+      duracion_minutos: DURACION_VISITA_MINUTOS,
+      estado: "programada",
+      ...campos,
+      cliente_id: req.params.id,
+      usuario_id: req.usuario.id,
+    });
+
+    await registrarAuditoria(req, {
+      accion: "crear",
+      entidad: "visitas",
+      entidadId: visita.id,
+      despues: visita,
+    });
+
+    res.json(visita);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// CUESTIONARIO COMPLETO POR ID
-app.get("/cuestionario-completo/:info_id", async (req, res) => {
+// EDITAR / CAMBIAR ESTADO
+app.put("/visitas/:id", autorizar("visita"), async (req, res) => {
+  // Se valida antes de tomar el client y abrir la transacción
+  let campos;
+
+  try {
+    campos = await leerVisita(req, req.clienteId);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  const client = await db.connect();
+
   try {
-    const info = await db.query(
-      "SELECT * FROM cuestionarios_info WHERE id = $1",
-      [req.params.info_id],
+    await client.query("BEGIN");
+
+    const anterior = await client.query(
+      "SELECT * FROM visitas WHERE id = $1 FOR UPDATE",
+      [req.params.id],
     );
 
-    if (info.rows.length === 0) return res.json({ info: null, respuestas: [] });
+    const visita = { ...anterior.rows[0], ...campos };
+    const editables = COLUMNAS_VISITA.filter(
+      (columna) =>
+        !["cliente_id", "visita_anterior_id", "usuario_id"].includes(columna),
+    );
 
-    const respuestas = await db.query(
-      "SELECT pregunta, respuesta FROM cuestionarios WHERE info_id = $1 ORDER BY id",
-      [req.params.info_id],
+    const result = await client.query(
+      `UPDATE visitas
+      SET ${editables.map((columna, i) => `${columna} = $${i + 1}`).join(", ")},
+        updated_at = NOW()
+      WHERE id = $${editables.length + 1}
+      RETURNING *`,
+      [...editables.map((columna) => visita[columna]), req.params.id],
     );
 
-    res.json({
-      info: {
-        observaciones: info.rows[0].observaciones || "N/A",
-        recomendaciones: info.rows[0].recomendaciones || "N/A",
-        recomendaciones_epp: info.rows[0].recomendaciones_epp || "N/A",
-        image: info.rows[0].image || null,
-        created_at: info.rows[0].created_at,
+    const actualizada = result.rows[0];
+    let siguiente = null;
+
+    if (
+      actualizada.recurrencia_meses &&
+      anterior.rows[0].estado === "programada" &&
+      actualizada.estado !== "programada"
+    ) {
+      siguiente = await programarSiguienteVisita(client, actualizada);
+    }
+
+    await registrarAuditoria(
+      req,
+      {
+        accion: "actualizar",
+        entidad: "visitas",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+        despues: actualizada,
       },
-      respuestas: respuestas.rows,
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+      client,
+    );
+
+    await client.query("COMMIT");
+
+    res.json({ ...actualizada, siguiente });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
-// LISTA DE CUESTIONARIOS POR PUESTO
-app.get("/puestos/:id/cuestionarios", async (req, res) => {
+app.delete("/visitas/:id", autorizar("visita"), async (req, res) => {
+  const client = await db.connect();
+
   try {
-    const result = await db.query(
-      `
-      SELECT 
-        ci.id,
-        ci.puesto_id,
-        ci.nom,
-        ns.subopcion AS subopcion_nombre,
-        ci.subopcion_id,
-        ci.created_at,
-        ci.image,
-        COUNT(c.id) AS num_respuestas
-      FROM cuestionarios_info ci
-      LEFT JOIN nom_subopciones ns ON ci.subopcion_id = ns.id
-      LEFT JOIN cuestionarios c ON ci.id = c.info_id
-      WHERE ci.puesto_id = $1
-      GROUP BY ci.id, ns.subopcion
-      ORDER BY ci.created_at DESC
-    `,
+    await client.query("BEGIN");
+
+    const anterior = await client.query("SELECT * FROM visitas WHERE id = $1", [
+      req.params.id,
+    ]);
+
+    // La serie continúa desde la visita anterior
+    await client.query(
+      "UPDATE visitas SET visita_anterior_id = NULL WHERE visita_anterior_id = $1",
       [req.params.id],
     );
 
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+    await client.query(
+      "DELETE FROM visitas_cuestionarios WHERE visita_id = $1",
+      [req.params.id],
+    );
 
-// ===============================
-// ===============================
-// REPORTE CONSOLIDADO NOM
-// Cliente + Área + Puesto
-// ===============================
-app.get("/reporte-consolidado", async (req, res) => {
-  try {
-    const puestoId = parseInt(req.query.puestoId, 10);
+    await client.query("DELETE FROM visitas WHERE id = $1", [req.params.id]);
 
-    if (!puestoId) {
-      return res.status(400).json({ message: "puestoId requerido" });
-    }
+    await registrarAuditoria(
+      req,
+      {
+        accion: "eliminar",
+        entidad: "visitas",
+        entidadId: req.params.id,
+        antes: anterior.rows[0],
+      },
+      client,
+    );
 
-    const sql = `
-      SELECT
-    c.id AS cliente_id,
-    c.nombre_empresa AS cliente_nombre,
-    a.id AS area_id,
-    a.nombre_area AS area_nombre,
-    p.id AS puesto_id,
-    p.puesto AS puesto_nombre,
+    await client.query("COMMIT");
 
-    ci.id AS info_id,
-    ci.nom,
-    ci.created_at,
-    ci.image,
+    res.json({ success: true });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
 
-    arp.archivo AS arp,
-    ficha.archivo AS ficha,
+// LIGAR CUESTIONARIOS LEVANTADOS EN LA VISITA. body: { cuestionario_info_id }
+app.post(
+  "/visitas/:id/cuestionarios",
+  autorizar("visita"),
+  async (req, res) => {
+    const { cuestionario_info_id } = req.body;
 
-    ci.observaciones AS naturaleza_emision,
-    ci.recomendaciones AS descripcion_operacion,
-    ci.recomendaciones_epp AS epp_recomendado,
+    try {
+      const cuestionario = await db.query(
+        `SELECT ci.id
+        FROM cuestionarios_info ci
+        JOIN puestos_trabajo p ON p.id = ci.puesto_id
+        JOIN areas_trabajo a ON a.id = p.area_id
+        WHERE ci.id = $1 AND a.cliente_id = $2`,
+        [cuestionario_info_id, req.clienteId],
+      );
 
-    ns.subopcion,
+      if (cuestionario.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "El cuestionario no pertenece al cliente" });
+      }
 
-    q.pregunta,
-    q.respuesta
+      await db.query(
+        `INSERT INTO visitas_cuestionarios (visita_id, cuestionario_info_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING`,
+        [req.params.id, cuestionario_info_id],
+      );
 
-FROM puestos_trabajo p
+      await registrarAuditoria(req, {
+        accion: "actualizar",
+        entidad: "visitas",
+        entidadId: req.params.id,
+        despues: { cuestionario_info_id },
+      });
 
-JOIN areas_trabajo a
-ON a.id=p.area_id
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
-JOIN clientes c
-ON c.id=a.cliente_id
+app.delete(
+  "/visitas/:id/cuestionarios/:info_id",
+  autorizar("visita"),
+  async (req, res) => {
+    try {
+      await db.query(
+        "DELETE FROM visitas_cuestionarios WHERE visita_id = $1 AND cuestionario_info_id = $2",
+        [req.params.id, req.params.info_id],
+      );
 
-JOIN cuestionarios_info ci
-ON ci.puesto_id=p.id
+      await registrarAuditoria(req, {
+        accion: "actualizar",
+        entidad: "visitas",
+        entidadId: req.params.id,
+        antes: { cuestionario_info_id: req.params.info_id },
+      });
 
-JOIN cuestionarios q
-ON q.info_id=ci.id
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
-LEFT JOIN nom_subopciones ns
-ON ns.id=ci.subopcion_id
+// ------------------- CALENDARIO (iCalendar) -------------------
+// Las apps de calendario no mandan el header Authorization, por eso el
+// feed se protege con un token por usuario que se puede regenerar.
 
-LEFT JOIN documentos_cuestionario arp
-ON arp.cuestionario_info_id=ci.id
-AND arp.tipo='ARP'
+const urlFeedCalendario = (req, token) =>
+  `${process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`}/calendario/feed/${token}.ics`;
 
-LEFT JOIN documentos_cuestionario ficha
-ON ficha.cuestionario_info_id=ci.id
-AND ficha.tipo='FICHA'
+// Genera (o regenera, invalidando el anterior) el token del feed
+app.post("/calendario/token", async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("hex");
 
-WHERE p.id=$1
+    await db.query("UPDATE usuarios SET calendario_token = $1 WHERE id = $2", [
+      token,
+      req.usuario.id,
+    ]);
 
-ORDER BY ci.created_at;
-    `;
+    res.json({ url: urlFeedCalendario(req, token) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const { rows } = await db.query(sql, [puestoId]);
+app.delete("/calendario/token", async (req, res) => {
+  try {
+    await db.query(
+      "UPDATE usuarios SET calendario_token = NULL WHERE id = $1",
+      [req.usuario.id],
+    );
 
-    res.json(rows);
+    res.json({ success: true });
   } catch (error) {
-    console.error("❌ Error reporte consolidado:", error.message);
-    res.status(500).json({
-      message: "Error interno en reporte consolidado",
-      error: error.message,
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// ------------------- ELIMINAR CLIENTE COMPLETO -------------------
-// ------------------- ELIMINAR CLIENTE COMPLETO -------------------
-app.delete("/clientes/:id", async (req, res) => {
-  const clienteId = req.params.id;
-  const client = await db.connect();
+// Texto según RFC 5545
+const escaparIcs = (texto) =>
+  String(texto ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 2025-03-01T15:00:00.000Z -> 20250301T150000Z
+const fechaIcs = (fecha) =>
+  new Date(fecha)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Las líneas no pueden pasar de 75 octetos; se continúan con un espacio
+const plegarLineaIcs = (linea) => {
+  const partes = [];
+  let resto = linea;
+
+  while (Buffer.byteLength(resto) > 75) {
+    let corte = 75;
+    while (Buffer.byteLength(resto.slice(0, corte)) > 75) corte--;
+
+    partes.push(resto.slice(0, corte));
+    resto = ` ${resto.slice(corte)}`;
+  }
 
-  try {
-    await client.query("BEGIN");
+  partes.push(resto);
+  return partes.join("\r\n");
+};
 
-    // ✅ Eliminar inventario relacionado con el cliente
-    await client.query("DELETE FROM inventario WHERE cliente_id = $1", [
-      clienteId,
-    ]);
+const eventoVisita = (visita, dominio) => {
+  const inicio = new Date(visita.fecha_programada);
+  const fin = new Date(inicio.getTime() + visita.duracion_minutos * 60 * 1000);
+
+  const descripcion = [
+    visita.nombre_area && `Área: ${visita.nombre_area}`,
+    visita.nom && `NOM: ${visita.nom}`,
+    visita.notas,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:visita-${visita.id}@${dominio}`,
+    `DTSTAMP:${fechaIcs(visita.updated_at)}`,
+    `LAST-MODIFIED:${fechaIcs(visita.updated_at)}`,
+    `DTSTART:${fechaIcs(inicio)}`,
+    `DTEND:${fechaIcs(fin)}`,
+    `SUMMARY:${escaparIcs(
+      `Visita ${visita.nombre_empresa}${visita.nom ? ` (${visita.nom})` : ""}`,
+    )}`,
+    visita.direccion && `LOCATION:${escaparIcs(visita.direccion)}`,
+    descripcion && `DESCRIPTION:${escaparIcs(descripcion)}`,
+    `STATUS:${visita.estado === "cancelada" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
 
-    // 1️⃣ Obtener áreas del cliente
-    const areas = await client.query(
-      "SELECT id FROM areas_trabajo WHERE cliente_id = $1",
-      [clienteId],
+// FEED DEL CONSULTOR (público con token): visitas desde hace 90 días
+app.get("/calendario/feed/:token.ics", async (req, res) => {
+  try {
+    const usuario = await db.query(
+      "SELECT id, usuario FROM usuarios WHERE calendario_token = $1",
+      [req.params.token],
     );
 
-    for (const area of areas.rows) {
-      // 2️⃣ Obtener puestos del área
-      const puestos = await client.query(
-        "SELECT id FROM puestos_trabajo WHERE area_id = $1",
-        [area.id],
-      );
+    if (usuario.rows.length === 0) return res.sendStatus(404);
 
-      for (const puesto of puestos.rows) {
-        // 3️⃣ Eliminar relaciones del puesto
-        await client.query("DELETE FROM puestos_riesgos WHERE puesto_id = $1", [
-          puesto.id,
-        ]);
+    const visitas = await db.query(
+      `${SQL_VISITAS}
+      WHERE v.consultor_id = $1
+        AND c.deleted_at IS NULL
+        AND v.fecha_programada >= NOW() - INTERVAL '90 days'
+      ORDER BY v.fecha_programada`,
+      [usuario.rows[0].id],
+    );
 
-        await client.query("DELETE FROM puestos_epp WHERE puesto_id = $1", [
-          puesto.id,
-        ]);
+    const dominio = req.get("host");
+    const lineas = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:-//${escaparIcs(REPORTE_MARCA)}//Visitas//ES`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escaparIcs(`Visitas - ${usuario.rows[0].usuario}`)}`,
+      ...visitas.rows.flatMap((visita) => eventoVisita(visita, dominio)),
+      "END:VCALENDAR",
+    ];
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="visitas.ics"');
+    res.send(`${lineas.map(plegarLineaIcs).join("\r\n")}\r\n`);
+  } catch (error) {
+    console.error("❌ Error generando calendario:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        await client.query("DELETE FROM puestos_normas WHERE puesto_id = $1", [
-          puesto.id,
-        ]);
+// ------------------- DASHBOARD DE CUMPLIMIENTO -------------------
+// KPIs por cliente para no tener que abrir puesto por puesto.
+
+const DASHBOARD_MESES = 12;
+const DASHBOARD_MAX_MESES = 36;
+
+// Puestos y cuestionarios del cliente ($1)
+const CTE_DASHBOARD = `
+  WITH puestos AS (
+    SELECT p.id, p.puesto, a.id AS area_id, a.nombre_area
+    FROM puestos_trabajo p
+    JOIN areas_trabajo a ON a.id = p.area_id
+    WHERE a.cliente_id = $1
+  ),
+  info AS (
+    SELECT ci.*
+    FROM cuestionarios_info ci
+    WHERE ci.puesto_id IN (SELECT id FROM puestos)
+  )`;
+
+const consultarDashboard = async (clienteId, meses) => {
+  const resumen = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT
+      (SELECT COUNT(*) FROM areas_trabajo WHERE cliente_id = $1)::int AS areas,
+      (SELECT COUNT(*) FROM puestos)::int AS puestos,
+      (SELECT COUNT(DISTINCT puesto_id) FROM info)::int AS puestos_evaluados,
+      (SELECT COUNT(*) FROM trabajadores
+        WHERE activo AND puesto_id IN (SELECT id FROM puestos))::int AS trabajadores,
+      (SELECT COUNT(*) FROM trabajadores
+        WHERE activo AND puesto_id IN (SELECT puesto_id FROM info))::int AS trabajadores_cubiertos,
+      (SELECT COUNT(*) FROM info)::int AS cuestionarios,
+      (SELECT ROUND(AVG(cumplimiento), 2) FROM info) AS cumplimiento_promedio,
+      (SELECT COUNT(*) FROM hallazgos
+        WHERE estado <> 'cerrado'
+          AND cuestionario_info_id IN (SELECT id FROM info))::int AS hallazgos_abiertos,
+      (SELECT COUNT(*) FROM hallazgos
+        WHERE estado <> 'cerrado' AND fecha_compromiso < CURRENT_DATE
+          AND cuestionario_info_id IN (SELECT id FROM info))::int AS hallazgos_vencidos`,
+    [clienteId],
+  );
+
+  const porNom = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT
+      ci.nom,
+      COUNT(*)::int AS cuestionarios,
+      COUNT(DISTINCT ci.puesto_id)::int AS puestos_evaluados,
+      ROUND(AVG(ci.cumplimiento), 2) AS cumplimiento_promedio,
+      MAX(ci.created_at) AS ultima_evaluacion
+    FROM info ci
+    GROUP BY ci.nom
+    ORDER BY ci.nom`,
+    [clienteId],
+  );
+
+  const porSubopcion = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT
+      ci.nom,
+      ci.subopcion_id,
+      ns.subopcion,
+      COUNT(*)::int AS cuestionarios,
+      MAX(ci.created_at) AS ultima_evaluacion
+    FROM info ci
+    LEFT JOIN nom_subopciones ns ON ns.id = ci.subopcion_id
+    GROUP BY ci.nom, ci.subopcion_id, ns.subopcion
+    ORDER BY ci.nom, ns.subopcion`,
+    [clienteId],
+  );
+
+  const sinEvaluacion = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT p.id AS puesto_id, p.puesto, p.area_id, p.nombre_area
+    FROM puestos p
+    WHERE NOT EXISTS (SELECT 1 FROM info WHERE info.puesto_id = p.id)
+    ORDER BY p.nombre_area, p.puesto`,
+    [clienteId],
+  );
+
+  // Cuestionarios a los que les falta el ARP o la FICHA
+  const documentosFaltantes = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT *
+    FROM (
+      SELECT
+        ci.id AS cuestionario_info_id,
+        ci.nom,
+        p.id AS puesto_id,
+        p.puesto,
+        p.area_id,
+        p.nombre_area,
+        NOT EXISTS (
+          SELECT 1 FROM documentos_cuestionario d
+          WHERE d.cuestionario_info_id = ci.id AND d.tipo = 'ARP'
+        ) AS falta_arp,
+        NOT EXISTS (
+          SELECT 1 FROM documentos_cuestionario d
+          WHERE d.cuestionario_info_id = ci.id AND d.tipo = 'FICHA'
+        ) AS falta_ficha
+      FROM info ci
+      JOIN puestos p ON p.id = ci.puesto_id
+    ) docs
+    WHERE falta_arp OR falta_ficha
+    ORDER BY nombre_area, puesto, nom`,
+    [clienteId],
+  );
+
+  // Un renglón por mes (incluye meses sin actividad) y NOM
+  const tendencia = await db.query(
+    `${CTE_DASHBOARD},
+    meses AS (
+      SELECT generate_series(
+        date_trunc('month', NOW()) - ($2::int - 1) * INTERVAL '1 month',
+        date_trunc('month', NOW()),
+        INTERVAL '1 month'
+      ) AS mes
+    )
+    SELECT
+      to_char(m.mes, 'YYYY-MM') AS mes,
+      COUNT(ci.id)::int AS cuestionarios,
+      ROUND(AVG(ci.cumplimiento), 2) AS cumplimiento_promedio,
+      (SELECT COUNT(*) FROM hallazgos h
+        WHERE h.cuestionario_info_id IN (SELECT id FROM info)
+          AND date_trunc('month', h.created_at) = m.mes)::int AS hallazgos_creados,
+      (SELECT COUNT(*) FROM hallazgos h
+        WHERE h.cuestionario_info_id IN (SELECT id FROM info)
+          AND date_trunc('month', h.cerrado_at) = m.mes)::int AS hallazgos_cerrados
+    FROM meses m
+    LEFT JOIN info ci ON date_trunc('month', ci.created_at) = m.mes
+    GROUP BY m.mes
+    ORDER BY m.mes`,
+    [clienteId, meses],
+  );
+
+  const tendenciaNom = await db.query(
+    `${CTE_DASHBOARD}
+    SELECT
+      to_char(date_trunc('month', ci.created_at), 'YYYY-MM') AS mes,
+      ci.nom,
+      COUNT(*)::int AS cuestionarios,
+      ROUND(AVG(ci.cumplimiento), 2) AS cumplimiento_promedio
+    FROM info ci
+    WHERE ci.created_at >= date_trunc('month', NOW()) - ($2::int - 1) * INTERVAL '1 month'
+    GROUP BY 1, ci.nom`,
+    [clienteId, meses],
+  );
+
+  const alertas = await consultarAlertasInventario("cliente", clienteId);
+
+  return {
+    resumen: {
+      ...resumen.rows[0],
+      puestos_sin_evaluacion: sinEvaluacion.rows.length,
+    },
+    por_nom: porNom.rows.map((nom) => ({
+      ...nom,
+      subopciones: porSubopcion.rows
+        .filter((s) => s.nom === nom.nom)
+        .map(({ nom: _nom, ...subopcion }) => subopcion),
+    })),
+    puestos_sin_evaluacion: sinEvaluacion.rows,
+    documentos_faltantes: documentosFaltantes.rows,
+    alertas_inventario: {
+      total: alertas.length,
+      bajo_minimo: alertas.filter((r) => r.estado === "bajo").length,
+      sobre_maximo: alertas.filter((r) => r.estado === "exceso").length,
+      articulos: alertas,
+    },
+    // { mes, cuestionarios, cumplimiento_promedio, ..., por_nom: { NOM: {...} } }
+    tendencia: tendencia.rows.map((mes) => ({
+      ...mes,
+      por_nom: Object.fromEntries(
+        tendenciaNom.rows
+          .filter((t) => t.mes === mes.mes)
+          .map(({ nom, cuestionarios, cumplimiento_promedio }) => [
+            nom,
+            { cuestionarios, cumplimiento_promedio },
+          ]),
+      ),
+    })),
+  };
+};
 
-        // 4️⃣ Obtener cuestionarios_info
-        const infos = await client.query(
-          "SELECT id FROM cuestionarios_info WHERE puesto_id = $1",
-          [puesto.id],
-        );
+// DASHBOARD DE UN CLIENTE. ?meses=12 para la tendencia
+app.get("/clientes/:id/dashboard", autorizar("cliente"), async (req, res) => {
+  const meses = Math.min(
+    Math.max(parseInt(req.query.meses, 10) || DASHBOARD_MESES, 1),
+    DASHBOARD_MAX_MESES,
+  );
 
-        for (const info of infos.rows) {
-          // 5️⃣ Eliminar respuestas
-          await client.query("DELETE FROM cuestionarios WHERE info_id = $1", [
-            info.id,
-          ]);
+  try {
+    const dashboard = await consultarDashboard(req.params.id, meses);
 
-          // ✅ Eliminar documentos del cuestionario
-          await client.query(
-            "DELETE FROM documentos_cuestionario WHERE cuestionario_info_id = $1",
-            [info.id],
-          );
-        }
+    res.json({ cliente_id: Number(req.params.id), meses, ...dashboard });
+  } catch (error) {
+    console.error("❌ Error generando dashboard:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        // 6️⃣ Eliminar info cuestionarios
-        await client.query(
-          "DELETE FROM cuestionarios_info WHERE puesto_id = $1",
-          [puesto.id],
-        );
+// RESUMEN DE TODOS LOS CLIENTES DEL USUARIO (el admin ve todos)
+app.get("/dashboard", async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT
+        c.id AS cliente_id,
+        c.nombre_empresa,
+        COUNT(DISTINCT a.id)::int AS areas,
+        COUNT(DISTINCT p.id)::int AS puestos,
+        COUNT(DISTINCT ci.puesto_id)::int AS puestos_evaluados,
+        COUNT(DISTINCT ci.id)::int AS cuestionarios,
+        ROUND(AVG(ci.cumplimiento), 2) AS cumplimiento_promedio,
+        MAX(ci.created_at) AS ultima_evaluacion,
+        (SELECT COUNT(*) FROM hallazgos h
+          JOIN cuestionarios_info hci ON hci.id = h.cuestionario_info_id
+          JOIN puestos_trabajo hp ON hp.id = hci.puesto_id
+          JOIN areas_trabajo ha ON ha.id = hp.area_id
+          WHERE ha.cliente_id = c.id AND h.estado <> 'cerrado')::int AS hallazgos_abiertos
+      FROM clientes c
+      LEFT JOIN areas_trabajo a ON a.cliente_id = c.id
+      LEFT JOIN puestos_trabajo p ON p.area_id = a.id
+      LEFT JOIN cuestionarios_info ci ON ci.puesto_id = p.id
+      WHERE c.deleted_at IS NULL
+        AND ($1::boolean OR c.usuario_id = $2)
+      GROUP BY c.id
+      ORDER BY c.nombre_empresa`,
+      [esAdmin(req), req.usuario.id],
+    );
 
-        // 7️⃣ Eliminar puesto
-        await client.query("DELETE FROM puestos_trabajo WHERE id = $1", [
-          puesto.id,
-        ]);
-      }
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // 8️⃣ Eliminar área
-      await client.query("DELETE FROM areas_trabajo WHERE id = $1", [area.id]);
-    }
+// ------------------- IMPORTACIÓN MASIVA -------------------
+// Alta de la estructura del cliente (áreas, puestos con sus riesgos y EPP)
+// y de su inventario desde las plantillas de GET /importar/plantilla.
+// Se valida todo el archivo contra los catálogos; con simular=true (o si
+// hay errores) solo se regresa la vista previa, si no se guarda todo en
+// una transacción. El XLSX trae las hojas "Estructura" e "Inventario"; un
+// CSV trae una sola y el tipo se reconoce por sus encabezados.
 
-    // 9️⃣ Eliminar cliente
-    await client.query("DELETE FROM clientes WHERE id = $1", [clienteId]);
+const IMPORTAR_MAX_FILAS = 5000;
+const IMPORTAR_MAX_BYTES = 5 * 1024 * 1024;
 
-    await client.query("COMMIT");
+const uploadImportacion = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORTAR_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (
+      [".csv", ".xlsx"].includes(path.extname(file.originalname).toLowerCase())
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("El archivo debe ser CSV o XLSX"), false);
+    }
+  },
+});
 
-    res.json({
-      success: true,
-      message: "Cliente eliminado correctamente",
-    });
-  } catch (error) {
-    await client.query("ROLLBACK");
+// Los errores de multer siguen al manejador general con el límite de la
+// importación (no el de LIMITES_ARCHIVO); un archivo que no es CSV / XLSX
+// es un 400
+const subirImportacion = (req, res, next) =>
+  uploadImportacion.single("archivo")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.limite = IMPORTAR_MAX_BYTES;
+    } else if (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    console.error("❌ Error eliminando cliente:", error);
+    next(err);
+  });
 
-    res.status(500).json({
-      success: false,
-      message: error.message,
-      detail: error.detail,
-      table: error.table,
-      constraint: error.constraint,
-    });
-  } finally {
-    client.release();
-  }
-});
+// Riesgos y EPP van separados con ";" (igual que en la exportación)
+const PLANTILLAS_IMPORTACION = {
+  estructura: [
+    { titulo: "Área", campo: "nombre_area", ancho: 24 },
+    { titulo: "Descripción área", campo: "descripcion_area", ancho: 30 },
+    { titulo: "Encargado", campo: "encargado" },
+    { titulo: "Contacto", campo: "contacto" },
+    { titulo: "Puesto", campo: "puesto", ancho: 24 },
+    { titulo: "Descripción puesto", campo: "descripcion_puesto", ancho: 30 },
+    { titulo: "Trabajadores", campo: "numero_usuarios", ancho: 14 },
+    { titulo: "Riesgos", campo: "riesgos", ancho: 40 },
+    { titulo: "EPP", campo: "epp", ancho: 40 },
+    { titulo: "Criterio EPP", campo: "criterio_epp", ancho: 30 },
+  ],
+  inventario: [
+    { titulo: "Clave", campo: "clave_producto" },
+    { titulo: "Producto", campo: "nombre_producto", ancho: 30 },
+    { titulo: "Marca", campo: "marca" },
+    { titulo: "Tipo", campo: "tipo_producto" },
+    { titulo: "Descripción", campo: "descripcion", ancho: 30 },
+    { titulo: "Área", campo: "nombre_area", ancho: 24 },
+    { titulo: "Puesto", campo: "puesto", ancho: 24 },
+    { titulo: "EPP", campo: "epp", ancho: 24 },
+    { titulo: "Mínimo", campo: "cantidad_min", ancho: 10 },
+    { titulo: "Máximo", campo: "cantidad_max", ancho: 10 },
+    { titulo: "Existencia", campo: "cantidad_total", ancho: 12 },
+  ],
+};
 
-//Crear inventario
+// "  Almacén   General" y "almacen general" son el mismo nombre
+const normalizarNombre = (valor) =>
+  normalizarRespuesta(valor).replace(/\s+/g, " ");
 
-app.post(
-  "/inventario",
-  upload.fields([
-    { name: "ficha_tecnica", maxCount: 1 },
-    { name: "certificado", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    try {
-      const {
-        clave_producto,
-        nombre_producto,
-        marca,
-        tipo_producto,
-        descripcion,
-        cantidad_min,
-        cantidad_max,
-        cantidad_total,
-        usuario_id,
-        cliente_id,
-        area_id,
-        puesto_id,
-      } = req.body;
+const errorImportacion = (mensaje) => {
+  const error = new Error(mensaje);
+  error.status = 400;
+  return error;
+};
 
-      // ===========================
-      // Obtener rutas de los PDF
-      // ===========================
+const tipoPorEncabezados = (ws) => {
+  const encabezados = [];
+  ws.getRow(1).eachCell((cell) =>
+    encabezados.push(normalizarNombre(cell.text)),
+  );
 
-      const fichaTecnica = req.files?.ficha_tecnica
-        ? `/uploads/${req.files.ficha_tecnica[0].filename}`
-        : null;
+  return encabezados.includes("producto") ? "inventario" : "estructura";
+};
 
-      const certificado = req.files?.certificado
-        ? `/uploads/${req.files.certificado[0].filename}`
-        : null;
+// Filas no vacías como { fila, campo: texto }
+const leerHojaImportacion = (ws, tipo) => {
+  const campos = new Map(
+    PLANTILLAS_IMPORTACION[tipo].map((c) => [
+      normalizarNombre(c.titulo),
+      c.campo,
+    ]),
+  );
+
+  const columnas = [];
+  ws.getRow(1).eachCell((cell, numero) => {
+    const campo = campos.get(normalizarNombre(cell.text));
+    if (campo) columnas.push([numero, campo]);
+  });
 
-      console.log("Ficha técnica:", fichaTecnica);
-      console.log("Certificado:", certificado);
+  const filas = [];
 
-      const result = await db.query(
-        `
-        INSERT INTO inventario
-        (
-          clave_producto,
-          nombre_producto,
-          marca,
-          descripcion,
-          tipo_producto,
-          cantidad_min,
-          cantidad_max,
-          cantidad_total,
-          usuario_id,
-          cliente_id,
-          area_id,
-          puesto_id,
-          ficha_tecnica,
-          certificado
-        )
-        VALUES
-        (
-          $1,$2,$3,$4,$5,$6,$7,$8,
-          $9,$10,$11,$12,$13,$14
-        )
-        RETURNING *
-        `,
-        [
-          clave_producto,
-          nombre_producto,
-          marca,
-          descripcion,
-          tipo_producto,
-          cantidad_min,
-          cantidad_max,
-          cantidad_total,
-          usuario_id,
-          cliente_id,
-          area_id,
-          puesto_id,
-          fichaTecnica,
-          certificado,
-        ],
-      );
+  ws.eachRow((row, numero) => {
+    if (numero === 1) return;
 
-      res.json(result.rows[0]);
-    } catch (error) {
-      console.log(error);
+    const fila = { fila: numero };
 
-      res.status(500).json({
-        error: error.message,
-      });
+    for (const [columna, campo] of columnas) {
+      fila[campo] = row.getCell(columna).text.trim();
     }
-  },
-);
 
-//Listar Inventario
-app.get("/inventario/:clienteId", async (req, res) => {
-  try {
-    const result = await db.query(
-      `
-      SELECT
-        i.*,
-        c.nombre_empresa,
-        a.nombre_area,
-        p.puesto
-      FROM inventario i
-      JOIN clientes c ON c.id = i.cliente_id
-      JOIN areas_trabajo a ON a.id = i.area_id
-      JOIN puestos_trabajo p ON p.id = i.puesto_id
-      WHERE i.cliente_id = $1
-      ORDER BY i.id DESC
-      `,
-      [req.params.clienteId],
-    );
+    if (columnas.some(([, campo]) => fila[campo])) filas.push(fila);
+  });
 
-    res.json(result.rows);
-  } catch (error) {
-    console.log(error);
+  return filas;
+};
 
-    res.status(500).json({
-      error: error.message,
-    });
-  }
-});
+const leerArchivoImportacion = async (file) => {
+  const libro = new ExcelJS.Workbook();
+  const hojas = { estructura: [], inventario: [] };
 
-app.put("/inventario/:id", async (req, res) => {
-  try {
-    const {
-      clave_producto,
-      nombre_producto,
-      tipo_producto,
-      marca,
-      descripcion,
-      cantidad_min,
-      cantidad_max,
-      cantidad_total,
-    } = req.body;
+  if (path.extname(file.originalname).toLowerCase() === ".csv") {
+    // map conserva el texto tal cual (claves como 001, fechas)
+    const ws = await libro.csv.read(
+      Readable.from([file.buffer.toString("utf8")]),
+      { map: (valor) => valor },
+    );
+    const tipo = tipoPorEncabezados(ws);
+    hojas[tipo] = leerHojaImportacion(ws, tipo);
+  } else {
+    await libro.xlsx.load(file.buffer);
 
-    const result = await db.query(
-      `
-      UPDATE inventario
-      SET
-        clave_producto = $1,
-        nombre_producto = $2,
-        marca = $3,
-        descripcion = $4,
-        cantidad_min = $5,
-        cantidad_max = $6,
-        cantidad_total = $7,
-        tipo_producto = $8
-      WHERE id = $9
-      RETURNING *
-      `,
-      [
-        clave_producto,
-        nombre_producto,
-        marca,
-        descripcion,
-        cantidad_min,
-        cantidad_max,
-        cantidad_total,
-        tipo_producto,
-        req.params.id,
-      ],
+    const reconocidas = libro.worksheets.filter(
+      (ws) => hojas[normalizarNombre(ws.name)],
     );
 
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.log(error);
+    if (reconocidas.length > 0) {
+      for (const ws of reconocidas) {
+        const tipo = normalizarNombre(ws.name);
+        hojas[tipo] = leerHojaImportacion(ws, tipo);
+      }
+    } else if (libro.worksheets[0]) {
+      const [ws] = libro.worksheets;
+      const tipo = tipoPorEncabezados(ws);
+      hojas[tipo] = leerHojaImportacion(ws, tipo);
+    }
+  }
 
-    res.status(500).json({
-      error: error.message,
-    });
+  const total = hojas.estructura.length + hojas.inventario.length;
+
+  if (total === 0) {
+    throw errorImportacion("El archivo no tiene filas para importar");
   }
-});
 
-app.post("/validar-password", async(req,res)=>{
+  if (total > IMPORTAR_MAX_FILAS) {
+    throw errorImportacion(`Máximo ${IMPORTAR_MAX_FILAS} filas por archivo`);
+  }
 
- try{
+  return hojas;
+};
 
- const {usuario_id,password}=req.body;
+const leerEnteroImportacion = (texto, titulo, errores) => {
+  if (!texto) return null;
 
+  const numero = Number(texto);
 
- const usuario = await db.query(
- `
- SELECT password
- FROM usuarios
- WHERE id=$1
- `,
- [usuario_id]
- );
+  if (!Number.isInteger(numero) || numero < 0) {
+    errores.push(`${titulo} debe ser un número entero mayor o igual a 0`);
+    return null;
+  }
 
+  return numero;
+};
 
- if(usuario.rows.length===0){
+const catalogoPorNombre = async (client, tabla) => {
+  const result = await client.query(`SELECT id, nombre FROM ${tabla}`);
 
-   return res.json({
-    valido:false
-   });
+  return new Map(result.rows.map((row) => [normalizarNombre(row.nombre), row]));
+};
 
- }
+// Ids del catálogo para "Ruido; Polvo"; los nombres que no existen se
+// agregan a errores
+const idsCatalogo = (texto, catalogo, etiqueta, errores) => {
+  const ids = new Set();
 
+  for (const nombre of String(texto || "").split(";")) {
+    if (!nombre.trim()) continue;
 
- if(usuario.rows[0].password === password){
+    const registro = catalogo.get(normalizarNombre(nombre));
 
-   return res.json({
-    valido:true
-   });
+    if (registro) {
+      ids.add(registro.id);
+    } else {
+      errores.push(
+        `${etiqueta} no encontrado en el catálogo: ${nombre.trim()}`,
+      );
+    }
+  }
 
- }
+  return [...ids];
+};
 
+// Plan de la importación: áreas (existentes y nuevas) con sus puestos,
+// artículos de inventario y errores por fila [{ hoja, fila, errores }]
+const validarImportacion = async (client, clienteId, hojas) => {
+  const riesgos = await catalogoPorNombre(client, "riesgos_laborales");
+  const epp = await catalogoPorNombre(client, "equipo_proteccion");
+
+  const existentes = await client.query(
+    `SELECT a.id AS area_id, a.nombre_area, p.id AS puesto_id, p.puesto
+    FROM areas_trabajo a
+    LEFT JOIN puestos_trabajo p ON p.area_id = a.id
+    WHERE a.cliente_id = $1`,
+    [clienteId],
+  );
+
+  // nombre normalizado → área; cada área con sus puestos por nombre
+  const areas = new Map();
+
+  for (const row of existentes.rows) {
+    const clave = normalizarNombre(row.nombre_area);
+
+    if (!areas.has(clave)) {
+      areas.set(clave, {
+        id: row.area_id,
+        nombre_area: row.nombre_area,
+        nueva: false,
+        puestos: new Map(),
+      });
+    }
 
- res.json({
-   valido:false
- });
+    if (row.puesto_id) {
+      areas.get(clave).puestos.set(normalizarNombre(row.puesto), {
+        id: row.puesto_id,
+        puesto: row.puesto,
+        nuevo: false,
+      });
+    }
+  }
 
+  const errores = [];
 
- }catch(error){
+  for (const fila of hojas.estructura) {
+    const lista = [];
 
- console.log(error);
+    const numeroUsuarios = leerEnteroImportacion(
+      fila.numero_usuarios,
+      "Trabajadores",
+      lista,
+    );
+    const riesgoIds = idsCatalogo(fila.riesgos, riesgos, "Riesgo", lista);
+    const eppIds = idsCatalogo(fila.epp, epp, "EPP", lista);
 
- res.status(500).json({
-  error:error.message
- });
+    if (!fila.nombre_area) {
+      lista.push("Área es requerida");
+    } else {
+      const claveArea = normalizarNombre(fila.nombre_area);
+
+      if (!areas.has(claveArea)) {
+        areas.set(claveArea, {
+          id: null,
+          nombre_area: fila.nombre_area,
+          descripcion: fila.descripcion_area || null,
+          encargado: fila.encargado || null,
+          contacto: fila.contacto || null,
+          nueva: true,
+          fila: fila.fila,
+          puestos: new Map(),
+        });
+      }
 
- }
+      const area = areas.get(claveArea);
+      const clavePuesto = normalizarNombre(fila.puesto);
+      const previo = area.puestos.get(clavePuesto);
 
-});
+      if (!fila.puesto) {
+        if (riesgoIds.length > 0 || eppIds.length > 0) {
+          lista.push("Puesto es requerido para asignar riesgos o EPP");
+        }
+      } else if (previo) {
+        lista.push(
+          previo.nuevo
+            ? `Puesto repetido en el archivo (fila ${previo.fila})`
+            : "El puesto ya existe en el área",
+        );
+      } else {
+        area.puestos.set(clavePuesto, {
+          id: null,
+          puesto: fila.puesto,
+          descripcion: fila.descripcion_puesto || null,
+          numero_usuarios: numeroUsuarios,
+          criterio_epp: fila.criterio_epp || null,
+          riesgos: riesgoIds,
+          epp: eppIds,
+          nuevo: true,
+          fila: fila.fila,
+        });
+      }
+    }
 
-app.get("/reportes/puestos/:clienteId", async (req, res) => {
+    if (lista.length > 0) {
+      errores.push({ hoja: "Estructura", fila: fila.fila, errores: lista });
+    }
+  }
 
-  const { clienteId } = req.params;
+  const articulos = [];
 
-  try {
+  for (const fila of hojas.inventario) {
+    const lista = [];
 
-    const resultado = await db.query(
-      `
-      SELECT 
-        p.id,
-        p.puesto,
-        p.numero_usuarios,
-        p.descripcion,
-        p.criterio_epp,
+    if (!fila.nombre_producto) lista.push("Producto es requerido");
 
-        a.nombre_area,
+    const area = areas.get(normalizarNombre(fila.nombre_area));
+    const puesto = area?.puestos.get(normalizarNombre(fila.puesto));
+
+    if (!fila.nombre_area || !fila.puesto) {
+      lista.push("Área y Puesto son requeridos");
+    } else if (!area) {
+      lista.push(`El área no existe: ${fila.nombre_area}`);
+    } else if (!puesto) {
+      lista.push(`El puesto no existe en el área: ${fila.puesto}`);
+    }
 
-        COALESCE(
-          json_agg(DISTINCT r.nombre)
-          FILTER (WHERE r.nombre IS NOT NULL),
-          '[]'
-        ) AS riesgos,
+    const [eppId = null] = idsCatalogo(fila.epp, epp, "EPP", lista);
 
-        COALESCE(
-          json_agg(DISTINCT e.nombre)
-          FILTER (WHERE e.nombre IS NOT NULL),
-          '[]'
-        ) AS epp
+    const minimo = leerEnteroImportacion(fila.cantidad_min, "Mínimo", lista);
+    const maximo = leerEnteroImportacion(fila.cantidad_max, "Máximo", lista);
+    const existencia = leerEnteroImportacion(
+      fila.cantidad_total,
+      "Existencia",
+      lista,
+    );
 
+    if (minimo !== null && maximo && maximo < minimo) {
+      lista.push("Máximo no puede ser menor que Mínimo");
+    }
 
-      FROM puestos_trabajo p
+    if (lista.length > 0) {
+      errores.push({ hoja: "Inventario", fila: fila.fila, errores: lista });
+    }
 
-      INNER JOIN areas_trabajo a
-      ON p.area_id = a.id
+    articulos.push({
+      fila: fila.fila,
+      area,
+      puesto,
+      clave_producto: fila.clave_producto || null,
+      nombre_producto: fila.nombre_producto,
+      marca: fila.marca || null,
+      tipo_producto: fila.tipo_producto || null,
+      descripcion: fila.descripcion || null,
+      epp_id: eppId,
+      cantidad_min: minimo,
+      cantidad_max: maximo,
+      cantidad_total: existencia || 0,
+    });
+  }
 
+  return { areas: [...areas.values()], articulos, errores };
+};
 
-      LEFT JOIN puestos_riesgos pr
-      ON p.id = pr.puesto_id
+// Solo lo que se va a crear
+const vistaPreviaImportacion = ({ areas, articulos }) => {
+  const areasNuevas = areas.filter((area) => area.nueva);
+  const puestosNuevos = areas.flatMap((area) =>
+    [...area.puestos.values()]
+      .filter((puesto) => puesto.nuevo)
+      .map((puesto) => ({
+        ...puesto,
+        area_id: area.id,
+        nombre_area: area.nombre_area,
+      })),
+  );
+
+  return {
+    resumen: {
+      areas_nuevas: areasNuevas.length,
+      puestos_nuevos: puestosNuevos.length,
+      articulos: articulos.length,
+    },
+    areas: areasNuevas.map(({ puestos: _puestos, ...area }) => area),
+    puestos: puestosNuevos,
+    inventario: articulos.map(({ area, puesto, ...articulo }) => ({
+      ...articulo,
+      area_id: area?.id ?? null,
+      nombre_area: area?.nombre_area ?? null,
+      puesto_id: puesto?.id ?? null,
+      puesto: puesto?.puesto ?? null,
+    })),
+  };
+};
 
+// Guarda el plan; los ids nuevos quedan en las mismas áreas / puestos
+const guardarImportacion = async (
+  client,
+  req,
+  clienteId,
+  { areas, articulos },
+) => {
+  for (const area of areas) {
+    if (area.nueva) {
+      const result = await client.query(
+        `INSERT INTO areas_trabajo
+        (cliente_id, nombre_area, descripcion, encargado, contacto)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *`,
+        [
+          clienteId,
+          area.nombre_area,
+          area.descripcion,
+          area.encargado,
+          area.contacto,
+        ],
+      );
 
-      LEFT JOIN riesgos_laborales r
-      ON pr.riesgo_id = r.id
+      area.id = result.rows[0].id;
+
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "areas_trabajo",
+          entidadId: area.id,
+          despues: result.rows[0],
+        },
+        client,
+      );
+    }
 
+    for (const puesto of area.puestos.values()) {
+      if (!puesto.nuevo) continue;
 
-      LEFT JOIN puestos_epp pe
-      ON p.id = pe.puesto_id
+      const result = await client.query(
+        `INSERT INTO puestos_trabajo (area_id, puesto, numero_usuarios, descripcion, riesgo_id, criterio_epp)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id`,
+        [
+          area.id,
+          puesto.puesto,
+          puesto.numero_usuarios,
+          puesto.descripcion,
+          puesto.riesgos[0] || null,
+          puesto.criterio_epp,
+        ],
+      );
 
+      puesto.id = result.rows[0].id;
 
-      LEFT JOIN equipo_proteccion e
-      ON pe.epp_id = e.id
+      for (const riesgoId of puesto.riesgos) {
+        await client.query(
+          "INSERT INTO puestos_riesgos (puesto_id, riesgo_id) VALUES ($1, $2)",
+          [puesto.id, riesgoId],
+        );
+      }
 
+      for (const eppId of puesto.epp) {
+        await client.query(
+          "INSERT INTO puestos_epp (puesto_id, epp_id) VALUES ($1, $2)",
+          [puesto.id, eppId],
+        );
+      }
 
-      WHERE a.cliente_id = $1
+      await registrarAuditoria(
+        req,
+        {
+          accion: "crear",
+          entidad: "puestos_trabajo",
+          entidadId: puesto.id,
+          despues: await fotoPuesto(client, puesto.id),
+        },
+        client,
+      );
+    }
+  }
 
+  for (const articulo of articulos) {
+    const result = await client.query(
+      `INSERT INTO inventario
+      (clave_producto, nombre_producto, marca, descripcion, tipo_producto,
+       cantidad_min, cantidad_max, cantidad_total, usuario_id, cliente_id,
+       area_id, puesto_id, epp_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 0, $8, $9, $10, $11, $12)
+      RETURNING *`,
+      [
+        articulo.clave_producto,
+        articulo.nombre_producto,
+        articulo.marca,
+        articulo.descripcion,
+        articulo.tipo_producto,
+        articulo.cantidad_min,
+        articulo.cantidad_max,
+        req.usuario.id,
+        clienteId,
+        articulo.area.id,
+        articulo.puesto.id,
+        articulo.epp_id,
+      ],
+    );
 
-      GROUP BY 
-        p.id,
-        a.nombre_area
+    let item = result.rows[0];
 
+    // La existencia inicial entra como movimiento, igual que en POST /inventario
+    if (articulo.cantidad_total > 0) {
+      await registrarMovimiento(client, {
+        inventarioId: item.id,
+        tipo: "entrada",
+        cantidad: articulo.cantidad_total,
+        motivo: "Existencia inicial (importación)",
+        usuarioId: req.usuario.id,
+      });
 
-      ORDER BY 
-        a.nombre_area,
-        p.puesto
+      item = { ...item, cantidad_total: articulo.cantidad_total };
+    }
 
-      `,
-      [clienteId]
+    await registrarAuditoria(
+      req,
+      {
+        accion: "crear",
+        entidad: "inventario",
+        entidadId: item.id,
+        despues: item,
+      },
+      client,
     );
+  }
+};
 
+// PLANTILLA: ?tipo=estructura|inventario&format=xlsx|csv
+// El XLSX sin tipo trae las dos hojas
+app.get("/importar/plantilla", validarFormato, async (req, res) => {
+  const formato = req.query.format || "xlsx";
+  const { tipo } = req.query;
 
-    res.json(resultado.rows);
+  if (tipo !== undefined && !PLANTILLAS_IMPORTACION[tipo]) {
+    return res
+      .status(400)
+      .json({ error: "tipo debe ser: estructura, inventario" });
+  }
 
+  const tipos =
+    tipo || formato === "csv"
+      ? [tipo || "estructura"]
+      : ["estructura", "inventario"];
 
-  } catch(error){
+  try {
+    await enviarExportacion(
+      res,
+      formato,
+      `plantilla-${tipos.join("-")}`,
+      tipos.map((t) => ({
+        nombre: t === "estructura" ? "Estructura" : "Inventario",
+        columnas: PLANTILLAS_IMPORTACION[t].map(({ titulo, campo, ancho }) => ({
+          titulo,
+          ancho,
+          valor: (fila) => fila[campo],
+        })),
+        filas: [],
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log("ERROR REPORTES PUESTOS:", error.message);
+// IMPORTAR (multipart: archivo + simular)
+app.post(
+  "/clientes/:id/importar",
+  autorizar("cliente"),
+  subirImportacion,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "archivo es requerido" });
+    }
 
-    res.status(500).json({
-      error:error.message
-    });
+    const simular = req.body.simular === "true" || req.query.simular === "true";
 
-  }
+    let hojas;
 
-});
+    try {
+      hojas = await leerArchivoImportacion(req.file);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const plan = await validarImportacion(client, req.params.id, hojas);
+      const valido = plan.errores.length === 0;
+
+      if (simular || !valido) {
+        await client.query("ROLLBACK");
+
+        return res.status(simular ? 200 : 400).json({
+          ...(simular
+            ? {}
+            : { error: "El archivo tiene errores; no se importó nada" }),
+          simulacion: simular,
+          valido,
+          errores: plan.errores,
+          ...vistaPreviaImportacion(plan),
+        });
+      }
 
-app.get("/reportes/areas/:clienteId", async (req, res) => {
+      await guardarImportacion(client, req, req.params.id, plan);
 
-  const { clienteId } = req.params;
+      await client.query("COMMIT");
 
+      res.json({
+        simulacion: false,
+        valido: true,
+        errores: [],
+        ...vistaPreviaImportacion(plan),
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("❌ Error importando:", error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// ------------------- CONSULTA DE AUDITORÍA -------------------
+// GET /auditoria?cliente_id=&entidad=&entidad_id=&desde=&hasta=&limite=
+// Un consultor solo ve los registros de sus propios clientes.
+app.get("/auditoria", async (req, res) => {
   try {
+    const { cliente_id, entidad, entidad_id, desde, hasta } = req.query;
+    const limite = Math.min(parseInt(req.query.limite, 10) || 200, 1000);
 
-    const resultado = await db.query(
-      `
-      SELECT
-        a.id,
-        a.nombre_area,
-        a.descripcion,
-        a.image,
-        a.encargado,
-        a.contacto
+    const condiciones = [];
+    const params = [];
 
-      FROM areas_trabajo a
+    const filtrar = (sql, valor) => {
+      params.push(valor);
+      condiciones.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (!esAdmin(req)) {
+      filtrar(
+        "au.cliente_id IN (SELECT id FROM clientes WHERE usuario_id = ?)",
+        req.usuario.id,
+      );
+    }
 
-      WHERE a.cliente_id = $1
+    if (cliente_id) filtrar("au.cliente_id = ?", cliente_id);
+    if (entidad) filtrar("au.entidad = ?", entidad);
+    if (entidad_id) filtrar("au.entidad_id = ?", entidad_id);
+    if (desde) filtrar("au.fecha >= ?::date", desde);
+    if (hasta) filtrar("au.fecha < ?::date + 1", hasta);
 
-      ORDER BY a.nombre_area
+    params.push(limite);
 
-      `,
-      [clienteId]
+    const result = await db.query(
+      `SELECT
+        au.*,
+        u.usuario
+      FROM auditoria au
+      LEFT JOIN usuarios u ON u.id = au.usuario_id
+      ${condiciones.length ? `WHERE ${condiciones.join(" AND ")}` : ""}
+      ORDER BY au.fecha DESC, au.id DESC
+      LIMIT $${params.length}`,
+      params,
     );
 
+    res.json(result.rows);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(resultado.rows);
+// ------------------- JOBS PROGRAMADOS -------------------
+// La última ejecución de cada job diario se guarda en la BD: se revisa al
+// arrancar y cada hora, así los reinicios y deploys no lo posponen. El
+// UPDATE condicionado también evita que dos instancias lo corran a la vez.
+const UNA_HORA_MS = 60 * 60 * 1000;
+
+const ejecutarJobDiario = async (nombre, job) => {
+  const turno = await db.query(
+    `INSERT INTO jobs_ejecuciones (nombre, ultima_ejecucion)
+    VALUES ($1, NOW())
+    ON CONFLICT (nombre) DO UPDATE SET ultima_ejecucion = NOW()
+    WHERE jobs_ejecuciones.ultima_ejecucion IS NULL
+      OR jobs_ejecuciones.ultima_ejecucion <= NOW() - INTERVAL '1 day'
+    RETURNING nombre`,
+    [nombre],
+  );
+
+  if (turno.rows.length === 0) return;
 
+  try {
+    await job();
+  } catch (err) {
+    // Se reintenta en la siguiente revisión
+    await db.query(
+      "UPDATE jobs_ejecuciones SET ultima_ejecucion = NULL WHERE nombre = $1",
+      [nombre],
+    );
+    throw err;
+  }
+};
 
-  } catch(error){
+const JOBS_DIARIOS = {
+  papelera: purgarPapelera,
+  vencimientos: notificarVencimientos,
+};
 
-    console.log(error);
+const revisarJobs = async () => {
+  for (const [nombre, job] of Object.entries(JOBS_DIARIOS)) {
+    await ejecutarJobDiario(nombre, job).catch((err) =>
+      console.error(`❌ Error en el job de ${nombre}:`, err.message),
+    );
+  }
+};
 
-    res.status(500).json({
-      error:"Error obteniendo áreas del cliente"
-    });
+// ------------------- ERRORES DE SUBIDA -------------------
+// Errores de multer (archivo muy grande, demasiados archivos...) como JSON.
+// err.limite: bytes permitidos si la subida no usa LIMITES_ARCHIVO
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
 
-  }
+  const limite = err.limite || LIMITES_ARCHIVO.fileSize;
 
+  res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+    error:
+      err.code === "LIMIT_FILE_SIZE"
+        ? `El archivo pasa el límite de ${limite / 1024 / 1024} MB`
+        : err.message,
+  });
 });
 
 // ------------------- INICIAR SERVIDOR -------------------
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Servidor backend escuchando en el puerto ${PORT}`);
-});
+// Al importar el módulo (pruebas) no se abre el puerto ni corren los jobs
+if (require.main === module) {
+  verificarConexion();
+
+  revisarJobs();
+  setInterval(revisarJobs, UNA_HORA_MS);
+
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`🚀 Servidor backend escuchando en el puerto ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  registrarMovimiento,
+  textoCsv,
+  hojasPorGrupo,
+  leerArchivoImportacion,
+  validarImportacion,
+  vistaPreviaImportacion,
+};
@@ -0,0 +1,3 @@
+-- Las contraseñas ahora se guardan con bcrypt (60 caracteres).
+-- Las filas en texto plano se rehashean en el siguiente login exitoso.
+ALTER TABLE usuarios ALTER COLUMN password TYPE VARCHAR(255);
@@ -0,0 +1,3 @@
+-- Rol del usuario: "consultor" solo ve sus clientes, "admin" ve todo.
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS rol VARCHAR(20) NOT NULL DEFAULT 'consultor';
@@ -0,0 +1,7 @@
+-- Papelera de clientes: DELETE /clientes/:id solo marca deleted_at.
+-- El job de purga borra definitivamente después de PAPELERA_DIAS (30 por defecto).
+ALTER TABLE clientes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER NULL REFERENCES usuarios(id);
+
+CREATE INDEX IF NOT EXISTS idx_clientes_deleted_at ON clientes (deleted_at);
@@ -0,0 +1,18 @@
+-- Bitácora de cambios: quién, cuándo, qué ruta y valores antes/después.
+-- cliente_id no tiene FK para conservar la historia de clientes purgados.
+CREATE TABLE IF NOT EXISTS auditoria (
+  id SERIAL PRIMARY KEY,
+  fecha TIMESTAMP NOT NULL DEFAULT NOW(),
+  usuario_id INTEGER NULL,
+  metodo VARCHAR(10) NOT NULL,
+  ruta TEXT NULL,
+  accion VARCHAR(30) NOT NULL,
+  entidad VARCHAR(60) NOT NULL,
+  entidad_id INTEGER NULL,
+  cliente_id INTEGER NULL,
+  antes JSONB NULL,
+  despues JSONB NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_cliente_fecha ON auditoria (cliente_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON auditoria (entidad, entidad_id);
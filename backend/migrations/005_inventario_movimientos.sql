@@ -0,0 +1,25 @@
+-- Kardex de inventario: cantidad_total se deriva de los movimientos.
+-- cantidad lleva signo (+ entrada, - salida); saldo es la existencia después
+-- del movimiento.
+CREATE TABLE IF NOT EXISTS inventario_movimientos (
+  id SERIAL PRIMARY KEY,
+  inventario_id INTEGER NOT NULL REFERENCES inventario(id),
+  tipo VARCHAR(30) NOT NULL CHECK (
+    tipo IN ('entrada', 'salida', 'ajuste', 'transferencia_entrada', 'transferencia_salida')
+  ),
+  cantidad INTEGER NOT NULL,
+  saldo INTEGER NOT NULL CHECK (saldo >= 0),
+  motivo TEXT NULL,
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  referencia_id INTEGER NULL REFERENCES inventario_movimientos(id) ON DELETE SET NULL,
+  fecha TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inv_mov_item_fecha ON inventario_movimientos (inventario_id, fecha);
+
+-- Existencia actual como saldo inicial de cada artículo
+INSERT INTO inventario_movimientos (inventario_id, tipo, cantidad, saldo, motivo, usuario_id)
+SELECT i.id, 'ajuste', i.cantidad_total, i.cantidad_total, 'Saldo inicial (migración)', i.usuario_id
+FROM inventario i
+WHERE COALESCE(i.cantidad_total, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM inventario_movimientos m WHERE m.inventario_id = i.id);
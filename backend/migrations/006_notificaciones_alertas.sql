@@ -0,0 +1,28 @@
+-- Notificaciones en la app (y webhook opcional) para alertas de inventario.
+CREATE TABLE IF NOT EXISTS suscripciones_alertas (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+  tipo VARCHAR(30) NOT NULL,
+  cliente_id INTEGER NULL REFERENCES clientes(id) ON DELETE CASCADE, -- NULL = todos sus clientes
+  webhook_url TEXT NULL,
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notificaciones (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+  tipo VARCHAR(30) NOT NULL,
+  titulo TEXT NOT NULL,
+  mensaje TEXT NULL,
+  datos JSONB NULL,
+  leida BOOLEAN NOT NULL DEFAULT FALSE,
+  webhook_url TEXT NULL,
+  webhook_enviado_at TIMESTAMP NULL,
+  webhook_intentos INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notificaciones_usuario ON notificaciones (usuario_id, leida, created_at);
+CREATE INDEX IF NOT EXISTS idx_notificaciones_webhook_pendiente
+  ON notificaciones (id) WHERE webhook_url IS NOT NULL AND webhook_enviado_at IS NULL;
@@ -0,0 +1,14 @@
+-- Vincula cada artículo de inventario con el EPP del catálogo que cubre,
+-- para el reporte de cobertura de EPP por puesto.
+ALTER TABLE inventario
+  ADD COLUMN IF NOT EXISTS epp_id INTEGER NULL REFERENCES equipo_proteccion(id);
+
+-- Artículos existentes: se vinculan por nombre cuando coincide exacto
+UPDATE inventario i
+SET epp_id = e.id
+FROM equipo_proteccion e
+WHERE i.epp_id IS NULL
+  AND (
+    LOWER(TRIM(i.tipo_producto)) = LOWER(TRIM(e.nombre))
+    OR LOWER(TRIM(i.nombre_producto)) = LOWER(TRIM(e.nombre))
+  );
@@ -0,0 +1,30 @@
+-- Registro de trabajadores por puesto. numero_usuarios del puesto se
+-- calcula con los activos una vez que el puesto tiene trabajadores.
+CREATE TABLE IF NOT EXISTS trabajadores (
+  id SERIAL PRIMARY KEY,
+  puesto_id INTEGER NOT NULL REFERENCES puestos_trabajo(id),
+  nombre VARCHAR(200) NOT NULL,
+  numero_empleado VARCHAR(50) NULL,
+  fecha_ingreso DATE NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  curp VARCHAR(18) NULL,
+  nss VARCHAR(11) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trabajadores_puesto ON trabajadores (puesto_id, activo);
+
+-- Un periodo por cada puesto en el que ha estado el trabajador
+CREATE TABLE IF NOT EXISTS trabajadores_historial (
+  id SERIAL PRIMARY KEY,
+  trabajador_id INTEGER NOT NULL REFERENCES trabajadores(id),
+  puesto_id INTEGER NULL,
+  area_id INTEGER NULL,
+  desde DATE NOT NULL DEFAULT CURRENT_DATE,
+  hasta DATE NULL,
+  motivo TEXT NULL,
+  usuario_id INTEGER NULL REFERENCES usuarios(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trab_historial_trabajador ON trabajadores_historial (trabajador_id);
@@ -0,0 +1,19 @@
+-- Constancias de entrega de EPP. Cada entrega descuenta el inventario con
+-- un movimiento de salida y guarda la firma de quien recibe.
+CREATE TABLE IF NOT EXISTS entregas_epp (
+  id SERIAL PRIMARY KEY,
+  inventario_id INTEGER NOT NULL REFERENCES inventario(id),
+  trabajador_id INTEGER NULL REFERENCES trabajadores(id) ON DELETE SET NULL,
+  receptor_nombre VARCHAR(200) NOT NULL,
+  puesto_id INTEGER NULL REFERENCES puestos_trabajo(id) ON DELETE SET NULL,
+  cantidad INTEGER NOT NULL CHECK (cantidad > 0),
+  fecha DATE NOT NULL DEFAULT CURRENT_DATE,
+  firma TEXT NOT NULL,
+  movimiento_id INTEGER NULL REFERENCES inventario_movimientos(id),
+  observaciones TEXT NULL,
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entregas_epp_puesto ON entregas_epp (puesto_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_entregas_epp_inventario ON entregas_epp (inventario_id);
@@ -0,0 +1,14 @@
+-- Versiones de preguntas: editar crea una fila nueva con version + 1 y
+-- retira la anterior (vigente = FALSE). origen_id agrupa las versiones.
+ALTER TABLE cuestionario_preguntas
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS vigente BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS origen_id INTEGER NULL REFERENCES cuestionario_preguntas(id);
+
+UPDATE cuestionario_preguntas SET origen_id = id WHERE origen_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_preguntas_subopcion ON cuestionario_preguntas (subopcion_tipo, vigente);
+
+-- Cada respuesta apunta a la versión exacta de la pregunta
+ALTER TABLE cuestionarios
+  ADD COLUMN IF NOT EXISTS pregunta_id INTEGER NULL REFERENCES cuestionario_preguntas(id);
@@ -0,0 +1,15 @@
+-- Regla de cumplimiento por pregunta (por versión)
+ALTER TABLE cuestionario_preguntas
+  ADD COLUMN IF NOT EXISTS tipo_respuesta VARCHAR(20) NOT NULL DEFAULT 'texto'
+    CHECK (tipo_respuesta IN ('texto', 'si_no', 'numerica', 'opcion_multiple')),
+  ADD COLUMN IF NOT EXISTS respuesta_cumple TEXT NULL,
+  ADD COLUMN IF NOT EXISTS minimo NUMERIC NULL,
+  ADD COLUMN IF NOT EXISTS maximo NUMERIC NULL,
+  ADD COLUMN IF NOT EXISTS opciones JSONB NULL,
+  ADD COLUMN IF NOT EXISTS opciones_cumplen JSONB NULL,
+  ADD COLUMN IF NOT EXISTS peso NUMERIC NOT NULL DEFAULT 1 CHECK (peso > 0);
+
+-- Resultado calculado al guardar el cuestionario
+ALTER TABLE cuestionarios_info
+  ADD COLUMN IF NOT EXISTS cumplimiento NUMERIC(5, 2) NULL,
+  ADD COLUMN IF NOT EXISTS incumplimientos JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,15 @@
+-- Revisión vigente del cuestionario y copia de cada estado anterior
+ALTER TABLE cuestionarios_info
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NULL;
+
+CREATE TABLE IF NOT EXISTS cuestionarios_revisiones (
+  id SERIAL PRIMARY KEY,
+  info_id INTEGER NOT NULL REFERENCES cuestionarios_info(id),
+  revision INTEGER NOT NULL,
+  datos JSONB NOT NULL,
+  motivo TEXT NULL,
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (info_id, revision)
+);
@@ -0,0 +1,17 @@
+-- Galería de evidencias fotográficas: cada foto pertenece a un cuestionario
+-- o a un área. pregunta_id la liga opcionalmente a una pregunta.
+CREATE TABLE IF NOT EXISTS evidencias (
+  id SERIAL PRIMARY KEY,
+  cuestionario_info_id INTEGER NULL REFERENCES cuestionarios_info(id),
+  area_id INTEGER NULL REFERENCES areas_trabajo(id),
+  archivo TEXT NOT NULL,
+  descripcion TEXT NULL,
+  pregunta_id INTEGER NULL REFERENCES cuestionario_preguntas(id),
+  orden INTEGER NOT NULL DEFAULT 0,
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((cuestionario_info_id IS NULL) <> (area_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidencias_cuestionario ON evidencias (cuestionario_info_id, orden);
+CREATE INDEX IF NOT EXISTS idx_evidencias_area ON evidencias (area_id, orden);
@@ -0,0 +1,11 @@
+-- Versiones optimizadas de cada imagen subida, identificadas por la ruta
+-- del original tal como se guarda en la tabla que la referencia
+CREATE TABLE IF NOT EXISTS imagenes_variantes (
+  archivo TEXT PRIMARY KEY,
+  web TEXT NOT NULL,
+  miniatura TEXT NOT NULL,
+  ancho INTEGER NULL,
+  alto INTEGER NULL,
+  exif_conservado BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,24 @@
+-- Metadatos y versiones de los reportes NOM. Reemplazar un reporte inserta
+-- una fila nueva (version + 1) y marca la anterior como no vigente;
+-- origen_id agrupa las versiones del mismo documento.
+ALTER TABLE reportes_nom
+  ADD COLUMN IF NOT EXISTS nom VARCHAR(50) NULL,
+  ADD COLUMN IF NOT EXISTS periodo_inicio DATE NULL,
+  ADD COLUMN IF NOT EXISTS periodo_fin DATE NULL,
+  ADD COLUMN IF NOT EXISTS area_id INTEGER NULL REFERENCES areas_trabajo(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS puesto_id INTEGER NULL REFERENCES puestos_trabajo(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS consultor VARCHAR(200) NULL,
+  ADD COLUMN IF NOT EXISTS fuente VARCHAR(20) NOT NULL DEFAULT 'manual'
+    CHECK (fuente IN ('manual', 'generado')),
+  ADD COLUMN IF NOT EXISTS usuario_id INTEGER NULL REFERENCES usuarios(id),
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS vigente BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS origen_id INTEGER NULL REFERENCES reportes_nom(id),
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+UPDATE reportes_nom SET origen_id = id WHERE origen_id IS NULL;
+
+UPDATE reportes_nom SET fuente = 'generado'
+WHERE tipo_documento = 'REPORTE_CONSOLIDADO';
+
+CREATE INDEX IF NOT EXISTS idx_reportes_nom_cliente ON reportes_nom (cliente_id, vigente);
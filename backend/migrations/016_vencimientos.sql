@@ -0,0 +1,26 @@
+-- Fechas de emisión y vencimiento de los documentos
+ALTER TABLE inventario
+  ADD COLUMN IF NOT EXISTS ficha_tecnica_emision DATE NULL,
+  ADD COLUMN IF NOT EXISTS ficha_tecnica_vencimiento DATE NULL,
+  ADD COLUMN IF NOT EXISTS certificado_emision DATE NULL,
+  ADD COLUMN IF NOT EXISTS certificado_vencimiento DATE NULL;
+
+ALTER TABLE documentos_cuestionario
+  ADD COLUMN IF NOT EXISTS fecha_emision DATE NULL,
+  ADD COLUMN IF NOT EXISTS fecha_vencimiento DATE NULL;
+
+ALTER TABLE reportes_nom
+  ADD COLUMN IF NOT EXISTS fecha_emision DATE NULL,
+  ADD COLUMN IF NOT EXISTS fecha_vencimiento DATE NULL;
+
+-- Avisos ya enviados por el job diario (uno por documento, fecha y umbral)
+CREATE TABLE IF NOT EXISTS avisos_vencimiento (
+  id SERIAL PRIMARY KEY,
+  tabla VARCHAR(50) NOT NULL,
+  registro_id INTEGER NOT NULL,
+  documento VARCHAR(50) NOT NULL,
+  fecha_vencimiento DATE NOT NULL,
+  umbral INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (tabla, registro_id, documento, fecha_vencimiento, umbral)
+);
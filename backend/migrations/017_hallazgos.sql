@@ -0,0 +1,30 @@
+-- Hallazgos y acciones correctivas ligados a un cuestionario
+CREATE TABLE IF NOT EXISTS hallazgos (
+  id SERIAL PRIMARY KEY,
+  cuestionario_info_id INTEGER NOT NULL REFERENCES cuestionarios_info(id),
+  -- Respuesta opcional; el texto se copia porque editar el cuestionario
+  -- reemplaza las respuestas
+  respuesta_id INTEGER NULL REFERENCES cuestionarios(id) ON DELETE SET NULL,
+  pregunta_id INTEGER NULL,
+  pregunta TEXT NULL,
+  respuesta TEXT NULL,
+  descripcion TEXT NOT NULL,
+  responsable VARCHAR(255) NULL,
+  fecha_compromiso DATE NULL,
+  prioridad VARCHAR(20) NOT NULL DEFAULT 'media'
+    CHECK (prioridad IN ('baja', 'media', 'alta', 'critica')),
+  estado VARCHAR(20) NOT NULL DEFAULT 'abierto'
+    CHECK (estado IN ('abierto', 'en_proceso', 'cerrado')),
+  evidencia_cierre TEXT NULL,
+  comentario_cierre TEXT NULL,
+  cerrado_at TIMESTAMP NULL,
+  cerrado_por INTEGER NULL REFERENCES usuarios(id),
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (estado <> 'cerrado' OR evidencia_cierre IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hallazgos_info ON hallazgos (cuestionario_info_id);
+CREATE INDEX IF NOT EXISTS idx_hallazgos_abiertos ON hallazgos (fecha_compromiso)
+  WHERE estado <> 'cerrado';
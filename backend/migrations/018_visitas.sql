@@ -0,0 +1,35 @@
+-- Visitas de inspección programadas por cliente
+CREATE TABLE IF NOT EXISTS visitas (
+  id SERIAL PRIMARY KEY,
+  cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+  area_id INTEGER NULL REFERENCES areas_trabajo(id),
+  nom VARCHAR(50) NULL,
+  consultor_id INTEGER NULL REFERENCES usuarios(id),
+  -- Con zona horaria para que el feed .ics las publique en UTC
+  fecha_programada TIMESTAMPTZ NOT NULL,
+  duracion_minutos INTEGER NOT NULL DEFAULT 120,
+  estado VARCHAR(20) NOT NULL DEFAULT 'programada'
+    CHECK (estado IN ('programada', 'realizada', 'cancelada')),
+  notas TEXT NULL,
+  -- Cada cuántos meses se repite (NULL = no se repite)
+  recurrencia_meses INTEGER NULL,
+  visita_anterior_id INTEGER NULL UNIQUE REFERENCES visitas(id),
+  usuario_id INTEGER NULL REFERENCES usuarios(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_visitas_cliente ON visitas (cliente_id);
+CREATE INDEX IF NOT EXISTS idx_visitas_consultor
+  ON visitas (consultor_id, fecha_programada);
+
+-- Cuestionarios levantados durante la visita
+CREATE TABLE IF NOT EXISTS visitas_cuestionarios (
+  visita_id INTEGER NOT NULL REFERENCES visitas(id),
+  cuestionario_info_id INTEGER NOT NULL REFERENCES cuestionarios_info(id),
+  PRIMARY KEY (visita_id, cuestionario_info_id)
+);
+
+-- Token del feed de calendario de cada usuario
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS calendario_token VARCHAR(64) NULL UNIQUE;
@@ -0,0 +1,11 @@
+-- Las notificaciones solo se muestran en la app: los webhooks permitían
+-- que el servidor hiciera peticiones a cualquier URL (incluidas internas)
+DROP INDEX IF EXISTS idx_notificaciones_webhook_pendiente;
+
+ALTER TABLE notificaciones
+  DROP COLUMN IF EXISTS webhook_url,
+  DROP COLUMN IF EXISTS webhook_enviado_at,
+  DROP COLUMN IF EXISTS webhook_intentos;
+
+ALTER TABLE suscripciones_alertas
+  DROP COLUMN IF EXISTS webhook_url;
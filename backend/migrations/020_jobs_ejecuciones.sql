@@ -0,0 +1,5 @@
+-- Última ejecución de los jobs diarios (papelera, vencimientos)
+CREATE TABLE IF NOT EXISTS jobs_ejecuciones (
+  nombre VARCHAR(50) PRIMARY KEY,
+  ultima_ejecucion TIMESTAMPTZ NULL
+);
@@ -0,0 +1,194 @@
+// ------------------- MIGRAR ARCHIVOS ENTRE ALMACENAMIENTOS -------------------
+// Copia todos los archivos referenciados en la BD de un backend a otro y
+// normaliza las rutas guardadas a /uploads/<clave>.
+//
+//   npm run migrar-archivos -- --origen local --destino s3
+//   npm run migrar-archivos -- --origen local --destino s3 --simular
+//   npm run migrar-archivos -- --origen local --destino s3 --eliminar-origen
+//
+// El origen local usa UPLOADS_DIR_ORIGEN o la misma carpeta que el servidor.
+// El destino S3 toma las variables S3_* del entorno.
+
+require("dotenv").config();
+const path = require("path");
+const { Pool } = require("pg");
+const {
+  crearAlmacenamiento,
+  claveDeRuta,
+  rutaDeClave,
+} = require("../almacenamiento");
+
+// Tablas y columnas que guardan rutas de archivos
+const COLUMNAS_ARCHIVO = [
+  ["areas_trabajo", "image"],
+  ["cuestionarios_info", "image"],
+  ["documentos_cuestionario", "archivo"],
+  ["inventario", "ficha_tecnica"],
+  ["inventario", "certificado"],
+  ["entregas_epp", "firma"],
+  ["evidencias", "archivo"],
+  ["hallazgos", "evidencia_cierre"],
+  ["reportes_nom", "archivo"],
+  ["imagenes_variantes", "archivo"],
+  ["imagenes_variantes", "web"],
+  ["imagenes_variantes", "miniatura"],
+];
+
+const leerArgumentos = (argv) => {
+  const valor = (nombre) => {
+    const i = argv.indexOf(`--${nombre}`);
+    return i === -1 ? undefined : argv[i + 1];
+  };
+
+  return {
+    origen: valor("origen") || "local",
+    destino: valor("destino") || process.env.ALMACENAMIENTO || "s3",
+    simular: argv.includes("--simular"),
+    eliminarOrigen: argv.includes("--eliminar-origen"),
+  };
+};
+
+// Rutas guardadas de otras formas (URL completa, ruta física de Render,
+// solo el nombre) → /uploads/<clave>
+const normalizarRuta = (ruta) => {
+  const i = ruta.indexOf("/uploads/");
+
+  if (i !== -1) return rutaDeClave(ruta.slice(i + "/uploads/".length));
+
+  return rutaDeClave(ruta.replace(/^\/+/, ""));
+};
+
+const directorioLocal = () =>
+  process.env.UPLOADS_DIR_ORIGEN ||
+  (process.env.RENDER ? "/uploads" : path.join(__dirname, "..", "uploads"));
+
+const migrar = async ({ origen, destino, simular, eliminarOrigen }) => {
+  if (origen === destino && !process.env.UPLOADS_DIR_ORIGEN) {
+    throw new Error("origen y destino son el mismo almacenamiento");
+  }
+
+  const db = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false,
+    },
+  });
+
+  const desde = crearAlmacenamiento(origen, { directorio: directorioLocal() });
+  const hacia = crearAlmacenamiento(destino, {
+    directorio: process.env.RENDER
+      ? "/uploads"
+      : path.join(__dirname, "..", "uploads"),
+  });
+
+  const resumen = { copiados: 0, reescritos: 0, faltantes: [] };
+  const copiados = new Set();
+
+  // false si el archivo no existe en el origen
+  const copiar = async (clave) => {
+    if (copiados.has(clave)) return true;
+
+    try {
+      const contenido = await desde.leer(clave);
+
+      if (!simular) await hacia.guardar(clave, contenido);
+    } catch (err) {
+      if (err.status === 404) return false;
+      throw err;
+    }
+
+    copiados.add(clave);
+    resumen.copiados++;
+    return true;
+  };
+
+  try {
+    for (const [tabla, columna] of COLUMNAS_ARCHIVO) {
+      const { rows } = await db.query(
+        `SELECT DISTINCT ${columna} AS ruta FROM ${tabla}
+        WHERE ${columna} IS NOT NULL AND ${columna} <> ''`,
+      );
+
+      for (const { ruta } of rows) {
+        const normalizada = normalizarRuta(ruta);
+
+        if (!(await copiar(claveDeRuta(normalizada)))) {
+          resumen.faltantes.push(`${tabla}.${columna}: ${ruta}`);
+          continue;
+        }
+
+        if (normalizada !== ruta) {
+          if (!simular) {
+            await db.query(
+              `UPDATE ${tabla} SET ${columna} = $1 WHERE ${columna} = $2`,
+              [normalizada, ruta],
+            );
+          }
+
+          resumen.reescritos++;
+        }
+      }
+    }
+
+    // Las revisiones guardan la imagen dentro del JSON
+    const revisiones = await db.query(
+      `SELECT id, datos->>'image' AS ruta FROM cuestionarios_revisiones
+      WHERE datos->>'image' IS NOT NULL`,
+    );
+
+    for (const { id, ruta } of revisiones.rows) {
+      const normalizada = normalizarRuta(ruta);
+
+      if (!(await copiar(claveDeRuta(normalizada)))) {
+        resumen.faltantes.push(`cuestionarios_revisiones.datos: ${ruta}`);
+        continue;
+      }
+
+      if (normalizada !== ruta) {
+        if (!simular) {
+          await db.query(
+            `UPDATE cuestionarios_revisiones
+            SET datos = jsonb_set(datos, '{image}', to_jsonb($1::text))
+            WHERE id = $2`,
+            [normalizada, id],
+          );
+        }
+
+        resumen.reescritos++;
+      }
+    }
+
+    // Solo se borra del origen lo que se copió; los faltantes no existen
+    if (eliminarOrigen && !simular) {
+      for (const clave of copiados) {
+        await desde.eliminar(clave);
+      }
+    }
+  } finally {
+    await db.end();
+  }
+
+  return resumen;
+};
+
+if (require.main === module) {
+  const argumentos = leerArgumentos(process.argv.slice(2));
+
+  migrar(argumentos)
+    .then(({ copiados, reescritos, faltantes }) => {
+      console.log(
+        `${argumentos.simular ? "(simulación) " : ""}✔ ${copiados} archivos copiados de ${argumentos.origen} a ${argumentos.destino}, ${reescritos} rutas reescritas`,
+      );
+
+      if (faltantes.length > 0) {
+        console.warn(`⚠ ${faltantes.length} archivos no existen en el origen:`);
+        faltantes.forEach((f) => console.warn(`  ${f}`));
+      }
+    })
+    .catch((err) => {
+      console.error("❌ Error migrando archivos:", err.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { migrar, normalizarRuta };
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const {
+  simularDb,
+  iniciarServidor,
+  conToken,
+  CONSULTOR,
+} = require("./helpers");
+
+const USUARIO = {
+  id: 7,
+  usuario: "consultor",
+  rol: "consultor",
+  password: bcrypt.hashSync("secreta", 4),
+};
+
+describe("autenticación", () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor();
+  });
+
+  after(() => servidor.cerrar());
+
+  const login = (usuario, password) =>
+    fetch(`${servidor.url}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ usuario, password }),
+    });
+
+  it("rechaza las rutas protegidas sin token", async () => {
+    simularDb();
+
+    const res = await fetch(`${servidor.url}/clientes`);
+
+    assert.equal(res.status, 401);
+    assert.deepEqual(await res.json(), { error: "Token requerido" });
+  });
+
+  it("rechaza tokens firmados con otro secreto", async () => {
+    simularDb();
+
+    const token = jwt.sign({ id: 7, rol: "admin" }, "otro-secreto");
+    const res = await fetch(`${servidor.url}/clientes`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("acepta un token válido en las rutas protegidas", async () => {
+    simularDb(() => []);
+
+    const res = await fetch(`${servidor.url}/clientes`, conToken(CONSULTOR));
+
+    assert.equal(res.status, 200);
+  });
+
+  it("inicia sesión con el hash de bcrypt y no regresa la contraseña", async () => {
+    simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios") ? [USUARIO] : [],
+    );
+
+    const res = await login("consultor", "secreta");
+    const cuerpo = await res.json();
+
+    assert.equal(cuerpo.success, true);
+    assert.equal(cuerpo.usuario.password, undefined);
+
+    const payload = jwt.verify(cuerpo.accessToken, process.env.JWT_SECRET);
+    assert.equal(payload.id, 7);
+    assert.equal(payload.rol, "consultor");
+
+    const refresh = jwt.verify(
+      cuerpo.refreshToken,
+      process.env.JWT_REFRESH_SECRET,
+    );
+    assert.equal(refresh.tipo, "refresh");
+  });
+
+  it("rechaza una contraseña incorrecta sin emitir tokens", async () => {
+    simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios") ? [USUARIO] : [],
+    );
+
+    const cuerpo = await (await login("consultor", "otra")).json();
+
+    assert.deepEqual(cuerpo, { success: false, usuario: null });
+  });
+
+  it("rechaza un usuario que no existe", async () => {
+    simularDb(() => []);
+
+    const cuerpo = await (await login("nadie", "secreta")).json();
+
+    assert.equal(cuerpo.success, false);
+  });
+
+  it("rehashea las contraseñas antiguas en texto plano", async () => {
+    const consultas = simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios")
+        ? [{ ...USUARIO, password: "plana" }]
+        : [],
+    );
+
+    const cuerpo = await (await login("consultor", "plana")).json();
+
+    assert.equal(cuerpo.success, true);
+
+    const update = consultas.find((c) =>
+      c.sql.startsWith("UPDATE usuarios SET password"),
+    );
+    assert.ok(update);
+    assert.ok(await bcrypt.compare("plana", update.params[0]));
+    assert.equal(update.params[1], 7);
+  });
+
+  it("renueva los tokens con el refresh token", async () => {
+    simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios") ? [USUARIO] : [],
+    );
+
+    const { refreshToken } = await (await login("consultor", "secreta")).json();
+
+    const res = await fetch(`${servidor.url}/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    const cuerpo = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.ok(jwt.verify(cuerpo.accessToken, process.env.JWT_SECRET));
+  });
+
+  it("no acepta el access token como refresh token", async () => {
+    simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios") ? [USUARIO] : [],
+    );
+
+    const { accessToken } = await (await login("consultor", "secreta")).json();
+
+    const res = await fetch(`${servidor.url}/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken: accessToken }),
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("no renueva tokens de usuarios eliminados", async () => {
+    simularDb((sql) =>
+      sql.startsWith("SELECT * FROM usuarios WHERE usuario") ? [USUARIO] : [],
+    );
+
+    const { refreshToken } = await (await login("consultor", "secreta")).json();
+
+    const res = await fetch(`${servidor.url}/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    assert.equal(res.status, 401);
+  });
+});
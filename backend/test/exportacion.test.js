@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+// helpers primero: define las variables de entorno antes de cargar la app
+const {
+  simularDb,
+  iniciarServidor,
+  conToken,
+  CONSULTOR,
+  OTRO_CONSULTOR,
+} = require("./helpers");
+const { textoCsv, hojasPorGrupo } = require("../index");
+
+const COLUMNAS = [
+  { titulo: "Nombre", valor: (f) => f.nombre },
+  { titulo: "Riesgos", valor: (f) => f.riesgos },
+  { titulo: "Fecha", valor: (f) => f.fecha, tipo: "fecha" },
+];
+
+const ARTICULOS = [
+  {
+    id: 1,
+    clave_producto: "001",
+    nombre_producto: "Casco",
+    nombre_area: "Almacén",
+    puesto: "Montacarguista",
+    cantidad_total: 2,
+    cantidad_min: 5,
+    cantidad_max: 20,
+    certificado_vencimiento: new Date("2027-03-31T12:00:00Z"),
+  },
+  {
+    id: 2,
+    clave_producto: "002",
+    nombre_producto: "Guantes, nitrilo",
+    nombre_area: "Almacén",
+    puesto: "Montacarguista",
+    cantidad_total: 10,
+    cantidad_min: 5,
+    cantidad_max: 20,
+  },
+];
+
+const responder = (sql, [id]) => {
+  if (
+    sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM clientes c")
+  ) {
+    return String(id) === "10" ? [{ usuario_id: 7, cliente_id: 10 }] : [];
+  }
+
+  if (sql.startsWith("SELECT i.*, c.nombre_empresa")) return ARTICULOS;
+
+  return [];
+};
+
+describe("exportación a Excel / CSV", () => {
+  describe("textoCsv", () => {
+    it("lleva BOM, encabezados y renglones separados por CRLF", () => {
+      const csv = textoCsv([
+        { columnas: COLUMNAS, filas: [{ nombre: "Casco", riesgos: null }] },
+      ]);
+
+      assert.equal(csv, "\uFEFFNombre,Riesgos,Fecha\r\nCasco,,\r\n");
+    });
+
+    it("escapa comillas, comas y saltos de línea", () => {
+      const csv = textoCsv([
+        {
+          columnas: COLUMNAS,
+          filas: [{ nombre: 'Casco "tipo I", clase E', riesgos: "a\nb" }],
+        },
+      ]);
+
+      assert.equal(csv.split("\r\n")[1], '"Casco ""tipo I"", clase E","a\nb",');
+    });
+
+    it("neutraliza el texto que Excel tomaría como fórmula", () => {
+      const csv = textoCsv([
+        {
+          columnas: COLUMNAS,
+          filas: [{ nombre: '=HYPERLINK("x")', riesgos: "+1" }],
+        },
+      ]);
+
+      assert.equal(csv.split("\r\n")[1], '"\'=HYPERLINK(""x"")",\'+1,');
+    });
+
+    it("une listas con ; y escribe las fechas como AAAA-MM-DD", () => {
+      const csv = textoCsv([
+        {
+          columnas: COLUMNAS,
+          filas: [
+            {
+              nombre: "Soldador",
+              riesgos: ["Ruido", null, "Polvo"],
+              fecha: new Date(2026, 0, 5),
+            },
+          ],
+        },
+      ]);
+
+      assert.equal(csv.split("\r\n")[1], "Soldador,Ruido; Polvo,2026-01-05");
+    });
+
+    it("junta todas las hojas en un solo archivo", () => {
+      const csv = textoCsv([
+        { columnas: COLUMNAS, filas: [{ nombre: "A" }] },
+        { columnas: COLUMNAS, filas: [{ nombre: "B" }] },
+      ]);
+
+      assert.deepEqual(csv.trim().split("\r\n").slice(1), ["A,,", "B,,"]);
+    });
+  });
+
+  describe("hojasPorGrupo", () => {
+    it("arma una hoja por valor de la clave", () => {
+      const hojas = hojasPorGrupo(
+        [
+          { area: "Almacén", nombre: "A" },
+          { area: "Taller", nombre: "B" },
+          { area: "Almacén", nombre: "C" },
+        ],
+        "area",
+        COLUMNAS,
+        "Sin datos",
+      );
+
+      assert.deepEqual(
+        hojas.map((h) => [h.nombre, h.filas.map((f) => f.nombre)]),
+        [
+          ["Almacén", ["A", "C"]],
+          ["Taller", ["B"]],
+        ],
+      );
+    });
+
+    it("deja una hoja vacía con encabezados si no hay filas", () => {
+      const hojas = hojasPorGrupo([], "area", COLUMNAS, "Sin datos");
+
+      assert.deepEqual(hojas, [
+        { nombre: "Sin datos", columnas: COLUMNAS, filas: [] },
+      ]);
+    });
+  });
+
+  describe("GET /inventario/:clienteId?format=", () => {
+    let servidor;
+
+    before(async () => {
+      servidor = await iniciarServidor();
+    });
+
+    after(() => servidor.cerrar());
+
+    const exportar = (formato, usuario = CONSULTOR) =>
+      fetch(
+        `${servidor.url}/inventario/10?format=${formato}`,
+        conToken(usuario),
+      );
+
+    it("descarga el CSV con el estado de cada artículo", async () => {
+      simularDb(responder);
+
+      const res = await exportar("csv");
+      // text() quitaría el BOM
+      const lineas = Buffer.from(await res.arrayBuffer())
+        .toString("utf8")
+        .split("\r\n");
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^text\/csv/);
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="inventario-cliente-10.csv"',
+      );
+      assert.match(lineas[0], /^\uFEFFClave,Producto,/);
+      assert.match(lineas[1], /^001,Casco,.*,Bajo mínimo,2027-03-31,/);
+      assert.match(lineas[2], /^002,"Guantes, nitrilo",.*,OK,/);
+    });
+
+    it("descarga un libro de Excel legible", async () => {
+      simularDb(responder);
+
+      const res = await exportar("xlsx");
+
+      assert.equal(res.status, 200);
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="inventario-cliente-10.xlsx"',
+      );
+
+      const libro = new ExcelJS.Workbook();
+      await libro.xlsx.load(Buffer.from(await res.arrayBuffer()));
+      const [hoja] = libro.worksheets;
+
+      assert.equal(hoja.name, "Inventario");
+      assert.equal(hoja.getCell("A1").text, "Clave");
+      assert.equal(hoja.getCell("B2").text, "Casco");
+      assert.equal(hoja.getCell("J2").text, "Bajo mínimo");
+      assert.equal(hoja.rowCount, 3);
+    });
+
+    it("rechaza formatos desconocidos", async () => {
+      simularDb(responder);
+
+      const res = await exportar("pdf");
+
+      assert.equal(res.status, 400);
+    });
+
+    it("no exporta el inventario de clientes ajenos", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await exportar("csv", OTRO_CONSULTOR);
+
+      assert.equal(res.status, 403);
+      assert.ok(!consultas.some((c) => c.sql.includes("FROM inventario i")));
+    });
+  });
+});
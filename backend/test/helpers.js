@@ -0,0 +1,99 @@
+// Utilidades de las pruebas: la app se importa sin abrir el puerto ni
+// correr los jobs, y la base de datos se sustituye por un responder en
+// memoria. No hace falta PostgreSQL.
+const { once } = require("events");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "secreto-de-pruebas";
+process.env.JWT_REFRESH_SECRET = "secreto-refresh-de-pruebas";
+process.env.BCRYPT_ROUNDS = "4";
+
+const { app, db } = require("../index");
+
+// Las consultas se comparan sin saltos de línea ni sangría
+const compactar = (sql) => sql.replace(/\s+/g, " ").trim();
+
+// responder(sql, params) regresa las filas (o nada) de cada consulta.
+// Regresa la lista de consultas ejecutadas { sql, params }.
+const simularDb = (responder = () => []) => {
+  const consultas = [];
+
+  const query = async (sql, params = []) => {
+    const consulta = { sql: compactar(sql), params };
+    consultas.push(consulta);
+
+    const rows = (await responder(consulta.sql, params)) || [];
+    return { rows, rowCount: rows.length };
+  };
+
+  db.query = query;
+  db.connect = async () => ({ query, release: () => {} });
+
+  return consultas;
+};
+
+// Cliente de transacción para las funciones que reciben `client`
+const simularCliente = (responder = () => []) => {
+  const consultas = [];
+
+  return {
+    consultas,
+    query: async (sql, params = []) => {
+      const consulta = { sql: compactar(sql), params };
+      consultas.push(consulta);
+
+      const rows = (await responder(consulta.sql, params)) || [];
+      return { rows, rowCount: rows.length };
+    },
+  };
+};
+
+const iniciarServidor = async () => {
+  const servidor = app.listen(0, "127.0.0.1");
+  await once(servidor, "listening");
+
+  return {
+    url: `http://127.0.0.1:${servidor.address().port}`,
+    cerrar: () => {
+      servidor.closeAllConnections();
+      return new Promise((resolve) => servidor.close(resolve));
+    },
+  };
+};
+
+const tokenDe = (usuario) =>
+  jwt.sign(
+    { id: usuario.id, usuario: usuario.usuario, rol: usuario.rol },
+    process.env.JWT_SECRET,
+  );
+
+const CONSULTOR = { id: 7, usuario: "consultor", rol: "consultor" };
+const OTRO_CONSULTOR = { id: 8, usuario: "otro", rol: "consultor" };
+const ADMIN = { id: 1, usuario: "admin", rol: "admin" };
+
+const conToken = (usuario, opciones = {}) => ({
+  ...opciones,
+  headers: {
+    ...opciones.headers,
+    Authorization: `Bearer ${tokenDe(usuario)}`,
+  },
+});
+
+const enviarJson = (usuario, metodo, cuerpo) =>
+  conToken(usuario, {
+    method: metodo,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(cuerpo),
+  });
+
+module.exports = {
+  simularDb,
+  simularCliente,
+  iniciarServidor,
+  tokenDe,
+  conToken,
+  enviarJson,
+  CONSULTOR,
+  OTRO_CONSULTOR,
+  ADMIN,
+};
@@ -0,0 +1,389 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+// helpers primero: define las variables de entorno antes de cargar la app
+const {
+  simularDb,
+  simularCliente,
+  iniciarServidor,
+  conToken,
+  CONSULTOR,
+  OTRO_CONSULTOR,
+} = require("./helpers");
+const {
+  leerArchivoImportacion,
+  validarImportacion,
+  vistaPreviaImportacion,
+} = require("../index");
+
+const ENCABEZADOS_ESTRUCTURA =
+  "Área,Descripción área,Encargado,Contacto,Puesto,Descripción puesto,Trabajadores,Riesgos,EPP,Criterio EPP";
+const ENCABEZADOS_INVENTARIO =
+  "Clave,Producto,Marca,Tipo,Descripción,Área,Puesto,EPP,Mínimo,Máximo,Existencia";
+
+const csv = (...lineas) => ({
+  originalname: "importar.csv",
+  buffer: Buffer.from(lineas.join("\r\n")),
+});
+
+// Catálogos y estructura actual del cliente 10: "Almacén" / "Montacarguista"
+const responder = (sql, params) => {
+  if (
+    sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM clientes c")
+  ) {
+    return String(params[0]) === "10"
+      ? [{ usuario_id: 7, cliente_id: 10 }]
+      : [];
+  }
+
+  if (sql === "SELECT id, nombre FROM riesgos_laborales") {
+    return [
+      { id: 1, nombre: "Ruido" },
+      { id: 2, nombre: "Caída de objetos" },
+    ];
+  }
+
+  if (sql === "SELECT id, nombre FROM equipo_proteccion") {
+    return [
+      { id: 3, nombre: "Casco" },
+      { id: 4, nombre: "Tapones auditivos" },
+    ];
+  }
+
+  if (sql.startsWith("SELECT a.id AS area_id")) {
+    return [
+      {
+        area_id: 100,
+        nombre_area: "Almacén",
+        puesto_id: 1000,
+        puesto: "Montacarguista",
+      },
+    ];
+  }
+
+  if (sql.startsWith("INSERT INTO areas_trabajo")) return [{ id: 101 }];
+  if (sql.startsWith("INSERT INTO puestos_trabajo")) return [{ id: 1001 }];
+  if (sql.startsWith("INSERT INTO inventario (")) return [{ id: 500 }];
+
+  if (sql.startsWith("SELECT * FROM inventario WHERE id = $1")) {
+    return [{ id: 500, cliente_id: 10, cantidad_total: 0, cantidad_min: null }];
+  }
+
+  if (sql.startsWith("INSERT INTO inventario_movimientos")) {
+    return [{ id: 1, saldo: params[3] }];
+  }
+
+  return [];
+};
+
+const erroresDe = (plan) =>
+  Object.fromEntries(
+    plan.errores.map(({ hoja, fila, errores }) => [`${hoja} ${fila}`, errores]),
+  );
+
+describe("importación masiva", () => {
+  describe("leerArchivoImportacion", () => {
+    it("reconoce el CSV de inventario por sus encabezados", async () => {
+      const hojas = await leerArchivoImportacion(
+        csv(
+          "clave,PRODUCTO,area,puesto,existencia",
+          "001,Casco,Almacén,Montacarguista,12",
+        ),
+      );
+
+      assert.deepEqual(hojas.estructura, []);
+      assert.deepEqual(hojas.inventario, [
+        {
+          fila: 2,
+          clave_producto: "001",
+          nombre_producto: "Casco",
+          nombre_area: "Almacén",
+          puesto: "Montacarguista",
+          cantidad_total: "12",
+        },
+      ]);
+    });
+
+    it("lee las dos hojas del XLSX de la plantilla", async () => {
+      const libro = new ExcelJS.Workbook();
+      libro
+        .addWorksheet("Estructura")
+        .addRows([ENCABEZADOS_ESTRUCTURA.split(","), ["Taller"]]);
+      libro
+        .addWorksheet("Inventario")
+        .addRows([ENCABEZADOS_INVENTARIO.split(","), ["", "Casco"], []]);
+
+      const hojas = await leerArchivoImportacion({
+        originalname: "plantilla.XLSX",
+        buffer: Buffer.from(await libro.xlsx.writeBuffer()),
+      });
+
+      assert.equal(hojas.estructura.length, 1);
+      assert.equal(hojas.estructura[0].nombre_area, "Taller");
+      assert.equal(hojas.inventario.length, 1);
+      assert.equal(hojas.inventario[0].nombre_producto, "Casco");
+    });
+
+    it("rechaza archivos sin filas", async () => {
+      await assert.rejects(
+        leerArchivoImportacion(csv(ENCABEZADOS_ESTRUCTURA)),
+        { status: 400, message: "El archivo no tiene filas para importar" },
+      );
+    });
+  });
+
+  describe("validarImportacion", () => {
+    const validar = async (...lineas) =>
+      validarImportacion(
+        simularCliente(responder),
+        10,
+        await leerArchivoImportacion(csv(...lineas)),
+      );
+
+    it("agrega áreas y puestos nuevos con los ids del catálogo", async () => {
+      const plan = await validar(
+        ENCABEZADOS_ESTRUCTURA,
+        "Taller,,,,Soldador,,3,ruido; CAIDA DE OBJETOS,tapones auditivos,",
+        "  almacen ,,,,Estibador,,,,,",
+      );
+
+      assert.deepEqual(plan.errores, []);
+
+      const vista = vistaPreviaImportacion(plan);
+
+      assert.deepEqual(vista.resumen, {
+        areas_nuevas: 1,
+        puestos_nuevos: 2,
+        articulos: 0,
+      });
+      assert.deepEqual(
+        vista.puestos.map((p) => [p.nombre_area, p.puesto, p.riesgos, p.epp]),
+        [
+          ["Almacén", "Estibador", [], []],
+          ["Taller", "Soldador", [1, 2], [4]],
+        ],
+      );
+    });
+
+    it("marca por fila los nombres fuera de catálogo y los repetidos", async () => {
+      const plan = await validar(
+        ENCABEZADOS_ESTRUCTURA,
+        "Taller,,,,Soldador,,-1,Polvo,,",
+        "Taller,,,,soldador,,,,,",
+        "Almacén,,,,Montacarguista,,,,,",
+        ",,,,Pintor,,,,,",
+      );
+
+      assert.deepEqual(erroresDe(plan), {
+        "Estructura 2": [
+          "Trabajadores debe ser un número entero mayor o igual a 0",
+          "Riesgo no encontrado en el catálogo: Polvo",
+        ],
+        "Estructura 3": ["Puesto repetido en el archivo (fila 2)"],
+        "Estructura 4": ["El puesto ya existe en el área"],
+        "Estructura 5": ["Área es requerida"],
+      });
+    });
+
+    it("ubica el inventario en puestos existentes o del mismo archivo", async () => {
+      const libro = new ExcelJS.Workbook();
+      libro
+        .addWorksheet("Estructura")
+        .addRows([
+          ENCABEZADOS_ESTRUCTURA.split(","),
+          ["Taller", "", "", "", "Soldador"],
+        ]);
+      libro
+        .addWorksheet("Inventario")
+        .addRows([
+          ENCABEZADOS_INVENTARIO.split(","),
+          ["001", "Casco", "", "", "", "Almacén", "Montacarguista", "Casco"],
+          [
+            "002",
+            "Careta",
+            "",
+            "",
+            "",
+            "Taller",
+            "Soldador",
+            "",
+            "2",
+            "8",
+            "5",
+          ],
+          ["003", "Botas", "", "", "", "Taller", "Pintor"],
+          ["004", "Lentes", "", "", "", "Oficina", "Auxiliar", "", "9", "3"],
+        ]);
+
+      const plan = await validarImportacion(
+        simularCliente(responder),
+        10,
+        await leerArchivoImportacion({
+          originalname: "importar.xlsx",
+          buffer: Buffer.from(await libro.xlsx.writeBuffer()),
+        }),
+      );
+
+      assert.deepEqual(erroresDe(plan), {
+        "Inventario 4": ["El puesto no existe en el área: Pintor"],
+        "Inventario 5": [
+          "El área no existe: Oficina",
+          "Máximo no puede ser menor que Mínimo",
+        ],
+      });
+
+      const [casco, careta] = vistaPreviaImportacion(plan).inventario;
+
+      assert.equal(casco.puesto_id, 1000);
+      assert.equal(casco.epp_id, 3);
+      assert.equal(careta.puesto_id, null);
+      assert.equal(careta.puesto, "Soldador");
+      assert.equal(careta.cantidad_total, 5);
+    });
+  });
+
+  describe("rutas", () => {
+    let servidor;
+
+    before(async () => {
+      servidor = await iniciarServidor();
+    });
+
+    after(() => servidor.cerrar());
+
+    const importar = (
+      lineas,
+      { simular = false, usuario = CONSULTOR, nombre = "importar.csv" } = {},
+    ) => {
+      const form = new FormData();
+      form.set(
+        "archivo",
+        new Blob([lineas.join("\r\n")], { type: "text/csv" }),
+        nombre,
+      );
+      form.set("simular", String(simular));
+
+      return fetch(
+        `${servidor.url}/clientes/10/importar`,
+        conToken(usuario, { method: "POST", body: form }),
+      );
+    };
+
+    const inserciones = (consultas) =>
+      consultas.filter((c) => c.sql.startsWith("INSERT INTO"));
+
+    it("la simulación regresa la vista previa sin guardar nada", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar(
+        [ENCABEZADOS_ESTRUCTURA, "Taller,,,,Soldador,,,Ruido,,"],
+        { simular: true },
+      );
+      const cuerpo = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(cuerpo.simulacion, true);
+      assert.equal(cuerpo.valido, true);
+      assert.deepEqual(cuerpo.resumen, {
+        areas_nuevas: 1,
+        puestos_nuevos: 1,
+        articulos: 0,
+      });
+      assert.deepEqual(inserciones(consultas), []);
+      assert.equal(consultas.at(-1).sql, "ROLLBACK");
+    });
+
+    it("no importa nada si alguna fila tiene errores", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar([
+        ENCABEZADOS_ESTRUCTURA,
+        "Taller,,,,Soldador,,,,,",
+        "Taller,,,,Pintor,,,Radiación,,",
+      ]);
+      const cuerpo = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.equal(cuerpo.valido, false);
+      assert.equal(cuerpo.errores[0].fila, 3);
+      assert.deepEqual(inserciones(consultas), []);
+    });
+
+    it("guarda el inventario con su existencia inicial como movimiento", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar([
+        ENCABEZADOS_INVENTARIO,
+        "001,Casco,,,,Almacén,Montacarguista,Casco,,,12",
+      ]);
+
+      assert.equal(res.status, 200);
+
+      const [articulo] = consultas.filter((c) =>
+        c.sql.startsWith("INSERT INTO inventario ("),
+      );
+      const [movimiento] = consultas.filter((c) =>
+        c.sql.startsWith("INSERT INTO inventario_movimientos"),
+      );
+
+      assert.deepEqual(articulo.params.slice(-4), ["10", 100, 1000, 3]);
+      assert.deepEqual(movimiento.params.slice(0, 4), [500, "entrada", 12, 12]);
+      assert.equal(consultas.at(-1).sql, "COMMIT");
+    });
+
+    it("rechaza archivos que pasan el límite de la importación", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar([
+        ENCABEZADOS_ESTRUCTURA,
+        "x".repeat(5 * 1024 * 1024),
+      ]);
+
+      assert.equal(res.status, 413);
+      assert.deepEqual(await res.json(), {
+        error: "El archivo pasa el límite de 5 MB",
+      });
+      assert.ok(!consultas.some((c) => c.sql === "BEGIN"));
+    });
+
+    it("rechaza archivos que no son CSV ni XLSX", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar(
+        [ENCABEZADOS_ESTRUCTURA, "Taller,,,,Soldador,,,,,"],
+        { nombre: "importar.txt" },
+      );
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), {
+        error: "El archivo debe ser CSV o XLSX",
+      });
+      assert.ok(!consultas.some((c) => c.sql === "BEGIN"));
+    });
+
+    it("no deja importar a clientes ajenos", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await importar(
+        [ENCABEZADOS_ESTRUCTURA, "Taller,,,,Soldador,,,,,"],
+        { usuario: OTRO_CONSULTOR },
+      );
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(inserciones(consultas), []);
+    });
+
+    it("descarga la plantilla CSV con los encabezados que se importan", async () => {
+      simularDb(responder);
+
+      const res = await fetch(
+        `${servidor.url}/importar/plantilla?tipo=inventario&format=csv`,
+        conToken(CONSULTOR),
+      );
+      const texto = Buffer.from(await res.arrayBuffer()).toString("utf8");
+
+      assert.equal(res.status, 200);
+      assert.equal(texto, `\uFEFF${ENCABEZADOS_INVENTARIO}\r\n`);
+    });
+  });
+});
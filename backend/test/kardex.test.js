@@ -0,0 +1,338 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+// helpers primero: define las variables de entorno antes de cargar la app
+const {
+  simularDb,
+  simularCliente,
+  iniciarServidor,
+  conToken,
+  enviarJson,
+  CONSULTOR,
+} = require("./helpers");
+const { registrarMovimiento } = require("../index");
+
+const ARTICULO = {
+  id: 5,
+  cliente_id: 10,
+  nombre_producto: "Guantes",
+  cantidad_total: 10,
+  cantidad_min: 4,
+  cantidad_max: 50,
+};
+
+// Inventario 5 del cliente 10 (consultor 7), con un suscriptor a alertas
+const responderKardex =
+  (articulo = ARTICULO) =>
+  (sql, params) => {
+    if (
+      sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM inventario")
+    ) {
+      return String(params[0]) === "5"
+        ? [{ usuario_id: 7, cliente_id: 10 }]
+        : [];
+    }
+
+    if (sql.startsWith("SELECT * FROM inventario WHERE id = $1")) {
+      return String(params[0]) === "5" ? [articulo] : [];
+    }
+
+    if (sql.startsWith("INSERT INTO inventario_movimientos")) {
+      const [inventario_id, tipo, cantidad, saldo, motivo] = params;
+      return [{ id: 1, inventario_id, tipo, cantidad, saldo, motivo }];
+    }
+
+    if (sql.startsWith("SELECT s.usuario_id FROM suscripciones_alertas")) {
+      return [{ usuario_id: 7 }];
+    }
+
+    return [];
+  };
+
+// Artículos 5 y 6 del cliente 10, 8 del cliente 11; todos del consultor 7
+const ARTICULOS = {
+  5: ARTICULO,
+  6: { ...ARTICULO, id: 6, nombre_producto: "Guantes (taller)" },
+  8: { ...ARTICULO, id: 8, cliente_id: 11 },
+};
+
+const responderTransferencias = () => {
+  let siguienteId = 1;
+
+  return (sql, params) => {
+    const articulo = ARTICULOS[params[0]];
+
+    if (
+      sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM inventario")
+    ) {
+      return articulo
+        ? [{ usuario_id: 7, cliente_id: articulo.cliente_id }]
+        : [];
+    }
+
+    if (sql.startsWith("SELECT id, cliente_id FROM inventario")) {
+      return params[0]
+        .filter((id) => ARTICULOS[id])
+        .map((id) => ({ id, cliente_id: ARTICULOS[id].cliente_id }));
+    }
+
+    if (sql.startsWith("SELECT * FROM inventario WHERE id = $1")) {
+      return articulo ? [articulo] : [];
+    }
+
+    if (sql.startsWith("INSERT INTO inventario_movimientos")) {
+      const [inventario_id, tipo, cantidad, saldo] = params;
+      return [{ id: siguienteId++, inventario_id, tipo, cantidad, saldo }];
+    }
+
+    return [];
+  };
+};
+
+const buscar = (consultas, inicio) =>
+  consultas.filter((c) => c.sql.startsWith(inicio));
+
+describe("kardex de inventario", () => {
+  describe("registrarMovimiento", () => {
+    const mover = (client, cantidad, tipo = "entrada") =>
+      registrarMovimiento(client, {
+        inventarioId: 5,
+        tipo,
+        cantidad,
+        motivo: null,
+        usuarioId: 7,
+      });
+
+    it("guarda el movimiento con su saldo y actualiza el total", async () => {
+      const client = simularCliente(responderKardex());
+
+      const movimiento = await mover(client, 5);
+
+      assert.equal(movimiento.saldo, 15);
+      assert.deepEqual(
+        buscar(client.consultas, "UPDATE inventario SET cantidad_total")[0]
+          .params,
+        [15, 5],
+      );
+    });
+
+    it("bloquea el artículo antes de calcular el saldo", async () => {
+      const client = simularCliente(responderKardex());
+
+      await mover(client, 1);
+
+      assert.match(client.consultas[0].sql, /FOR UPDATE$/);
+    });
+
+    it("no deja la existencia en negativo", async () => {
+      const client = simularCliente(responderKardex());
+
+      await assert.rejects(mover(client, -11, "salida"), {
+        status: 400,
+        message: "Existencia insuficiente: hay 10",
+      });
+
+      assert.equal(
+        buscar(client.consultas, "INSERT INTO inventario_movimientos").length,
+        0,
+      );
+      assert.equal(buscar(client.consultas, "UPDATE inventario").length, 0);
+    });
+
+    it("responde 404 si el artículo no existe", async () => {
+      const client = simularCliente(() => []);
+
+      await assert.rejects(mover(client, 1), { status: 404 });
+    });
+
+    it("avisa al cruzar el mínimo, no en cada movimiento", async () => {
+      const cruce = simularCliente(responderKardex());
+      await mover(cruce, -7, "salida");
+
+      const debajo = simularCliente(
+        responderKardex({ ...ARTICULO, cantidad_total: 3 }),
+      );
+      await mover(debajo, -1, "salida");
+
+      const [aviso] = buscar(cruce.consultas, "INSERT INTO notificaciones");
+      assert.equal(aviso.params[0], 7);
+      assert.equal(aviso.params[2], "Existencia baja: Guantes");
+      assert.equal(
+        buscar(debajo.consultas, "INSERT INTO notificaciones").length,
+        0,
+      );
+    });
+  });
+
+  describe("rutas", () => {
+    let servidor;
+
+    before(async () => {
+      servidor = await iniciarServidor();
+    });
+
+    after(() => servidor.cerrar());
+
+    const registrar = (cuerpo) =>
+      fetch(
+        `${servidor.url}/inventario/5/movimientos`,
+        enviarJson(CONSULTOR, "POST", cuerpo),
+      );
+
+    it("registra las salidas con cantidad negativa dentro de una transacción", async () => {
+      const consultas = simularDb(responderKardex());
+
+      const res = await registrar({ tipo: "salida", cantidad: 3 });
+      const movimiento = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(movimiento.cantidad, -3);
+      assert.equal(movimiento.saldo, 7);
+
+      const orden = consultas
+        .map((c) => c.sql.split(" ")[0])
+        .filter((sql) => ["BEGIN", "COMMIT", "ROLLBACK"].includes(sql));
+      assert.deepEqual(orden, ["BEGIN", "COMMIT"]);
+
+      const [auditoria] = buscar(consultas, "INSERT INTO auditoria");
+      assert.equal(auditoria.params[4], "inventario_movimientos");
+    });
+
+    it("revierte la transacción si no hay existencia", async () => {
+      const consultas = simularDb(responderKardex());
+
+      const res = await registrar({ tipo: "salida", cantidad: 30 });
+
+      assert.equal(res.status, 400);
+      assert.ok(consultas.some((c) => c.sql === "ROLLBACK"));
+      assert.ok(!consultas.some((c) => c.sql === "COMMIT"));
+    });
+
+    it("valida tipo, cantidad y motivo", async () => {
+      simularDb(responderKardex());
+
+      for (const cuerpo of [
+        { tipo: "regalo", cantidad: 1 },
+        { tipo: "entrada", cantidad: 0 },
+        { tipo: "entrada", cantidad: 1.5 },
+        { tipo: "salida", cantidad: -2 },
+        { tipo: "ajuste", cantidad: -2 },
+      ]) {
+        const res = await registrar(cuerpo);
+        assert.equal(res.status, 400, JSON.stringify(cuerpo));
+      }
+    });
+
+    it("acepta ajustes negativos con motivo", async () => {
+      simularDb(responderKardex());
+
+      const res = await registrar({
+        tipo: "ajuste",
+        cantidad: -2,
+        motivo: "Conteo físico",
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).saldo, 8);
+    });
+
+    const transferir = (destino_id, cantidad = 2) =>
+      fetch(
+        `${servidor.url}/inventario/5/transferencias`,
+        enviarJson(CONSULTOR, "POST", { destino_id, cantidad }),
+      );
+
+    it("transfiere entre artículos del mismo cliente y audita cada lado", async () => {
+      const consultas = simularDb(responderTransferencias());
+
+      const res = await transferir(6);
+      const { salida, entrada } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(salida.cantidad, -2);
+      assert.equal(entrada.cantidad, 2);
+
+      const auditorias = buscar(consultas, "INSERT INTO auditoria");
+      assert.deepEqual(
+        auditorias.map((a) => [a.params[5], a.params[6]]),
+        [
+          [salida.id, 10],
+          [entrada.id, 10],
+        ],
+      );
+    });
+
+    it("no transfiere existencia a otro cliente", async () => {
+      const consultas = simularDb(responderTransferencias());
+
+      const res = await transferir(8);
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), {
+        error: "El destino debe ser del mismo cliente",
+      });
+      assert.equal(
+        buscar(consultas, "INSERT INTO inventario_movimientos").length,
+        0,
+      );
+    });
+
+    it("valida la existencia al editar el artículo", async () => {
+      for (const cantidad_total of ["abc", "2.5", -1]) {
+        const consultas = simularDb(responderKardex());
+
+        const res = await fetch(
+          `${servidor.url}/inventario/5`,
+          enviarJson(CONSULTOR, "PUT", {
+            nombre_producto: "Guantes",
+            cantidad_total,
+          }),
+        );
+
+        assert.equal(res.status, 400, String(cantidad_total));
+        assert.ok(!consultas.some((c) => c.sql === "BEGIN"));
+      }
+    });
+
+    it("registra como ajuste el cambio de existencia al editar", async () => {
+      const consultas = simularDb(responderKardex());
+
+      await fetch(
+        `${servidor.url}/inventario/5`,
+        enviarJson(CONSULTOR, "PUT", {
+          nombre_producto: "Guantes",
+          cantidad_total: "7",
+        }),
+      );
+
+      const [ajuste] = buscar(consultas, "INSERT INTO inventario_movimientos");
+      assert.deepEqual(ajuste.params.slice(1, 4), ["ajuste", -3, 7]);
+    });
+
+    it("resume entradas, salidas y saldos en el kardex", async () => {
+      simularDb((sql, params) => {
+        if (sql.includes("FROM inventario_movimientos m")) {
+          return [
+            { tipo: "entrada", cantidad: "10", saldo: "10" },
+            { tipo: "salida", cantidad: "-3", saldo: "7" },
+            { tipo: "transferencia_salida", cantidad: "-2", saldo: "5" },
+            { tipo: "ajuste", cantidad: "1", saldo: "6" },
+          ];
+        }
+
+        return responderKardex()(sql, params);
+      });
+
+      const res = await fetch(
+        `${servidor.url}/inventario/5/kardex`,
+        conToken(CONSULTOR),
+      );
+      const kardex = await res.json();
+
+      assert.equal(kardex.saldo_inicial, 0);
+      assert.equal(kardex.entradas, 10);
+      assert.equal(kardex.salidas, 5);
+      assert.equal(kardex.ajustes, 1);
+      assert.equal(kardex.saldo_final, 6);
+    });
+  });
+});
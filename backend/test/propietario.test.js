@@ -0,0 +1,296 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  simularDb,
+  iniciarServidor,
+  conToken,
+  enviarJson,
+  CONSULTOR,
+  OTRO_CONSULTOR,
+  ADMIN,
+} = require("./helpers");
+
+// Clientes 10 y 11 son del consultor 7; el 20 es del consultor 8
+const CLIENTES = { 10: 7, 11: 7, 20: 8 };
+const AREAS = { 100: 10, 101: 10, 110: 11, 200: 20 };
+const PUESTOS = { 1000: 100, 1100: 110, 2000: 200 };
+
+const propietario = (clienteId) =>
+  clienteId === undefined
+    ? []
+    : [{ usuario_id: CLIENTES[clienteId], cliente_id: clienteId }];
+
+const responder = (sql, [id]) => {
+  if (
+    sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM clientes c")
+  ) {
+    return CLIENTES[id] ? propietario(Number(id)) : [];
+  }
+
+  if (
+    sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM areas_trabajo")
+  ) {
+    return propietario(AREAS[id]);
+  }
+
+  if (
+    sql.startsWith(
+      "SELECT c.usuario_id, c.id AS cliente_id FROM puestos_trabajo",
+    )
+  ) {
+    return propietario(AREAS[PUESTOS[id]]);
+  }
+
+  if (sql.startsWith("SELECT p.area_id, a.cliente_id FROM puestos_trabajo")) {
+    return PUESTOS[id]
+      ? [{ area_id: PUESTOS[id], cliente_id: AREAS[PUESTOS[id]] }]
+      : [];
+  }
+
+  if (sql.startsWith("SELECT a.cliente_id FROM puestos_trabajo")) {
+    return PUESTOS[id] ? [{ cliente_id: AREAS[PUESTOS[id]] }] : [];
+  }
+
+  // Artículo 5 del cliente 10
+  if (
+    sql.startsWith("SELECT c.usuario_id, c.id AS cliente_id FROM inventario")
+  ) {
+    return String(id) === "5" ? propietario(10) : [];
+  }
+
+  if (sql.startsWith("SELECT * FROM inventario WHERE id = $1")) {
+    return [{ id: 5, cliente_id: 10, puesto_id: 1000, cantidad_total: 10 }];
+  }
+
+  if (sql.startsWith("INSERT INTO puestos_trabajo")) return [{ id: 55 }];
+
+  return [];
+};
+
+describe("acceso por propietario", () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor();
+  });
+
+  after(() => servidor.cerrar());
+
+  const visitasDe = (clienteId, usuario) =>
+    fetch(`${servidor.url}/clientes/${clienteId}/visitas`, conToken(usuario));
+
+  it("deja al consultor ver sus propios clientes", async () => {
+    simularDb(responder);
+
+    const res = await visitasDe(10, CONSULTOR);
+
+    assert.equal(res.status, 200);
+  });
+
+  it("rechaza con 403 los clientes de otro consultor", async () => {
+    const consultas = simularDb(responder);
+
+    const res = await visitasDe(10, OTRO_CONSULTOR);
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), { error: "Acceso denegado" });
+    assert.ok(!consultas.some((c) => c.sql.includes("FROM visitas")));
+  });
+
+  it("deja al admin ver cualquier cliente", async () => {
+    simularDb(responder);
+
+    const res = await visitasDe(20, ADMIN);
+
+    assert.equal(res.status, 200);
+  });
+
+  it("responde 404 si el cliente no existe", async () => {
+    simularDb(responder);
+
+    const res = await visitasDe(99, CONSULTOR);
+
+    assert.equal(res.status, 404);
+  });
+
+  it("responde 404 con ids no numéricos sin consultar la BD", async () => {
+    const consultas = simularDb(responder);
+
+    const res = await visitasDe("1 OR 1=1", CONSULTOR);
+
+    assert.equal(res.status, 404);
+    assert.equal(consultas.length, 0);
+  });
+
+  it("revisa la cadena puesto → área → cliente", async () => {
+    simularDb(responder);
+
+    const propio = await fetch(
+      `${servidor.url}/areas/100/puestos`,
+      conToken(CONSULTOR),
+    );
+    const ajeno = await fetch(
+      `${servidor.url}/areas/200/puestos`,
+      conToken(CONSULTOR),
+    );
+
+    assert.equal(propio.status, 200);
+    assert.equal(ajeno.status, 403);
+  });
+
+  describe("POST /inventario", () => {
+    const crearInventario = (campos) => {
+      const form = new FormData();
+      form.set("nombre_producto", "Casco");
+
+      for (const [campo, valor] of Object.entries(campos)) {
+        form.set(campo, String(valor));
+      }
+
+      return fetch(
+        `${servidor.url}/inventario`,
+        conToken(CONSULTOR, { method: "POST", body: form }),
+      );
+    };
+
+    const insertoInventario = (consultas) =>
+      consultas.some((c) => c.sql.startsWith("INSERT INTO inventario"));
+
+    it("rechaza un puesto de otro cliente del mismo consultor", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await crearInventario({
+        cliente_id: 10,
+        area_id: 110,
+        puesto_id: 1100,
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), {
+        error: "El área y el puesto deben pertenecer al cliente",
+      });
+      assert.ok(!insertoInventario(consultas));
+    });
+
+    it("rechaza un área que no es la del puesto", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await crearInventario({
+        cliente_id: 10,
+        area_id: 101,
+        puesto_id: 1000,
+      });
+
+      assert.equal(res.status, 400);
+      assert.ok(!insertoInventario(consultas));
+    });
+
+    it("rechaza un puesto de otro consultor", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await crearInventario({
+        cliente_id: 10,
+        area_id: 200,
+        puesto_id: 2000,
+      });
+
+      assert.equal(res.status, 403);
+      assert.ok(!insertoInventario(consultas));
+    });
+  });
+
+  describe("POST /areas/:id/puestos", () => {
+    const crearPuesto = (cuerpo) =>
+      fetch(
+        `${servidor.url}/areas/100/puestos`,
+        enviarJson(CONSULTOR, "POST", { puesto: "Soldador", ...cuerpo }),
+      );
+
+    it("rechaza riesgos que no son ids", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await crearPuesto({
+        riesgos: ["1); DROP TABLE clientes;--"],
+      });
+
+      assert.equal(res.status, 400);
+      assert.ok(!consultas.some((c) => c.sql.startsWith("INSERT")));
+    });
+
+    it("manda los ids de riesgos y EPP como parámetros", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await crearPuesto({ riesgos: [3, 4], epp: ["9"] });
+
+      assert.equal(res.status, 200);
+
+      const riesgos = consultas.find((c) =>
+        c.sql.startsWith("INSERT INTO puestos_riesgos"),
+      );
+      const epp = consultas.find((c) =>
+        c.sql.startsWith("INSERT INTO puestos_epp"),
+      );
+
+      assert.deepEqual(riesgos.params, [55, [3, 4]]);
+      assert.deepEqual(epp.params, [55, [9]]);
+    });
+  });
+
+  it("PUT /puestos/:id también rechaza riesgos y EPP que no son ids", async () => {
+    for (const cuerpo of [{ riesgos: ["Ruido"] }, { epp: "3,4" }]) {
+      const consultas = simularDb(responder);
+
+      const res = await fetch(
+        `${servidor.url}/puestos/1000`,
+        enviarJson(CONSULTOR, "PUT", cuerpo),
+      );
+
+      assert.equal(res.status, 400, JSON.stringify(cuerpo));
+      assert.ok(!consultas.some((c) => c.sql === "BEGIN"));
+    }
+  });
+
+  describe("POST /entregas-epp", () => {
+    const entregar = (puestoId) => {
+      const form = new FormData();
+      form.set("inventario_id", "5");
+      form.set("cantidad", "1");
+      form.set("receptor_nombre", "Juan Pérez");
+      form.set("puesto_id", String(puestoId));
+      form.set(
+        "firma",
+        new Blob([Buffer.from("firma")], { type: "image/png" }),
+        "firma.png",
+      );
+
+      return fetch(
+        `${servidor.url}/entregas-epp`,
+        conToken(CONSULTOR, { method: "POST", body: form }),
+      );
+    };
+
+    const insertoEntrega = (consultas) =>
+      consultas.some((c) => c.sql.startsWith("INSERT INTO entregas_epp"));
+
+    it("rechaza un puesto de otro cliente del mismo consultor", async () => {
+      const consultas = simularDb(responder);
+
+      const res = await entregar(1100);
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), { error: "Puesto inválido" });
+      assert.ok(!insertoEntrega(consultas));
+    });
+
+    it("rechaza puestos que no existen o ids inválidos", async () => {
+      for (const puesto of [9999, "1 OR 1=1"]) {
+        const consultas = simularDb(responder);
+
+        const res = await entregar(puesto);
+
+        assert.equal(res.status, 400);
+        assert.ok(!insertoEntrega(consultas));
+      }
+    });
+  });
+});